@@ -17,12 +17,28 @@ const convertBaseCodeToUnitCode = require('@barchart/marketdata-api-js/lib/utili
 	formatPrice = require('@barchart/marketdata-api-js/lib/utilities/format/price'),
 	valueParser = require('@barchart/marketdata-api-js/lib/utilities/parse/ddf/value');
 
-const validate = require('./data/validators/validate');
+const alertQuery = require('./data/queries/alert'),
+	triggerQuery = require('./data/queries/trigger'),
+	validate = require('./data/validators/validate');
 
 const AdapterBase = require('./adapters/AdapterBase'),
+	ConnectionState = require('./adapters/ConnectionState'),
+	JwtPayload = require('./security/JwtPayload'),
 	JwtProvider = require('./security/JwtProvider');
 
-const Configuration = require('./common/Configuration');
+const AlertsCancellationError = require('./errors/AlertsCancellationError'),
+	AlertsConnectionError = require('./errors/AlertsConnectionError'),
+	AlertsError = require('./errors/AlertsError'),
+	AlertsNotFoundError = require('./errors/AlertsNotFoundError'),
+	AlertsTimeoutError = require('./errors/AlertsTimeoutError'),
+	AlertsValidationError = require('./errors/AlertsValidationError');
+
+const CacheStore = require('./cache/CacheStore'),
+	MemoryCacheStore = require('./cache/MemoryCacheStore');
+
+const CancellationToken = require('./common/CancellationToken'),
+	Configuration = require('./common/Configuration'),
+	EventStream = require('./common/EventStream');
 
 const version = require('./meta').version;
 
@@ -35,6 +51,16 @@ module.exports = (() => {
 	regex.hosts.production = /(prod)/i;
 	
 	const DEFAULT_SECURE_PORT = 443; 
+	const DEFAULT_REQUEST_TIMEOUT_MILLISECONDS = 30000;
+
+	const BULK_CONCURRENCY = 5;
+
+	const DEFAULT_METADATA_TTL_MILLISECONDS = 60 * 60 * 1000;
+
+	const METADATA_KEYS = [ 'targets', 'properties', 'operators', 'modifiers', 'publisherTypes' ];
+
+	const CONNECT_TIMEOUT_MILLISECONDS = 10000;
+	const CONNECT_TIMEOUT_MESSAGE = 'Alert service is temporarily unavailable. Please try again later.';
 
 	/**
 	 * The **central component of the SDK**. It is responsible for connecting to Barchart's
@@ -48,15 +74,17 @@ module.exports = (() => {
 	 * @param {Number} port - Barchart Alerting Service's TCP port number.
 	 * @param {Boolean} secure - If true, the transport layer will use encryption (e.g. HTTPS, WSS, etc).
 	 * @param {Function} adapterClazz - The transport strategy. Specifically, the constructor function for a class extending {@link AdapterBase}.
+	 * @param {Number=} requestTimeout - The default number of milliseconds to wait for a request to complete (default is 30,000). A value of zero disables the timeout.
 	 */
 	class AlertManager extends Disposable {
-		constructor(host, port, secure, adapterClazz) {
+		constructor(host, port, secure, adapterClazz, requestTimeout) {
 			super();
 
 			assert.argumentIsRequired(host, 'host', String);
 			assert.argumentIsRequired(port, 'port', Number);
 			assert.argumentIsRequired(secure, 'secure', Boolean);
 			assert.argumentIsRequired(adapterClazz, 'adapterClazz', Function);
+			assert.argumentIsOptional(requestTimeout, 'requestTimeout', Number);
 
 			if (!is.extension(AdapterBase, adapterClazz)) {
 				throw new Error('The "adapterClazz" argument must be the constructor for a class which extends AdapterBase.');
@@ -69,10 +97,27 @@ module.exports = (() => {
 			this._adapter = null;
 			this._adapterClazz = adapterClazz;
 
+			this._jwtProvider = null;
+
 			this._connectPromise = null;
 
+			this._requestTimeout = DEFAULT_REQUEST_TIMEOUT_MILLISECONDS;
+
+			if (is.number(requestTimeout)) {
+				this.setRequestTimeout(requestTimeout);
+			}
+
+			this._metadataStore = new MemoryCacheStore();
+			this._metadataTtl = DEFAULT_METADATA_TTL_MILLISECONDS;
+			this._metadataPromises = { };
+
+			this._connectionState = ConnectionState.Disconnected;
+			this._connectionStateChangedEvent = new Event(this);
+
 			this._alertSubscriptionMap = { };
 			this._triggerSubscriptionMap = { };
+
+			this._triggerHistory = null;
 		}
 
 		/**
@@ -95,14 +140,24 @@ module.exports = (() => {
 						const alertAdapterPromise = Promise.resolve()
 							.then(() => {
 								const AdapterClazz = this._adapterClazz;
-								const adapter = new AdapterClazz(this._host, this._port, this._secure, onAlertCreated.bind(this), onAlertMutated.bind(this), onAlertDeleted.bind(this), onAlertTriggered.bind(this), onTriggersCreated.bind(this), onTriggersMutated.bind(this), onTriggersDeleted.bind(this));
+								const adapter = new AdapterClazz(this._host, this._port, this._secure, onAlertCreated.bind(this), onAlertMutated.bind(this), onAlertDeleted.bind(this), onAlertTriggered.bind(this), onTriggersCreated.bind(this), onTriggersMutated.bind(this), onTriggersDeleted.bind(this), onConnectionStateChanged.bind(this));
+
+								return promise.timeout(adapter.connect(jwtProvider), CONNECT_TIMEOUT_MILLISECONDS, CONNECT_TIMEOUT_MESSAGE)
+									.catch((e) => {
+										adapter.dispose();
+
+										if (e === CONNECT_TIMEOUT_MESSAGE) {
+											throw new AlertsTimeoutError('connect', CONNECT_TIMEOUT_MILLISECONDS);
+										}
 
-								return promise.timeout(adapter.connect(jwtProvider), 10000, 'Alert service is temporarily unavailable. Please try again later.');
+										throw e;
+									});
 							});
 
 						this._connectPromise = Promise.all([alertAdapterPromise])
 							.then((results) => {
 								this._adapter = results[0];
+								this._jwtProvider = jwtProvider;
 
 								return this;
 							}).catch((e) => {
@@ -117,73 +172,180 @@ module.exports = (() => {
 		}
 
 		/**
-		 * Gets a single alert by its identifier.
+		 * Returns the current state of the connection to the backend. Before
+		 * {@link AlertManager#connect} is invoked, the state is ```Disconnected```.
+		 *
+		 * @public
+		 * @returns {ConnectionState}
+		 */
+		getConnectionState() {
+			return this._connectionState;
+		}
+
+		/**
+		 * Registers a callback which will be invoked each time the state of the
+		 * connection to the backend changes (e.g. when the connection is lost and
+		 * the adapter is attempting to reconnect).
+		 *
+		 * @public
+		 * @param {Callbacks.ConnectionStateChangedCallback} handler
+		 * @returns {Disposable}
+		 */
+		registerConnectionStateChangedHandler(handler) {
+			assert.argumentIsRequired(handler, 'handler', Function);
+
+			checkDispose(this, 'register connection state changed handler');
+
+			return this._connectionStateChangedEvent.register(handler);
+		}
+
+		/**
+		 * Returns the default number of milliseconds to wait for a request to
+		 * complete. A value of zero indicates requests never time out.
+		 *
+		 * @public
+		 * @returns {Number}
+		 */
+		getRequestTimeout() {
+			return this._requestTimeout;
+		}
+
+		/**
+		 * Changes the default number of milliseconds to wait for a request to
+		 * complete. Requests which do not complete in time are rejected with an
+		 * {@link AlertsTimeoutError}. The default can be overridden for a single
+		 * request using its ```options``` argument.
+		 *
+		 * @public
+		 * @param {Number} milliseconds - The timeout, in milliseconds. A value of zero disables the timeout.
+		 */
+		setRequestTimeout(milliseconds) {
+			assert.argumentIsRequired(milliseconds, 'milliseconds', Number);
+
+			if (milliseconds < 0) {
+				throw new Error('The "milliseconds" argument cannot be negative.');
+			}
+
+			this._requestTimeout = milliseconds;
+		}
+
+		/**
+		 * Returns the number of milliseconds that metadata (e.g. targets, properties,
+		 * and operators) is cached. A value of zero indicates caching is disabled.
+		 *
+		 * @public
+		 * @returns {Number}
+		 */
+		getMetadataCacheTtl() {
+			return this._metadataTtl;
+		}
+
+		/**
+		 * Changes the number of milliseconds that metadata (i.e. targets, properties,
+		 * operators, modifiers, and publisher types) is cached (default is one hour).
+		 *
+		 * @public
+		 * @param {Number} milliseconds - The time to live, in milliseconds. A value of zero disables caching.
+		 */
+		setMetadataCacheTtl(milliseconds) {
+			assert.argumentIsRequired(milliseconds, 'milliseconds', Number);
+
+			if (milliseconds < 0) {
+				throw new Error('The "milliseconds" argument cannot be negative.');
+			}
+
+			this._metadataTtl = milliseconds;
+		}
+
+		/**
+		 * Replaces the store used to cache metadata. By default, metadata is kept
+		 * in memory. A persistent store (e.g. {@link WebStorageCacheStore}) allows
+		 * metadata to be reused across page loads.
+		 *
+		 * @public
+		 * @param {CacheStore} store
+		 */
+		setMetadataCacheStore(store) {
+			assert.argumentIsRequired(store, 'store', CacheStore, 'CacheStore');
+
+			this._metadataStore = store;
+			this._metadataPromises = { };
+		}
+
+		/**
+		 * Gets a single alert by its identifier. If the alert does not exist, the
+		 * promise is rejected with an {@link AlertsNotFoundError}.
 		 *
 		 * @public
 		 * @param {Schema.Alert|Schema.AlertIdentifier} alert
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<Schema.Alert>}
 		 */
-		retrieveAlert(alert) {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'retrieve alert');
+		retrieveAlert(alert, options) {
+			return execute(this, 'retrieve alert', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'retrieve alert');
+
+						validate.alert.forQuery(alert);
+					}).then(() => {
+						return this._adapter.retrieveAlert(alert, cancellationToken);
+					}).then((result) => {
+						if (!result) {
+							throw new AlertsNotFoundError(`Unable to retrieve alert [ ${alert.alert_id} ], the alert does not exist`);
+						}
 
-					validate.alert.forQuery(alert);
-				}).then(() => {
-					return this._adapter.retrieveAlert(alert);
-				});
+						return result;
+					});
+			});
 		}
 
 		/**
-		 * Gets a set of alerts, matching query criteria.
+		 * Gets a set of alerts, matching query criteria. If the query includes an
+		 * ```alert_system_key``` property, only the alerts with a matching key are
+		 * returned (depending on the adapter, the key is applied by the backend or
+		 * by the SDK). The remaining criteria (i.e. ```filter```, ```sort```,
+		 * ```offset```, and ```limit```) are applied in the same manner, regardless
+		 * of the adapter in use.
 		 *
 		 * @public
 		 * @param {Schema.AlertQuery} query
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<Schema.Alert[]>}
 		 */
-		retrieveAlerts(query) {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'retrieve alerts');
-
-					validate.alert.forUser(query);
-				}).then(() => {
-					return this._adapter.retrieveAlerts(query);
-				}).then((results) => {
-					if (query.filter && query.filter.alert_type) {
-						return results.filter((result) => result.alert_type === query.filter.alert_type);
-					} else {
-						return results;
-					}
-				}).then((results) => {
-					if (query.filter && query.filter.symbol) {
-						return results.filter((result) => result.conditions.some((c) => (c.property.target.type === 'symbol' && c.property.target.identifier ===  query.filter.symbol) || (c.property.type === 'symbol' && c.operator.operand === query.filter.symbol)));
-					} else {
-						return results;
-					}
-				}).then((results) => {
-					if (query.filter && query.filter.target && query.filter.target.identifier) {
-						return results.filter((result) => result.conditions.some((c) => c.property.target.identifier === query.filter.target.identifier));
-					} else {
-						return results;
-					}
-				}).then((results) => {
-					if (query.filter && query.filter.condition && (typeof(query.filter.condition.operand) === 'string' || typeof(query.filter.condition.operand) === 'number')) {
-						return results.filter((result) => result.conditions.some((c) => c.operator.operand === query.filter.condition.operand.toString()));
-					} else {
-						return results;
-					}
-				});
+		retrieveAlerts(query, options) {
+			return execute(this, 'retrieve alerts', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'retrieve alerts');
+
+						validate.alert.forRetrieve(query);
+					}).then(() => {
+						return this._adapter.retrieveAlerts(query, cancellationToken);
+					}).then((results) => {
+						return alertQuery.filter(results, query.filter);
+					}).then((results) => {
+						return alertQuery.sort(results, query.sort);
+					}).then((results) => {
+						return alertQuery.page(results, query.offset, query.limit);
+					});
+			});
 		}
 
 		/**
 		 * Registers four separate callbacks which will be invoked when alerts are created,
-		 * deleted, changed, or triggered.
+		 * deleted, changed, or triggered. The optional query properties narrow the
+		 * subscription (e.g. to a single alert or to the alerts for one symbol). All
+		 * subscriptions for the same user share a single subscription to the backend.
 		 *
 		 * @public
 		 * @param {Object} query
 		 * @param {String} query.user_id
 		 * @param {String} query.alert_system
+		 * @param {String=} query.alert_id - If specified, only events for this alert are delivered.
+		 * @param {String=} query.alert_system_key - If specified, only events for alerts with this key are delivered.
+		 * @param {String=} query.alert_type - If specified, only events for alerts of this type are delivered.
+		 * @param {String=} query.symbol - If specified, only events for alerts with a condition referencing this symbol are delivered.
 		 * @param {Callbacks.AlertMutatedCallback} changeCallback
 		 * @param {Callbacks.AlertDeletedCallback} deleteCallback
 		 * @param {Callbacks.AlertCreatedCallback} createCallback
@@ -193,7 +355,7 @@ module.exports = (() => {
 		subscribeAlerts(query, changeCallback, deleteCallback, createCallback, triggerCallback) {
 			checkStatus(this, 'subscribe alerts');
 
-			validate.alert.forUser(query);
+			validate.alert.forSubscription(query);
 
 			assert.argumentIsRequired(changeCallback, 'changeCallback', Function);
 			assert.argumentIsRequired(deleteCallback, 'deleteCallback', Function);
@@ -220,15 +382,36 @@ module.exports = (() => {
 			const subscriptionData = this._alertSubscriptionMap[userId][alertSystem];
 
 			if (subscriptionData.subscribers === 0) {
-				subscriptionData.implementationBinding = this._adapter.subscribeAlerts(query);
+				subscriptionData.implementationBinding = this._adapter.subscribeAlerts({ user_id: userId, alert_system: alertSystem });
 			}
 
 			subscriptionData.subscribers = subscriptionData.subscribers + 1;
 
-			const createRegistration = subscriptionData.createEvent.register(createCallback);
-			const changeRegistration = subscriptionData.changeEvent.register(changeCallback);
-			const deleteRegistration = subscriptionData.deleteEvent.register(deleteCallback);
-			const triggerRegistration = subscriptionData.triggerEvent.register(triggerCallback);
+			const matches = (alert) => alertQuery.matches(alert, query);
+
+			const createRegistration = subscriptionData.createEvent.register((alert) => {
+				if (matches(alert)) {
+					createCallback(alert);
+				}
+			});
+
+			const changeRegistration = subscriptionData.changeEvent.register((data) => {
+				if (matches(data.alert)) {
+					changeCallback(data.alert, data.changes);
+				}
+			});
+
+			const deleteRegistration = subscriptionData.deleteEvent.register((alert) => {
+				if (matches(alert)) {
+					deleteCallback(alert);
+				}
+			});
+
+			const triggerRegistration = subscriptionData.triggerEvent.register((alert) => {
+				if (matches(alert)) {
+					triggerCallback(alert);
+				}
+			});
 
 			return Disposable.fromAction(() => {
 				subscriptionData.subscribers = subscriptionData.subscribers - 1;
@@ -245,122 +428,77 @@ module.exports = (() => {
 		}
 
 		/**
-		 * Creates a new alert.
+		 * Returns a stream of the events for alerts (i.e. created, mutated, deleted,
+		 * and triggered). The stream can be consumed with a ```for await...of``` loop
+		 * or observed. Each loop (or observer) uses its own subscription (see
+		 * {@link AlertManager#subscribeAlerts}), which is disposed when the loop exits.
 		 *
 		 * @public
-		 * @param {Schema.Alert} alert
-		 * @returns {Promise<Schema.Alert>}
+		 * @param {Object} query - The same query accepted by {@link AlertManager#subscribeAlerts}.
+		 * @param {String} query.user_id
+		 * @param {String} query.alert_system
+		 * @returns {EventStream<Schema.AlertEvent>}
 		 */
-		createAlert(alert) {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'create alert');
-
-					validate.alert.forCreate(alert);
-				}).then(() => {
-					return Promise.all([
-						this.getProperties(),
-						this.getOperators()
-					]);
-				}).then((results) => {
-					const properties = results[0];
-					const operators = results[1];
-
-					const propertyMap = alert.conditions.reduce((map, c) => {
-						const property = properties.find((p) => p.property_id === c.property.property_id);
-
-						map[property.property_id] = property;
-
-						return map;
-					}, { });
-
-					const operatorMap = alert.conditions.reduce((map, c) => {
-						const operator = operators.find((o) => o.operator_id === c.operator.operator_id);
-
-						map[operator.operator_id] = operator;
-
-						return map;
-					}, { });
-
-					const instrumentMap = alert.conditions.reduce((map, c) => {
-						const property = propertyMap[c.property.property_id];
-
-						if (property.target.type === 'symbol') {
-							const symbol = c.property.target.identifier;
-
-							if (!map.hasOwnProperty(symbol)) {
-								map[symbol] = lookupInstrument(symbol);
-							}
-						}
-
-						return map;
-					}, { });
-
-					return Promise.all(alert.conditions.map((c, i) => {
-						let validatePromise;
-
-						const property = propertyMap[c.property.property_id];
-						const operator = operatorMap[c.operator.operator_id];
-
-						if (property.target.type === 'symbol') {
-							const symbol = c.property.target.identifier;
+		streamAlerts(query) {
+			checkStatus(this, 'stream alerts');
 
-							validatePromise = instrumentMap[symbol]
-								.then((result) => {
-									const instrument = result.instrument;
-									const unitcode = convertBaseCodeToUnitCode(instrument.unitcode);
+			validate.alert.forSubscription(query);
 
-									validate.instrument.forCreate(symbol, instrument);
-
-									if (property.format === 'price' && operator.operand_type === 'number' && operator.operand_literal) {
-										let operandToParse = c.operator.operand;
-
-										if (is.string(operandToParse) && operandToParse.match(/^(-?)([0-9,]+)$/) !== null) {
-											operandToParse = operandToParse + '.0';
-										}
-
-										const price = valueParser(operandToParse, unitcode, ',');
-
-										if (!is.number(price)) {
-											throw new Error('Condition ' + i + ' is invalid. The price cannot be parsed.');
-										}
-
-										c.operator.operand_display = c.operator.operand;
-										c.operator.operand_format = formatPrice(price, unitcode, '-', false, ',');
-										c.operator.operand = price;
-									}
-								});
-						} else {
-							validatePromise = Promise.resolve();
-						}
-
-						return validatePromise;
-					}));
-				}).then(() => {
-					return this._adapter.createAlert(alert);
-				});
+			return new EventStream((emit) => {
+				return this.subscribeAlerts(query,
+					(alert, changes) => emit({ type: 'mutated', alert: alert, changes: changes }),
+					(alert) => emit({ type: 'deleted', alert: alert }),
+					(alert) => emit({ type: 'created', alert: alert }),
+					(alert) => emit({ type: 'triggered', alert: alert }));
+			});
 		}
 
 		/**
-		 * Performs a synthetic update operation on an existing alert. The
-		 * existing alert is deleted. Then, a new alert is created in its
-		 * place. The new alert will have the same identifier.
+		 * Creates a new alert.
 		 *
 		 * @public
 		 * @param {Schema.Alert} alert
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<Schema.Alert>}
 		 */
-		editAlert(alert) {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'edit alert');
+		createAlert(alert, options) {
+			return execute(this, 'create alert', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'create alert');
+
+						validate.alert.forCreate(alert);
+					}).then(() => {
+						return prepareAlert(getPreparationContext(this, options), alert);
+					}).then(() => {
+						return this._adapter.createAlert(alert, cancellationToken);
+					});
+			});
+		}
 
-					validate.alert.forEdit(alert);
-				}).then(() => {
-					return this.deleteAlert(alert);
-				}).then(() => {
-					return this.createAlert(alert);
-				});
+		/**
+		 * Updates an existing alert, in place. The alert keeps its identifier and
+		 * subscribers are notified with a single mutation event (the alert is not
+		 * deleted and re-created).
+		 *
+		 * @public
+		 * @param {Schema.Alert} alert
+		 * @param {Schema.RequestOptions=} options
+		 * @returns {Promise<Schema.Alert>}
+		 */
+		editAlert(alert, options) {
+			return execute(this, 'edit alert', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'edit alert');
+
+						validate.alert.forEdit(alert);
+					}).then(() => {
+						return prepareAlert(getPreparationContext(this, options), alert);
+					}).then(() => {
+						return this._adapter.updateAlert(alert, cancellationToken);
+					});
+			});
 		}
 
 		/**
@@ -368,17 +506,20 @@ module.exports = (() => {
 		 *
 		 * @public
 		 * @param {Schema.Alert} alert
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<Schema.Alert>}
 		 */
-		deleteAlert(alert) {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'delete alert');
-
-					validate.alert.forQuery(alert);
-				}).then(() => {
-					return this._adapter.deleteAlert({alert_id: alert.alert_id});
-				});
+		deleteAlert(alert, options) {
+			return execute(this, 'delete alert', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'delete alert');
+
+						validate.alert.forQuery(alert);
+					}).then(() => {
+						return this._adapter.deleteAlert({alert_id: alert.alert_id}, cancellationToken);
+					});
+			});
 		}
 
 		/**
@@ -386,22 +527,25 @@ module.exports = (() => {
 		 *
 		 * @public
 		 * @param {Schema.Alert|Schema.AlertIdentifier} alert
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<Schema.Alert>}
 		 */
-		enableAlert(alert) {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'enable alert');
+		enableAlert(alert, options) {
+			return execute(this, 'enable alert', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'enable alert');
 
-					validate.alert.forQuery(alert);
-				}).then(() => {
-					const clone = Object.assign({ }, alert);
-					clone.alert_state = 'Starting';
+						validate.alert.forQuery(alert);
+					}).then(() => {
+						const clone = Object.assign({ }, alert);
+						clone.alert_state = 'Starting';
 
-					onAlertMutated.call(this, clone);
+						onAlertMutated.call(this, clone, [ 'alert_state' ]);
 
-					return this._adapter.updateAlert({alert_id: alert.alert_id, alert_state: 'Starting'});
-				});
+						return this._adapter.updateAlert({alert_id: alert.alert_id, alert_state: 'Starting'}, cancellationToken);
+					});
+			});
 		}
 
 		/**
@@ -409,61 +553,169 @@ module.exports = (() => {
 		 *
 		 * @public
 		 * @param {Schema.AlertQuery} query
+		 * @param {Schema.RequestOptions=} options
+		 * @returns {Promise<Boolean>}
+		 */
+		enableAlerts(query, options) {
+			return execute(this, 'enable alerts', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'enable alerts');
+
+						validate.alert.forUser(query);
+
+						return this._adapter.updateAlertsForUser({user_id: query.user_id, alert_system: query.alert_system, alert_state: 'Starting'}, cancellationToken);
+					}).then(() => {
+						return true;
+					});
+			});
+		}
+
+		/**
+		 * Sends a request to transition an alert to the ```Inactive``` state.
+		 *
+		 * @public
+		 * @param {Schema.Alert|Schema.AlertIdentifier} alert
+		 * @param {Schema.RequestOptions=} options
+		 * @returns {Promise<Schema.Alert>}
+		 */
+		disableAlert(alert, options) {
+			return execute(this, 'disable alert', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'disable alert');
+
+						validate.alert.forQuery(alert);
+					}).then(() => {
+						const clone = Object.assign({ }, alert);
+						clone.alert_state = 'Stopping';
+
+						onAlertMutated.call(this, clone, [ 'alert_state' ]);
+
+						return this._adapter.updateAlert({alert_id: alert.alert_id, alert_state: 'Stopping'}, cancellationToken);
+					});
+			});
+		}
+
+		/**
+		 * Sends a request to transition all alerts owned by a user to the ```Inactive``` state.
+		 *
+		 * @public
+		 * @param {Schema.AlertQuery} query
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<Boolean>}
 		 */
-		enableAlerts(query) {
+		disableAlerts(query, options) {
+			return execute(this, 'disable alerts', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'disable alerts');
+
+						validate.alert.forUser(query);
+
+						return this._adapter.updateAlertsForUser({user_id: query.user_id, alert_system: query.alert_system, alert_state: 'Stopping'}, cancellationToken);
+					}).then(() => {
+						return true;
+					});
+			});
+		}
+
+		/**
+		 * Creates multiple alerts. Metadata (i.e. properties and operators) and
+		 * instrument lookups are shared and requests are sent with bounded concurrency.
+		 * The failure of one alert does not prevent the others from being created. The
+		 * ```options``` apply to each alert separately.
+		 *
+		 * @public
+		 * @param {Schema.Alert[]} alerts
+		 * @param {Schema.RequestOptions=} options
+		 * @returns {Promise<Schema.BulkResult[]>}
+		 */
+		createAlerts(alerts, options) {
 			return Promise.resolve()
 				.then(() => {
-					checkStatus(this, 'enable alerts');
+					checkStatus(this, 'create alerts');
 
-					validate.alert.forUser(query);
+					assert.argumentIsArray(alerts, 'alerts');
 
-					return this._adapter.updateAlertsForUser({user_id: query.user_id, alert_system: query.alert_system, alert_state: 'Starting'});
-				}).then(() => {
-					return true;
+					const context = getPreparationContext(this, options);
+
+					return executeBulk(alerts, (alert) => {
+						return execute(this, 'create alert', options, (cancellationToken) => {
+							return Promise.resolve()
+								.then(() => {
+									checkStatus(this, 'create alert');
+
+									validate.alert.forCreate(alert);
+								}).then(() => {
+									return prepareAlert(context, alert);
+								}).then(() => {
+									return this._adapter.createAlert(alert, cancellationToken);
+								});
+						});
+					});
 				});
 		}
 
 		/**
-		 * Sends a request to transition an alert to the ```Inactive``` state.
+		 * Deletes multiple alerts, with bounded concurrency. The failure of one alert
+		 * does not prevent the others from being deleted.
 		 *
 		 * @public
-		 * @param {Schema.Alert|Schema.AlertIdentifier} alert
-		 * @returns {Promise<Schema.Alert>}
+		 * @param {Array<Schema.Alert|Schema.AlertIdentifier>} alerts
+		 * @param {Schema.RequestOptions=} options
+		 * @returns {Promise<Schema.BulkResult[]>}
 		 */
-		disableAlert(alert) {
+		deleteAlerts(alerts, options) {
 			return Promise.resolve()
 				.then(() => {
-					checkStatus(this, 'disable alert');
+					checkStatus(this, 'delete alerts');
 
-					validate.alert.forQuery(alert);
-				}).then(() => {
-					const clone = Object.assign({ }, alert);
-					clone.alert_state = 'Stopping';
+					assert.argumentIsArray(alerts, 'alerts');
 
-					onAlertMutated.call(this, clone);
+					return executeBulk(alerts, (alert) => this.deleteAlert(alert, options));
+				});
+		}
 
-					return this._adapter.updateAlert({alert_id: alert.alert_id, alert_state: 'Stopping'});
+		/**
+		 * Sends requests to transition multiple alerts to the ```Active``` state, with
+		 * bounded concurrency. Unlike {@link AlertManager#enableAlerts}, the alerts
+		 * are chosen by identifier (instead of by owner).
+		 *
+		 * @public
+		 * @param {Array<Schema.Alert|Schema.AlertIdentifier>} alerts
+		 * @param {Schema.RequestOptions=} options
+		 * @returns {Promise<Schema.BulkResult[]>}
+		 */
+		enableAlertsById(alerts, options) {
+			return Promise.resolve()
+				.then(() => {
+					checkStatus(this, 'enable alerts');
+
+					assert.argumentIsArray(alerts, 'alerts');
+
+					return executeBulk(alerts, (alert) => this.enableAlert(alert, options));
 				});
 		}
 
 		/**
-		 * Sends a request to transition all alerts owned by a user to the ```Inactive``` state.
+		 * Sends requests to transition multiple alerts to the ```Inactive``` state, with
+		 * bounded concurrency. Unlike {@link AlertManager#disableAlerts}, the alerts
+		 * are chosen by identifier (instead of by owner).
 		 *
 		 * @public
-		 * @param {Schema.AlertQuery} query
-		 * @returns {Promise<Boolean>}
+		 * @param {Array<Schema.Alert|Schema.AlertIdentifier>} alerts
+		 * @param {Schema.RequestOptions=} options
+		 * @returns {Promise<Schema.BulkResult[]>}
 		 */
-		disableAlerts(query) {
+		disableAlertsById(alerts, options) {
 			return Promise.resolve()
 				.then(() => {
 					checkStatus(this, 'disable alerts');
 
-					validate.alert.forUser(query);
+					assert.argumentIsArray(alerts, 'alerts');
 
-					return this._adapter.updateAlertsForUser({user_id: query.user_id, alert_system: query.alert_system, alert_state: 'Stopping'});
-				}).then(() => {
-					return true;
+					return executeBulk(alerts, (alert) => this.disableAlert(alert, options));
 				});
 		}
 
@@ -474,19 +726,90 @@ module.exports = (() => {
 		 * @param {Object} query
 		 * @param {String} query.user_id
 		 * @param {String} query.alert_system
-		 * @param {String=} query.trigger_date
+		 * @param {String|Number=} query.trigger_date - Only triggers created after this time (milliseconds since epoch) are returned.
 		 * @param {String=} query.trigger_status
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<Schema.Trigger[]>}
 		 */
-		retrieveTriggers(query) {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'retrieve alert triggers');
+		retrieveTriggers(query, options) {
+			return execute(this, 'retrieve alert triggers', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'retrieve alert triggers');
+
+						validate.trigger.forQuery(query);
+					}).then(() => {
+						return this._adapter.retrieveTriggers(normalizeTriggerDate(query), cancellationToken);
+					});
+			});
+		}
 
-					validate.trigger.forQuery(query);
-				}).then(() => {
-					return this._adapter.retrieveTriggers(query);
-				});
+		/**
+		 * Gets a page of alert triggers (the most recent first) which were created
+		 * within a date range. Use the ```continuation``` token from the result to
+		 * request the next page.
+		 *
+		 * The backend can only select triggers created after a given time, so filtering
+		 * and paging are done locally. The first page retrieves (and caches) all matching
+		 * triggers; subsequent pages of the same query are served from the cache, without
+		 * a request to the backend. Only the most recent query is cached, and the cache
+		 * is cleared when triggers are updated (or when trigger events are received).
+		 *
+		 * @public
+		 * @param {Schema.TriggerHistoryQuery} query
+		 * @param {Schema.RequestOptions=} options
+		 * @returns {Promise<Schema.TriggerPage>}
+		 */
+		retrieveTriggerHistory(query, options) {
+			return execute(this, 'retrieve alert trigger history', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'retrieve alert trigger history');
+
+						validate.trigger.forHistory(query);
+					}).then(() => {
+						const key = getTriggerHistoryKey(query);
+
+						if (is.string(query.continuation) && this._triggerHistory !== null && this._triggerHistory.key === key) {
+							return this._triggerHistory.triggers;
+						}
+
+						const user = { user_id: query.user_id, alert_system: query.alert_system };
+						const triggersQuery = Object.assign({ }, user);
+
+						const from = triggerQuery.toTimestamp(query.from);
+
+						if (from !== null && from > 0) {
+							triggersQuery.trigger_date = (from - 1).toString();
+						}
+
+						if (query.trigger_status) {
+							triggersQuery.trigger_status = query.trigger_status;
+						}
+
+						let alertIdsPromise;
+
+						if (query.symbol) {
+							alertIdsPromise = this._adapter.retrieveAlerts(user, cancellationToken)
+								.then((alerts) => {
+									return alerts.filter((alert) => alertQuery.matches(alert, { symbol: query.symbol })).map((alert) => alert.alert_id);
+								});
+						} else {
+							alertIdsPromise = Promise.resolve(null);
+						}
+
+						return Promise.all([ this._adapter.retrieveTriggers(triggersQuery, cancellationToken), alertIdsPromise ])
+							.then((results) => {
+								const triggers = triggerQuery.sort(triggerQuery.filter(results[0], query, results[1]));
+
+								this._triggerHistory = { key: key, triggers: triggers };
+
+								return triggers;
+							});
+					}).then((triggers) => {
+						return triggerQuery.page(triggers, query.limit, query.continuation);
+					});
+			});
 		}
 
 		/**
@@ -497,6 +820,7 @@ module.exports = (() => {
 		 * @param {Object} query
 		 * @param {String} query.user_id
 		 * @param {String} query.alert_system
+		 * @param {String|Number=} query.trigger_date - Only triggers created after this time (milliseconds since epoch) are included.
 		 * @param {Callbacks.TriggersMutatedCallback} changeCallback
 		 * @param {Callbacks.TriggersDeletedCallback} deleteCallback
 		 * @param {Callbacks.TriggersCreatedCallback} createCallback
@@ -505,7 +829,7 @@ module.exports = (() => {
 		subscribeTriggers(query, changeCallback, deleteCallback, createCallback) {
 			checkStatus(this, 'subscribe triggers');
 
-			validate.trigger.forUser(query);
+			validate.trigger.forQuery(query);
 
 			assert.argumentIsRequired(changeCallback, 'changeCallback', Function);
 			assert.argumentIsRequired(deleteCallback, 'deleteCallback', Function);
@@ -530,7 +854,7 @@ module.exports = (() => {
 			const subscriptionData = this._triggerSubscriptionMap[userId][alertSystem];
 
 			if (subscriptionData.subscribers === 0) {
-				subscriptionData.implementationBinding = this._adapter.subscribeTriggers(query);
+				subscriptionData.implementationBinding = this._adapter.subscribeTriggers(normalizeTriggerDate(query));
 			}
 
 			subscriptionData.subscribers = subscriptionData.subscribers + 1;
@@ -553,26 +877,77 @@ module.exports = (() => {
 		}
 
 		/**
-		 * Updates the status (i.e. read/unread) for a single alert trigger.
+		 * Returns a stream of the events for alert triggers (i.e. created, mutated,
+		 * and deleted). The stream can be consumed with a ```for await...of``` loop
+		 * or observed. Each loop (or observer) uses its own subscription (see
+		 * {@link AlertManager#subscribeTriggers}), which is disposed when the loop exits.
 		 *
 		 * @public
 		 * @param {Object} query
-		 * @param {String} query.alert_id
-		 * @param {String} query.trigger_date
-		 * @param {String=} query.trigger_status
-		 * @returns {Promise<Schema.Trigger>}
+		 * @param {String} query.user_id
+		 * @param {String} query.alert_system
+		 * @returns {EventStream<Schema.TriggerEvent>}
+		 */
+		streamTriggers(query) {
+			checkStatus(this, 'stream triggers');
+
+			validate.trigger.forUser(query);
+
+			return new EventStream((emit) => {
+				return this.subscribeTriggers(query,
+					(triggers) => emit({ type: 'mutated', triggers: triggers }),
+					(triggers) => emit({ type: 'deleted', triggers: triggers }),
+					(triggers) => emit({ type: 'created', triggers: triggers }));
+			});
+		}
+
+		/**
+		 * Immediately refreshes alert and trigger subscriptions, without waiting
+		 * for the next poll. Only meaningful when using the {@link AdapterForHttp},
+		 * since other adapters receive changes as they happen.
+		 *
+		 * @public
+		 * @returns {Promise}
 		 */
-		updateTrigger(query) {
+		refreshSubscriptions() {
 			return Promise.resolve()
 				.then(() => {
-					checkStatus(this, 'updates alert trigger');
+					checkStatus(this, 'refresh subscriptions');
 
-					validate.trigger.forUpdate(query);
+					return this._adapter.refresh();
 				}).then(() => {
-					return this._adapter.updateTrigger(query);
+					return;
 				});
 		}
 
+		/**
+		 * Updates the status (i.e. read/unread) for a single alert trigger.
+		 *
+		 * @public
+		 * @param {Object} query
+		 * @param {String} query.alert_id
+		 * @param {String|Number} query.trigger_date
+		 * @param {String=} query.trigger_status
+		 * @param {Schema.RequestOptions=} options
+		 * @returns {Promise<Schema.Trigger>}
+		 */
+		updateTrigger(query, options) {
+			return execute(this, 'updates alert trigger', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'updates alert trigger');
+
+						validate.trigger.forUpdate(query);
+					}).then(() => {
+						return this._adapter.updateTrigger(normalizeTriggerDate(query), cancellationToken);
+					}).then((trigger) => {
+						this._triggerHistory = null;
+
+						return trigger;
+					});
+			});
+		}
+
 		/**
 		 * Updates the status (i.e. read/unread) for all alert triggers which match
 		 * the query criteria.
@@ -582,17 +957,24 @@ module.exports = (() => {
 		 * @param {String} query.user_id
 		 * @param {String} query.alert_system
 		 * @param {String=} query.trigger_status
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<Schema.Trigger[]>}
 		 */
-		updateTriggers(query) {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'updates alert triggers');
-
-					validate.trigger.forBatch(query);
-				}).then(() => {
-					return this._adapter.updateTriggers(query);
-				});
+		updateTriggers(query, options) {
+			return execute(this, 'updates alert triggers', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'updates alert triggers');
+
+						validate.trigger.forBatch(query);
+					}).then(() => {
+						return this._adapter.updateTriggers(query, cancellationToken);
+					}).then((triggers) => {
+						this._triggerHistory = null;
+
+						return triggers;
+					});
+			});
 		}
 
 		/**
@@ -600,17 +982,20 @@ module.exports = (() => {
 		 *
 		 * @public
 		 * @param {Schema.TemplateQuery} query
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<Schema.Template[]>}
 		 */
-		retrieveTemplates(query) {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'get templates');
-
-					validate.template.forUser(query);
-				}).then(() => {
-					return this._adapter.getTemplates(query);
-				});
+		retrieveTemplates(query, options) {
+			return execute(this, 'get templates', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'get templates');
+
+						validate.template.forUser(query);
+					}).then(() => {
+						return this._adapter.getTemplates(query, cancellationToken);
+					});
+			});
 		}
 
 		/**
@@ -618,17 +1003,20 @@ module.exports = (() => {
 		 *
 		 * @public
 		 * @param {Schema.Template} template
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<Schema.Template>}
 		 */
-		createTemplate(template) {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'create template');
-
-					validate.template.forCreate(template);
-				}).then(() => {
-					return this._adapter.createTemplate(template);
-				});
+		createTemplate(template, options) {
+			return execute(this, 'create template', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'create template');
+
+						validate.template.forCreate(template);
+					}).then(() => {
+						return this._adapter.createTemplate(template, cancellationToken);
+					});
+			});
 		}
 
 		/**
@@ -636,17 +1024,20 @@ module.exports = (() => {
 		 *
 		 * @public
 		 * @param {Schema.Template} template
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<Schema.Template>}
 		 */
-		deleteTemplate(template) {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'delete template');
-
-					validate.template.forQuery(template);
-				}).then(() => {
-					return this._adapter.deleteTemplate({ template_id: template.template_id });
-				});
+		deleteTemplate(template, options) {
+			return execute(this, 'delete template', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'delete template');
+
+						validate.template.forQuery(template);
+					}).then(() => {
+						return this._adapter.deleteTemplate({ template_id: template.template_id }, cancellationToken);
+					});
+			});
 		}
 
 		/**
@@ -659,91 +1050,138 @@ module.exports = (() => {
 		 *
 		 * @public
 		 * @param {String} symbol - The symbol to check
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<String>}
 		 */
-		checkSymbol(symbol) {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'check symbol');
-
-					return lookupInstrument(symbol);
-				}).then((result) => {
-					validate.instrument.forCreate(symbol, result.instrument);
-
-					return result.instrument.symbol;
-				});
+		checkSymbol(symbol, options) {
+			return execute(this, 'check symbol', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'check symbol');
+
+						return lookupInstrument(symbol);
+					}).then((result) => {
+						validate.instrument.forCreate(symbol, result.instrument);
+
+						return result.instrument.symbol;
+					});
+			});
 		}
 
 		/**
 		 * Retrieves the entire list of targets which are available to the
-		 * system.
+		 * system. The result is cached (see {@link AlertManager#setMetadataCacheTtl}).
 		 *
 		 * @public
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<Schema.Target[]>}
 		 */
-		getTargets() {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'get targets');
-
-					return this._adapter.getTargets();
-				});
+		getTargets(options) {
+			return execute(this, 'get targets', options, () => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'get targets');
+
+						return getMetadata(this, 'targets', () => this._adapter.getTargets());
+					});
+			});
 		}
 
 		/**
 		 * Retrieves the entire list of properties which are available to the
-		 * system.
+		 * system. The result is cached (see {@link AlertManager#setMetadataCacheTtl}).
 		 *
 		 * @public
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<Schema.Property[]>}
 		 */
-		getProperties() {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'get properties');
-
-					return this._adapter.getProperties();
-				});
+		getProperties(options) {
+			return execute(this, 'get properties', options, () => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'get properties');
+
+						return getMetadata(this, 'properties', () => this._adapter.getProperties());
+					});
+			});
 		}
 
 		/**
 		 * Retrieves the entire list of operators which are available to the
-		 * system.
+		 * system. The result is cached (see {@link AlertManager#setMetadataCacheTtl}).
 		 *
 		 * @public
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<Schema.Operator[]>}
 		 */
-		getOperators() {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'get operators');
-
-					return this._adapter.getOperators();
-				});
+		getOperators(options) {
+			return execute(this, 'get operators', options, () => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'get operators');
+
+						return getMetadata(this, 'operators', () => this._adapter.getOperators());
+					});
+			});
 		}
 
-		getModifiers() {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'get modifiers');
+		getModifiers(options) {
+			return execute(this, 'get modifiers', options, () => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'get modifiers');
 
-					return this._adapter.getModifiers();
-				});
+						return getMetadata(this, 'modifiers', () => this._adapter.getModifiers());
+					});
+			});
 		}
 
 		/**
 		 * Retrieves the entire list of strategies that can be used to notify
-		 * users when an alert is triggered.
+		 * users when an alert is triggered. The result is cached (see
+		 * {@link AlertManager#setMetadataCacheTtl}).
 		 *
 		 * @public
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<Schema.PublisherType[]>}
 		 */
-		getPublisherTypes() {
+		getPublisherTypes(options) {
+			return execute(this, 'get publisher types', options, () => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'get publisher types');
+
+						return getMetadata(this, 'publisherTypes', () => this._adapter.getPublisherTypes());
+					});
+			});
+		}
+
+		/**
+		 * Discards cached metadata (i.e. targets, properties, operators, modifiers,
+		 * and publisher types) and retrieves fresh copies from the backend.
+		 *
+		 * @public
+		 * @param {Schema.RequestOptions=} options
+		 * @returns {Promise<Boolean>}
+		 */
+		refreshMetadata(options) {
 			return Promise.resolve()
 				.then(() => {
-					checkStatus(this, 'get publisher types');
+					checkStatus(this, 'refresh metadata');
 
-					return this._adapter.getPublisherTypes();
+					this._metadataPromises = { };
+
+					return Promise.all(METADATA_KEYS.map((key) => this._metadataStore.remove(getMetadataKey(this, key))));
+				}).then(() => {
+					return Promise.all([
+						this.getTargets(options),
+						this.getProperties(options),
+						this.getOperators(options),
+						this.getModifiers(options),
+						this.getPublisherTypes(options)
+					]);
+				}).then(() => {
+					return true;
 				});
 		}
 
@@ -754,17 +1192,20 @@ module.exports = (() => {
 		 * @param {Object} query
 		 * @param {String} query.user_id
 		 * @param {String} query.alert_system
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<Schema.PublisherTypeDefault[]>}
 		 */
-		getPublisherTypeDefaults(query) {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'get publisher type defaults');
-
-					validate.publisherTypeDefault.forUser(query);
-				}).then(() => {
-					return this._adapter.getPublisherTypeDefaults(query);
-				});
+		getPublisherTypeDefaults(query, options) {
+			return execute(this, 'get publisher type defaults', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'get publisher type defaults');
+
+						validate.publisherTypeDefault.forUser(query);
+					}).then(() => {
+						return this._adapter.getPublisherTypeDefaults(query, cancellationToken);
+					});
+			});
 		}
 
 		/**
@@ -773,65 +1214,102 @@ module.exports = (() => {
 		 *
 		 * @public
 		 * @param {Schema.PublisherTypeDefault} publisherTypeDefault
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<Schema.PublisherTypeDefault>}
 		 */
-		assignPublisherTypeDefault(publisherTypeDefault) {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'assign publisher type default');
-
-					validate.publisherTypeDefault.forCreate(publisherTypeDefault);
-				}).then(() => {
-					return this._adapter.assignPublisherTypeDefault(publisherTypeDefault);
-				});
+		assignPublisherTypeDefault(publisherTypeDefault, options) {
+			return execute(this, 'assign publisher type default', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'assign publisher type default');
+
+						validate.publisherTypeDefault.forCreate(publisherTypeDefault);
+					}).then(() => {
+						return this._adapter.assignPublisherTypeDefault(publisherTypeDefault, cancellationToken);
+					});
+			});
 		}
 
-		getMarketDataConfiguration(query) {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'get market data configuration');
-				}).then(() => {
-					return this._adapter.getMarketDataConfiguration(query);
-				});
+		getMarketDataConfiguration(query, options) {
+			return execute(this, 'get market data configuration', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'get market data configuration');
+					}).then(() => {
+						return this._adapter.getMarketDataConfiguration(query, cancellationToken);
+					});
+			});
 		}
 
-		assignMarketDataConfiguration(marketDataConfiguration) {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'assign market data configuration');
-				}).then(() => {
-					return this._adapter.assignMarketDataConfiguration(marketDataConfiguration);
-				});
+		assignMarketDataConfiguration(marketDataConfiguration, options) {
+			return execute(this, 'assign market data configuration', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'assign market data configuration');
+					}).then(() => {
+						return this._adapter.assignMarketDataConfiguration(marketDataConfiguration, cancellationToken);
+					});
+			});
 		}
 
 		/**
 		 * Returns the version number of the remote service you are connected to.
 		 *
 		 * @public
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<String>}
 		 */
-		getServerVersion() {
-			return Promise.resolve()
-				.then(() => {
-					checkStatus(this, 'get server version');
-				}).then(() => {
-					return this._adapter.getServerVersion();
-				});
+		getServerVersion(options) {
+			return execute(this, 'get server version', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'get server version');
+					}).then(() => {
+						return this._adapter.getServerVersion(cancellationToken);
+					});
+			});
 		}
 
 		/**
 		 * Returns the current user (according to the JWT token which is embedded
 		 * in the request).
 		 *
+		 * Unlike {@link AlertManager#getJwtPayload}, this function sends a request to
+		 * the backend, which verifies the token's signature. So, a successful result
+		 * confirms the token will be accepted, and the backend remains the authority
+		 * on the identity derived from the token's claims.
+		 *
 		 * @public
+		 * @param {Schema.RequestOptions=} options
 		 * @returns {Promise<Schema.UserIdentifier>}
 		 */
-		getUser() {
+		getUser(options) {
+			return execute(this, 'get authenticated user', options, (cancellationToken) => {
+				return Promise.resolve()
+					.then(() => {
+						checkStatus(this, 'get authenticated user');
+					}).then(() => {
+						return this._adapter.getUser(cancellationToken);
+					});
+			});
+		}
+
+		/**
+		 * Returns the claims of the current JWT token, decoded locally (without a request to
+		 * the backend). The token's signature is not verified, so the result should only be
+		 * used for presentation (e.g. hiding actions which require administrative permissions).
+		 *
+		 * @public
+		 * @returns {Promise<JwtPayload>}
+		 */
+		getJwtPayload() {
 			return Promise.resolve()
 				.then(() => {
-					checkStatus(this, 'get authenticated user');
-				}).then(() => {
-					return this._adapter.getUser();
+					checkStatus(this, 'get JWT payload');
+
+					return this._jwtProvider.getToken();
+				}).then((token) => {
+					return JwtPayload.fromToken(token);
 				});
 		}
 
@@ -1061,7 +1539,12 @@ module.exports = (() => {
 				this._adapter = null;
 			}
 
+			onConnectionStateChanged.call(this, ConnectionState.Disconnected);
+
+			this._connectionStateChangedEvent.clear();
+
 			this._alertSubscriptionMap = null;
+			this._triggerHistory = null;
 		}
 
 		toString() {
@@ -1076,6 +1559,18 @@ module.exports = (() => {
 			});
 	}
 
+	function normalizeTriggerDate(query) {
+		if (is.number(query.trigger_date)) {
+			return Object.assign({ }, query, { trigger_date: query.trigger_date.toString() });
+		} else {
+			return query;
+		}
+	}
+
+	function getTriggerHistoryKey(query) {
+		return JSON.stringify([ query.user_id, query.alert_system, triggerQuery.toTimestamp(query.from), triggerQuery.toTimestamp(query.to), query.alert_id || null, query.symbol || null, query.trigger_status || null ]);
+	}
+
 	function getMutationEvents(map, alert) {
 		let returnRef = null;
 
@@ -1095,7 +1590,7 @@ module.exports = (() => {
 
 	function checkDispose(manager, operation) {
 		if (manager.getIsDisposed()) {
-			throw new Error(`Unable to perform ${operation}, the alert manager has been disposed`);
+			throw new AlertsConnectionError(`Unable to perform ${operation}, the alert manager has been disposed`);
 		}
 	}
 
@@ -1103,8 +1598,280 @@ module.exports = (() => {
 		checkDispose(manager, operation);
 
 		if (manager._adapter === null) {
-			throw new Error(`Unable to perform ${operation}, the alert manager has not connected to the server`);
+			throw new AlertsConnectionError(`Unable to perform ${operation}, the alert manager has not connected to the server`);
+		}
+	}
+
+	function execute(manager, operation, options, executor) {
+		return Promise.resolve()
+			.then(() => {
+				assert.argumentIsOptional(options, 'options', Object);
+
+				let timeout;
+				let signal;
+
+				if (options) {
+					assert.argumentIsOptional(options.timeout, 'options.timeout', Number);
+
+					timeout = is.number(options.timeout) ? options.timeout : manager._requestTimeout;
+					signal = options.signal || null;
+				} else {
+					timeout = manager._requestTimeout;
+					signal = null;
+				}
+
+				const cancellationToken = new CancellationToken();
+
+				return promise.build((resolveCallback, rejectCallback) => {
+					let timeoutHandle = null;
+					let abortHandler = null;
+
+					const complete = () => {
+						if (timeoutHandle !== null) {
+							clearTimeout(timeoutHandle);
+
+							timeoutHandle = null;
+						}
+
+						if (abortHandler !== null) {
+							signal.removeEventListener('abort', abortHandler);
+
+							abortHandler = null;
+						}
+					};
+
+					cancellationToken.registerCancelledHandler((reason) => {
+						complete();
+
+						rejectCallback(reason);
+					});
+
+					if (signal !== null) {
+						if (signal.aborted) {
+							cancellationToken.cancel(new AlertsCancellationError(operation));
+
+							return;
+						}
+
+						abortHandler = () => cancellationToken.cancel(new AlertsCancellationError(operation));
+
+						signal.addEventListener('abort', abortHandler);
+					}
+
+					if (timeout > 0) {
+						timeoutHandle = setTimeout(() => cancellationToken.cancel(new AlertsTimeoutError(operation, timeout)), timeout);
+					}
+
+					Promise.resolve()
+						.then(() => {
+							return executor(cancellationToken);
+						}).then((result) => {
+							complete();
+
+							resolveCallback(result);
+						}).catch((e) => {
+							complete();
+
+							rejectCallback(e);
+						});
+				});
+			});
+	}
+
+	function getMetadataKey(manager, key) {
+		return `${manager._host}:${key}`;
+	}
+
+	function getMetadata(manager, key, loader) {
+		if (manager._metadataPromises.hasOwnProperty(key)) {
+			return manager._metadataPromises[key];
+		}
+
+		const store = manager._metadataStore;
+		const storeKey = getMetadataKey(manager, key);
+
+		const ttl = manager._metadataTtl;
+
+		const metadataPromise = Promise.resolve()
+			.then(() => {
+				if (ttl > 0) {
+					return store.get(storeKey);
+				} else {
+					return null;
+				}
+			}).catch(() => {
+				return null;
+			}).then((entry) => {
+				if (is.object(entry) && is.number(entry.timestamp) && (Date.now() - entry.timestamp) < ttl) {
+					return entry.value;
+				}
+
+				return loader()
+					.then((value) => {
+						if (ttl === 0) {
+							return value;
+						}
+
+						return Promise.resolve()
+							.then(() => {
+								return store.put(storeKey, { timestamp: Date.now(), value: value });
+							}).catch(() => {
+								return null;
+							}).then(() => {
+								return value;
+							});
+					});
+			});
+
+		const complete = () => {
+			if (manager._metadataPromises[key] === metadataPromise) {
+				delete manager._metadataPromises[key];
+			}
+		};
+
+		metadataPromise.then(complete, complete);
+
+		manager._metadataPromises[key] = metadataPromise;
+
+		return metadataPromise;
+	}
+
+	function executeBulk(items, action) {
+		return promise.map(items, (item) => {
+			return Promise.resolve()
+				.then(() => {
+					return action(item);
+				}).then((result) => {
+					const report = { };
+
+					report.item = item;
+					report.success = true;
+					report.result = result;
+					report.error = null;
+
+					return report;
+				}).catch((e) => {
+					const report = { };
+
+					report.item = item;
+					report.success = false;
+					report.result = null;
+					report.error = e;
+
+					return report;
+				});
+		}, BULK_CONCURRENCY);
+	}
+
+	function getPreparationContext(manager, options) {
+		const context = { };
+
+		context.manager = manager;
+		context.options = options;
+
+		context.metadata = null;
+		context.instruments = { };
+
+		return context;
+	}
+
+	function getPreparationMetadata(context) {
+		if (context.metadata === null) {
+			context.metadata = Promise.all([
+				context.manager.getProperties(context.options),
+				context.manager.getOperators(context.options)
+			]);
+		}
+
+		return context.metadata;
+	}
+
+	function prepareAlert(context, alert) {
+		return getPreparationMetadata(context).then((results) => {
+			const properties = results[0];
+			const operators = results[1];
+
+			const propertyMap = alert.conditions.reduce((map, c) => {
+				const property = properties.find((p) => p.property_id === c.property.property_id);
+
+				map[property.property_id] = property;
+
+				return map;
+			}, { });
+
+			const operatorMap = alert.conditions.reduce((map, c) => {
+				const operator = operators.find((o) => o.operator_id === c.operator.operator_id);
+
+				map[operator.operator_id] = operator;
+
+				return map;
+			}, { });
+
+			const instrumentMap = alert.conditions.reduce((map, c) => {
+				const property = propertyMap[c.property.property_id];
+
+				if (property.target.type === 'symbol') {
+					const symbol = c.property.target.identifier;
+
+					if (!map.hasOwnProperty(symbol)) {
+						map[symbol] = lookupInstrument(symbol);
+					}
+				}
+
+				return map;
+			}, context.instruments);
+
+			return Promise.all(alert.conditions.map((c, i) => {
+				let validatePromise;
+
+				const property = propertyMap[c.property.property_id];
+				const operator = operatorMap[c.operator.operator_id];
+
+				if (property.target.type === 'symbol') {
+					const symbol = c.property.target.identifier;
+
+					validatePromise = instrumentMap[symbol]
+						.then((result) => {
+							const instrument = result.instrument;
+							const unitcode = convertBaseCodeToUnitCode(instrument.unitcode);
+
+							validate.instrument.forCreate(symbol, instrument);
+
+							if (property.format === 'price' && operator.operand_type === 'number' && operator.operand_literal) {
+								let operandToParse = c.operator.operand;
+
+								if (is.string(operandToParse) && operandToParse.match(/^(-?)([0-9,]+)$/) !== null) {
+									operandToParse = operandToParse + '.0';
+								}
+
+								const price = valueParser(operandToParse, unitcode, ',');
+
+								if (!is.number(price)) {
+									throw new AlertsValidationError('Condition ' + i + ' is invalid. The price cannot be parsed.', `alert.conditions[${i}].operator.operand`);
+								}
+
+								c.operator.operand_display = c.operator.operand;
+								c.operator.operand_format = formatPrice(price, unitcode, '-', false, ',');
+								c.operator.operand = price;
+							}
+						});
+				} else {
+					validatePromise = Promise.resolve();
+				}
+
+				return validatePromise;
+			}));
+		});
+	}
+
+	function onConnectionStateChanged(connectionState) {
+		if (this._connectionState === connectionState) {
+			return;
 		}
+
+		this._connectionState = connectionState;
+
+		this._connectionStateChangedEvent.fire(connectionState);
 	}
 
 	function onAlertCreated(alert) {
@@ -1119,7 +1886,7 @@ module.exports = (() => {
 		}
 	}
 
-	function onAlertMutated(alert) {
+	function onAlertMutated(alert, changes) {
 		if (!alert) {
 			return;
 		}
@@ -1127,7 +1894,7 @@ module.exports = (() => {
 		const data = getMutationEvents(this._alertSubscriptionMap, cloneAlert(alert));
 
 		if (data) {
-			data.changeEvent.fire(alert);
+			data.changeEvent.fire({ alert: alert, changes: changes || null });
 		}
 	}
 
@@ -1160,6 +1927,8 @@ module.exports = (() => {
 			return;
 		}
 
+		this._triggerHistory = null;
+
 		const data = getMutationEvents(this._triggerSubscriptionMap, triggers[0]);
 
 		if (data) {
@@ -1172,6 +1941,8 @@ module.exports = (() => {
 			return;
 		}
 
+		this._triggerHistory = null;
+
 		const data = getMutationEvents(this._triggerSubscriptionMap, triggers[0]);
 
 		if (data) {
@@ -1184,6 +1955,8 @@ module.exports = (() => {
 			return;
 		}
 
+		this._triggerHistory = null;
+
 		const data = getMutationEvents(this._triggerSubscriptionMap, triggers[0]);
 
 		if (data) {
@@ -1209,7 +1982,10 @@ module.exports = (() => {
 		.endpoint;
 
 	function lookupInstrument(symbol) {
-		return Gateway.invoke(instrumentLookupEndpoint, { symbol: symbol });
+		return Gateway.invoke(instrumentLookupEndpoint, { symbol: symbol })
+			.catch((e) => {
+				return Promise.reject(new AlertsError(`Unable to lookup instrument [ ${symbol} ]`, e));
+			});
 	}
 
 	return AlertManager;
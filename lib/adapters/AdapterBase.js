@@ -1,6 +1,8 @@
 const assert = require('@barchart/common-js/lang/assert'),
 	Disposable = require('@barchart/common-js/lang/Disposable');
 
+const ConnectionState = require('./ConnectionState');
+
 module.exports = (() => {
 	'use strict';
 
@@ -8,9 +10,14 @@ module.exports = (() => {
 	 * The abstract definition for a transport strategy between the {@link AlertManager} and
 	 * the backend. As a consumer of the SDK, it is unlikely you will need to implement this
 	 * class. However, you will need to select an existing implementation and pass it to your
-	 * {@link AlertManager} instance. Two existing implementations are included in the SDK.
-	 * One uses pure HTTP requests. The other uses the [Socket.IO](https://socket.io/docs/)
-	 * library.
+	 * {@link AlertManager} instance. Three existing implementations are included in the SDK.
+	 * One uses pure HTTP requests. Another uses the [Socket.IO](https://socket.io/docs/)
+	 * library. The last uses the native WebSocket API. For offline development and testing,
+	 * the {@link AdapterForMemory} never leaves the current process.
+	 *
+	 * Each request function accepts an optional ```CancellationToken``` as its last
+	 * argument. When the token is cancelled (e.g. the request timed out), the
+	 * implementation should discard any state held for the request.
 	 *
 	 * @public
 	 * @exported
@@ -18,6 +25,8 @@ module.exports = (() => {
 	 * @extends {Disposable}
 	 * @see {@link AdapterForHttp}
 	 * @see {@link AdapterForSocketIo}
+	 * @see {@link AdapterForWebSockets}
+	 * @see {@link AdapterForMemory}
 	 * @param {String} host
 	 * @param {Number} port
 	 * @param {Boolean} secure
@@ -28,9 +37,10 @@ module.exports = (() => {
 	 * @param {Callbacks.TriggersCreatedCallback=} onTriggersCreated
 	 * @param {Callbacks.TriggersMutatedCallback=} onTriggersMutated
 	 * @param {Callbacks.TriggersDeletedCallback=} onTriggersDeleted
+	 * @param {Callbacks.ConnectionStateChangedCallback=} onConnectionStateChanged
 	 */
 	class AdapterBase extends Disposable {
-		constructor(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted) {
+		constructor(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged) {
 			super();
 
 			assert.argumentIsRequired(host, 'host', String);
@@ -45,6 +55,7 @@ module.exports = (() => {
 			assert.argumentIsOptional(onTriggersCreated, 'onTriggersCreated', Function);
 			assert.argumentIsOptional(onTriggersMutated, 'onTriggersMutated', Function);
 			assert.argumentIsOptional(onTriggersDeleted, 'onTriggersDeleted', Function);
+			assert.argumentIsOptional(onConnectionStateChanged, 'onConnectionStateChanged', Function);
 
 			this._host = host;
 			this._port = port;
@@ -58,6 +69,10 @@ module.exports = (() => {
 			this._onTriggersCreated = onTriggersCreated || emptyCallback;
 			this._onTriggersMutated = onTriggersMutated || emptyCallback;
 			this._onTriggersDeleted = onTriggersDeleted || emptyCallback;
+
+			this._onConnectionStateChanged = onConnectionStateChanged || emptyCallback;
+
+			this._connectionState = ConnectionState.Disconnected;
 		}
 
 		/**
@@ -90,6 +105,16 @@ module.exports = (() => {
 			return this._secure;
 		}
 
+		/**
+		 * The current state of the connection to the backend.
+		 *
+		 * @public
+		 * @returns {ConnectionState}
+		 */
+		get connectionState() {
+			return this._connectionState;
+		}
+
 		/**
 		 * Connects to the backend.
 		 *
@@ -101,27 +126,27 @@ module.exports = (() => {
 			return Promise.reject();
 		}
 
-		createAlert(alert) {
+		createAlert(alert, cancellationToken) {
 			return  null;
 		}
 
-		retrieveAlert(alert) {
+		retrieveAlert(alert, cancellationToken) {
 			return null;
 		}
 
-		updateAlert(alert) {
+		updateAlert(alert, cancellationToken) {
 			return null;
 		}
 
-		updateAlertsForUser(query) {
+		updateAlertsForUser(query, cancellationToken) {
 			return null;
 		}
 
-		deleteAlert(alert) {
+		deleteAlert(alert, cancellationToken) {
 			return null;
 		}
 
-		retrieveAlerts(query) {
+		retrieveAlerts(query, cancellationToken) {
 			return null;
 		}
 
@@ -129,71 +154,71 @@ module.exports = (() => {
 			return null;
 		}
 
-		getTargets() {
+		getTargets(cancellationToken) {
 			return null;
 		}
 
-		getProperties() {
+		getProperties(cancellationToken) {
 			return null;
 		}
 
-		getOperators() {
+		getOperators(cancellationToken) {
 			return null;
 		}
 
-		getModifiers() {
+		getModifiers(cancellationToken) {
 			return null;
 		}
 
-		getPublisherTypes() {
+		getPublisherTypes(cancellationToken) {
 			return null;
 		}
 
-		getPublisherTypeDefaults(query) {
+		getPublisherTypeDefaults(query, cancellationToken) {
 			return null;
 		}
 
-		getTemplates(query) {
+		getTemplates(query, cancellationToken) {
 			return null;
 		}
 
-		createTemplate(template) {
+		createTemplate(template, cancellationToken) {
 			return null;
 		}
 
-		deleteTemplate(template) {
+		deleteTemplate(template, cancellationToken) {
 			return null;
 		}
 
-		assignPublisherTypeDefault(publisherTypeDefault) {
+		assignPublisherTypeDefault(publisherTypeDefault, cancellationToken) {
 			return null;
 		}
 
-		getMarketDataConfiguration(query) {
+		getMarketDataConfiguration(query, cancellationToken) {
 			return null;
 		}
 
-		assignMarketDataConfiguration(marketDataConfiguration) {
+		assignMarketDataConfiguration(marketDataConfiguration, cancellationToken) {
 			return null;
 		}
 
-		getUser() {
+		getUser(cancellationToken) {
 			return null;
 		}
 
-		getServerVersion() {
+		getServerVersion(cancellationToken) {
 			return null;
 		}
 
-		retrieveTriggers(query) {
+		retrieveTriggers(query, cancellationToken) {
 			return  null;
 		}
 
-		updateTrigger(query) {
+		updateTrigger(query, cancellationToken) {
 			return  null;
 		}
 
-		updateTriggers(query) {
+		updateTriggers(query, cancellationToken) {
 			return  null;
 		}
 
@@ -201,6 +226,40 @@ module.exports = (() => {
 			return null;
 		}
 
+		/**
+		 * Forces any subscriptions which are simulated (e.g. by polling) to refresh
+		 * immediately. Adapters which receive pushed events have nothing to do.
+		 *
+		 * @public
+		 * @returns {Promise}
+		 */
+		refresh() {
+			return Promise.resolve();
+		}
+
+		/**
+		 * Changes the connection state and, if the state is different, invokes the
+		 * {@link Callbacks.ConnectionStateChangedCallback}. Intended for use by
+		 * implementing classes. Once the adapter has been disposed, the only
+		 * permitted state is ```Disconnected```.
+		 *
+		 * @protected
+		 * @param {ConnectionState} connectionState
+		 */
+		_setConnectionState(connectionState) {
+			if (this._connectionState === connectionState) {
+				return;
+			}
+
+			if (this.getIsDisposed() && connectionState !== ConnectionState.Disconnected) {
+				return;
+			}
+
+			this._connectionState = connectionState;
+
+			this._onConnectionStateChanged(connectionState);
+		}
+
 		toString() {
 			return '[AdapterBase]';
 		}
@@ -5,33 +5,51 @@ const array = require('@barchart/common-js/lang/array'),
 
 const EndpointBuilder = require('@barchart/common-js/api/http/builders/EndpointBuilder'),
 	ErrorInterceptor = require('@barchart/common-js/api/http/interceptors/ErrorInterceptor'),
-	FailureReason = require('@barchart/common-js/api/failures/FailureReason'),
-	FailureType = require('@barchart/common-js/api/failures/FailureType'),
 	Gateway = require('@barchart/common-js/api/http/Gateway'),
 	ProtocolType = require('@barchart/common-js/api/http/definitions/ProtocolType'),
 	RequestInterceptor = require('@barchart/common-js/api/http/interceptors/RequestInterceptor'),
 	ResponseInterceptor = require('@barchart/common-js/api/http/interceptors/ResponseInterceptor'),
-	Scheduler = require('@barchart/common-js/timing/Scheduler'),
 	VerbType = require('@barchart/common-js/api/http/definitions/VerbType');
 
 const AdapterBase = require('./AdapterBase'),
-	JwtProvider = require('../security/JwtProvider');
+	alertQuery = require('../data/queries/alert'),
+	ConnectionState = require('./ConnectionState'),
+	JwtProvider = require('../security/JwtProvider'),
+	PollingPolicy = require('./PollingPolicy');
+
+const AlertsAuthenticationError = require('../errors/AlertsAuthenticationError'),
+	AlertsConnectionError = require('../errors/AlertsConnectionError'),
+	AlertsError = require('../errors/AlertsError'),
+	AlertsNotFoundError = require('../errors/AlertsNotFoundError'),
+	AlertsValidationError = require('../errors/AlertsValidationError');
 
 module.exports = (() => {
 	'use strict';
 
+	const ACTIVITY_EVENTS = [ 'keydown', 'mousedown', 'mousemove', 'scroll', 'touchstart' ];
+
+	let __pollingPolicy = PollingPolicy.DEFAULT;
+
 	/**
 	 * A backend communication strategy implemented with purely with HTTP requests
 	 * (using the [Axios](https://github.com/axios/axios) library). Short polling
-	 * is used for data feeds.
+	 * is used for data feeds. The frequency of polling is controlled by a
+	 * {@link PollingPolicy} (see {@link AdapterForHttp.setPollingPolicy} and
+	 * {@link AdapterForHttp.withPollingPolicy}).
+	 *
+	 * An HTTP request cannot be withdrawn once it has been sent. When a request is
+	 * cancelled (i.e. it times out or its signal is aborted), the request is abandoned:
+	 * it is not sent (or retried) if it has not been sent yet, and its response is
+	 * ignored. However, the backend may still complete the request (e.g. an alert
+	 * may still be created).
 	 *
 	 * @public
 	 * @exported
 	 * @extends {AdapterBase}
 	 */
 	class AdapterForHttp extends AdapterBase {
-		constructor(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggerCreated, onTriggerMutated, onTriggerDeleted) {
-			super(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggerCreated, onTriggerMutated, onTriggerDeleted);
+		constructor(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggerCreated, onTriggerMutated, onTriggerDeleted, onConnectionStateChanged) {
+			super(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggerCreated, onTriggerMutated, onTriggerDeleted, onConnectionStateChanged);
 
 			assert.argumentIsOptional(host, 'host', String);
 			assert.argumentIsOptional(port, 'port', Number);
@@ -60,7 +78,7 @@ module.exports = (() => {
 				.withBody()
 				.withRequestInterceptor(requestInterceptor)
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._retrieveEndpoint = EndpointBuilder.for('query', 'Query')
@@ -74,7 +92,7 @@ module.exports = (() => {
 				})
 				.withRequestInterceptor(requestInterceptor)
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._queryEndpoint = EndpointBuilder.for('query', 'Query')
@@ -90,7 +108,24 @@ module.exports = (() => {
 				})
 				.withRequestInterceptor(requestInterceptor)
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
+				.endpoint;
+
+			this._queryByKeyEndpoint = EndpointBuilder.for('query-by-key', 'Query by key')
+				.withVerb(VerbType.GET)
+				.withProtocol(protocolType)
+				.withHost(host)
+				.withPort(port)
+				.withPathBuilder((pb) => {
+					pb.withLiteralParameter('alerts', 'alerts')
+						.withLiteralParameter('users', 'users')
+						.withVariableParameter('alert_system', 'alert_system', 'alert_system')
+						.withVariableParameter('user_id', 'user_id', 'user_id')
+						.withVariableParameter('alert_system_key', 'alert_system_key', 'alert_system_key');
+				})
+				.withRequestInterceptor(requestInterceptor)
+				.withResponseInterceptor(ResponseInterceptor.DATA)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._updateEndpoint = EndpointBuilder.for('update-alert', 'Update alert')
@@ -105,7 +140,7 @@ module.exports = (() => {
 				.withBody()
 				.withRequestInterceptor(requestInterceptor)
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._updateAlertsForUserEndpoint = EndpointBuilder.for('update-alert', 'Update alert')
@@ -122,7 +157,7 @@ module.exports = (() => {
 				.withBody()
 				.withRequestInterceptor(requestInterceptor)
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._deleteEndpoint = EndpointBuilder.for('delete-alert', 'Delete alert')
@@ -136,7 +171,7 @@ module.exports = (() => {
 				})
 				.withRequestInterceptor(requestInterceptor)
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._retrieveTargetsEndpoint = EndpointBuilder.for('retrieve-targets', 'Retrieve targets')
@@ -149,7 +184,7 @@ module.exports = (() => {
 						.withLiteralParameter('targets', 'targets');
 				})
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._retrievePropertiesEndpoint = EndpointBuilder.for('retrieve-properties', 'Retrieve properties')
@@ -163,7 +198,7 @@ module.exports = (() => {
 						.withLiteralParameter('properties', 'properties');
 				})
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._retrieveOperatorsEndpoint = EndpointBuilder.for('retrieve-operators', 'Retrieve operators')
@@ -176,7 +211,7 @@ module.exports = (() => {
 						.withLiteralParameter('operators', 'operators');
 				})
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._retrieveModifiersEndpoint = EndpointBuilder.for('retrieve-modifiers', 'Retrieve modifiers')
@@ -189,7 +224,7 @@ module.exports = (() => {
 						.withLiteralParameter('modifiers', 'modifiers');
 				})
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._retrievePublisherTypesEndpoint = EndpointBuilder.for('retrieve-publisher-types', 'Retrieve publisher types')
@@ -202,7 +237,7 @@ module.exports = (() => {
 						.withLiteralParameter('publishers', 'publishers');
 				})
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._retrievePublisherTypeDefaultsEndpoint = EndpointBuilder.for('retrieve-publisher-type-defaults', 'Retrieve publisher type defaults')
@@ -219,7 +254,7 @@ module.exports = (() => {
 				})
 				.withRequestInterceptor(requestInterceptor)
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._retrieveTemplatesEndpoint = EndpointBuilder.for('retrieve-templates', 'Retrieve templates')
@@ -235,7 +270,7 @@ module.exports = (() => {
 				})
 				.withRequestInterceptor(requestInterceptor)
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._createTemplateEndpoint = EndpointBuilder.for('create-template', 'Create template')
@@ -249,7 +284,7 @@ module.exports = (() => {
 				.withBody()
 				.withRequestInterceptor(requestInterceptor)
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._deleteTemplateEndpoint = EndpointBuilder.for('delete-template', 'Delete template')
@@ -263,7 +298,7 @@ module.exports = (() => {
 				})
 				.withRequestInterceptor(requestInterceptor)
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._assignPublisherTypeDefaultEndpoint = EndpointBuilder.for('assign-publisher-type-default', 'Assign default publisher type')
@@ -282,7 +317,7 @@ module.exports = (() => {
 				.withBody()
 				.withRequestInterceptor(requestInterceptor)
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._retrieveMarketDataConfigurationEndpoint = EndpointBuilder.for('get-market-data-configuration', 'Get market data configuration')
@@ -299,7 +334,7 @@ module.exports = (() => {
 				})
 				.withRequestInterceptor(requestInterceptor)
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._assignMarketDataConfigurationEndpoint = EndpointBuilder.for('assign-market-data-configuration', 'Assign market data configuration')
@@ -317,7 +352,7 @@ module.exports = (() => {
 				.withBody()
 				.withRequestInterceptor(requestInterceptor)
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._userEndpoint = EndpointBuilder.for('get-user', 'Get user')
@@ -330,7 +365,7 @@ module.exports = (() => {
 				})
 				.withRequestInterceptor(requestInterceptor)
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._retrieveTriggersEndpoint = EndpointBuilder.for('retrieve-alert-triggers', 'Retrieve alert triggers')
@@ -351,7 +386,7 @@ module.exports = (() => {
 				})
 				.withRequestInterceptor(requestInterceptor)
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._updateTriggerEndpoint = EndpointBuilder.for('update-trigger', 'Update trigger')
@@ -368,7 +403,7 @@ module.exports = (() => {
 				.withBody()
 				.withRequestInterceptor(requestInterceptor)
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._updateTriggersEndpoint = EndpointBuilder.for('update-triggers', 'Update triggers')
@@ -386,7 +421,7 @@ module.exports = (() => {
 				.withBody()
 				.withRequestInterceptor(requestInterceptor)
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
 			this._versionEndpoint = EndpointBuilder.for('get-version', 'Get version')
@@ -399,13 +434,16 @@ module.exports = (() => {
 						.withLiteralParameter('version', 'version');
 				})
 				.withResponseInterceptor(ResponseInterceptor.DATA)
-				.withErrorInterceptor(ErrorInterceptor.GENERAL)
+				.withErrorInterceptor(errorInterceptor)
 				.endpoint;
 
-			this._scheduler = new Scheduler();
-
 			this._alertSubscriberMap = {};
 			this._triggerSubscriberMap = {};
+
+			this._pollingPolicy = __pollingPolicy;
+
+			this._lastActivity = Date.now();
+			this._environmentBinding = null;
 		}
 
 		connect(jwtProvider) {
@@ -415,52 +453,62 @@ module.exports = (() => {
 
 					this._jwtProvider = jwtProvider;
 
+					if (this._environmentBinding === null) {
+						this._environmentBinding = bindEnvironment.call(this);
+					}
+
+					this._setConnectionState(ConnectionState.Connecting);
+
 					return this.getServerVersion()
 						.then(() => {
+							this._setConnectionState(ConnectionState.Connected);
+
 							return Promise.resolve(this);
 						}).catch((e) => {
-							return Promise.reject(`Unable to connect to server using HTTP adapter [ ${this.host} ] [ ${this.port} ] [ ${this.secure} ]`);
+							this._setConnectionState(ConnectionState.Disconnected);
+
+							if (e instanceof AlertsAuthenticationError) {
+								return Promise.reject(e);
+							}
+
+							return Promise.reject(new AlertsConnectionError(`Unable to connect to server using HTTP adapter [ ${this.host} ] [ ${this.port} ] [ ${this.secure} ]`, e));
 						});
 				});
 		}
 
-		createAlert(alert) {
-			return Gateway.invoke(this._createEndpoint, alert);
+		createAlert(alert, cancellationToken) {
+			return invoke.call(this, this._createEndpoint, alert, cancellationToken);
 		}
 
-		retrieveAlert(alert) {
-			return Gateway.invoke(this._retrieveEndpoint, alert);
+		retrieveAlert(alert, cancellationToken) {
+			return invoke.call(this, this._retrieveEndpoint, alert, cancellationToken);
 		}
 
-		updateAlert(alert) {
-			return Gateway.invoke(this._updateEndpoint, alert);
-		}
+		updateAlert(alert, cancellationToken) {
+			return invoke.call(this, this._updateEndpoint, alert, cancellationToken)
+				.then((result) => {
+					const subscriber = result && this._alertSubscriberMap && !getIsCancelled(cancellationToken) ? getSubscriber(this._alertSubscriberMap, result) : null;
 
-		updateAlertsForUser(query) {
-			return Gateway.invoke(this._updateAlertsForUserEndpoint, query);
-		}
+					if (subscriber) {
+						subscriber.processAlert(result);
+					}
 
-		deleteAlert(alert) {
-			return Gateway.invoke(this._deleteEndpoint, alert);
+					return result;
+				});
 		}
 
-		retrieveAlerts(query) {
-			return Gateway.invoke(this._queryEndpoint, query)
-				.then((alerts) => {
-					const subscriber = getSubscriber(this._alertSubscriberMap, query);
+		updateAlertsForUser(query, cancellationToken) {
+			return invoke.call(this, this._updateAlertsForUserEndpoint, query, cancellationToken);
+		}
 
-					if (subscriber) {
-						const clones = alerts.map((alert) => {
-							return Object.assign(alert);
-						});
+		deleteAlert(alert, cancellationToken) {
+			return invoke.call(this, this._deleteEndpoint, alert, cancellationToken);
+		}
 
-						subscriber.processAlerts(clones);
-					}
+		retrieveAlerts(query, cancellationToken) {
+			markActivity.call(this);
 
-					return alerts;
-				}).catch((e) => {
-					console.log(e);
-				});
+			return queryAlerts.call(this, query, cancellationToken);
 		}
 
 		subscribeAlerts(query) {
@@ -480,87 +528,74 @@ module.exports = (() => {
 			});
 		}
 
-		getTargets() {
-			return Gateway.invoke(this._retrieveTargetsEndpoint);
+		getTargets(cancellationToken) {
+			return invoke.call(this, this._retrieveTargetsEndpoint, undefined, cancellationToken);
 		}
 
-		getProperties() {
-			return Gateway.invoke(this._retrievePropertiesEndpoint);
+		getProperties(cancellationToken) {
+			return invoke.call(this, this._retrievePropertiesEndpoint, undefined, cancellationToken);
 		}
 
-		getOperators() {
-			return Gateway.invoke(this._retrieveOperatorsEndpoint);
+		getOperators(cancellationToken) {
+			return invoke.call(this, this._retrieveOperatorsEndpoint, undefined, cancellationToken);
 		}
 
-		getModifiers() {
-			return Gateway.invoke(this._retrieveModifiersEndpoint);
+		getModifiers(cancellationToken) {
+			return invoke.call(this, this._retrieveModifiersEndpoint, undefined, cancellationToken);
 		}
 
-		getPublisherTypes() {
-			return Gateway.invoke(this._retrievePublisherTypesEndpoint);
+		getPublisherTypes(cancellationToken) {
+			return invoke.call(this, this._retrievePublisherTypesEndpoint, undefined, cancellationToken);
 		}
 
-		getPublisherTypeDefaults(query) {
-			return Gateway.invoke(this._retrievePublisherTypeDefaultsEndpoint, query);
+		getPublisherTypeDefaults(query, cancellationToken) {
+			return invoke.call(this, this._retrievePublisherTypeDefaultsEndpoint, query, cancellationToken);
 		}
 
-		getTemplates(query) {
-			return Gateway.invoke(this._retrieveTemplatesEndpoint, query);
+		getTemplates(query, cancellationToken) {
+			return invoke.call(this, this._retrieveTemplatesEndpoint, query, cancellationToken);
 		}
 
-		createTemplate(template) {
-			return Gateway.invoke(this._createTemplateEndpoint, template);
+		createTemplate(template, cancellationToken) {
+			return invoke.call(this, this._createTemplateEndpoint, template, cancellationToken);
 		}
 
-		deleteTemplate(template) {
-			return Gateway.invoke(this._deleteTemplateEndpoint, template);
+		deleteTemplate(template, cancellationToken) {
+			return invoke.call(this, this._deleteTemplateEndpoint, template, cancellationToken);
 		}
 
-		assignPublisherTypeDefault(publisherTypeDefault) {
-			return Gateway.invoke(this._assignPublisherTypeDefaultEndpoint, publisherTypeDefault);
+		assignPublisherTypeDefault(publisherTypeDefault, cancellationToken) {
+			return invoke.call(this, this._assignPublisherTypeDefaultEndpoint, publisherTypeDefault, cancellationToken);
 		}
 
-		getMarketDataConfiguration(query) {
-			return Gateway.invoke(this._retrieveMarketDataConfigurationEndpoint, query);
+		getMarketDataConfiguration(query, cancellationToken) {
+			return invoke.call(this, this._retrieveMarketDataConfigurationEndpoint, query, cancellationToken);
 		}
 
-		assignMarketDataConfiguration(marketDataConfiguration) {
-			return Gateway.invoke(this._assignMarketDataConfigurationEndpoint, marketDataConfiguration);
+		assignMarketDataConfiguration(marketDataConfiguration, cancellationToken) {
+			return invoke.call(this, this._assignMarketDataConfigurationEndpoint, marketDataConfiguration, cancellationToken);
 		}
 
-		getUser() {
-			return Gateway.invoke(this._userEndpoint);
+		getUser(cancellationToken) {
+			return invoke.call(this, this._userEndpoint, undefined, cancellationToken);
 		}
 
-		getServerVersion() {
-			return Gateway.invoke(this._versionEndpoint);
+		getServerVersion(cancellationToken) {
+			return invoke.call(this, this._versionEndpoint, undefined, cancellationToken);
 		}
 
-		retrieveTriggers(query) {
-			return Gateway.invoke(this._retrieveTriggersEndpoint, query)
-				.then((triggers) => {
-					const subscriber = getSubscriber(this._triggerSubscriberMap, query);
+		retrieveTriggers(query, cancellationToken) {
+			markActivity.call(this);
 
-					if (subscriber) {
-						const clones = triggers.map((trigger) => {
-							return object.clone(trigger);
-						});
-
-						subscriber.processTriggers(clones);
-					}
-
-					return triggers;
-				}).catch((e) => {
-					console.log(e);
-				});
+			return queryTriggers.call(this, query, cancellationToken);
 		}
 
-		updateTrigger(query) {
-			return Gateway.invoke(this._updateTriggerEndpoint, query);
+		updateTrigger(query, cancellationToken) {
+			return invoke.call(this, this._updateTriggerEndpoint, query, cancellationToken);
 		}
 
-		updateTriggers(query) {
-			return Gateway.invoke(this._updateTriggersEndpoint, query);
+		updateTriggers(query, cancellationToken) {
+			return invoke.call(this, this._updateTriggersEndpoint, query, cancellationToken);
 		}
 
 		subscribeTriggers(query) {
@@ -580,16 +615,72 @@ module.exports = (() => {
 			});
 		}
 
+		/**
+		 * Polls immediately (for each subscription), regardless of the {@link PollingPolicy}.
+		 *
+		 * @public
+		 * @returns {Promise}
+		 */
+		refresh() {
+			if (this.getIsDisposed()) {
+				return Promise.resolve();
+			}
+
+			markActivity.call(this);
+
+			return Promise.all(getAllSubscribers.call(this).map((subscriber) => subscriber.refresh()));
+		}
+
+		/**
+		 * Changes the {@link PollingPolicy} used by instances which are created afterwards.
+		 *
+		 * @public
+		 * @static
+		 * @param {PollingPolicy} pollingPolicy
+		 */
+		static setPollingPolicy(pollingPolicy) {
+			assert.argumentIsRequired(pollingPolicy, 'pollingPolicy', PollingPolicy, 'PollingPolicy');
+
+			__pollingPolicy = pollingPolicy;
+		}
+
+		/**
+		 * Returns a class (extending {@link AdapterForHttp}) whose instances use the
+		 * specified {@link PollingPolicy}, regardless of the policy assigned with
+		 * {@link AdapterForHttp.setPollingPolicy}. Pass the result to the {@link AlertManager}
+		 * constructor to control polling for a single manager.
+		 *
+		 * @public
+		 * @static
+		 * @param {PollingPolicy} pollingPolicy
+		 * @returns {Function}
+		 */
+		static withPollingPolicy(pollingPolicy) {
+			assert.argumentIsRequired(pollingPolicy, 'pollingPolicy', PollingPolicy, 'PollingPolicy');
+
+			return class extends AdapterForHttp {
+				constructor(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggerCreated, onTriggerMutated, onTriggerDeleted, onConnectionStateChanged) {
+					super(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggerCreated, onTriggerMutated, onTriggerDeleted, onConnectionStateChanged);
+
+					this._pollingPolicy = pollingPolicy;
+				}
+			};
+		}
+
 		_onDispose() {
-			getSubscribers(this._alertSubscriberMap).forEach((subscriber) => {
+			getAllSubscribers.call(this).forEach((subscriber) => {
 				subscriber.dispose();
 			});
 
 			this._alertSubscriberMap = null;
 			this._triggerSubscriberMap = null;
 
-			this._scheduler.dispose();
-			this._scheduler = null;
+			if (this._environmentBinding !== null) {
+				this._environmentBinding.dispose();
+				this._environmentBinding = null;
+			}
+
+			this._setConnectionState(ConnectionState.Disconnected);
 		}
 
 		toString() {
@@ -597,6 +688,131 @@ module.exports = (() => {
 		}
 	}
 
+	function invoke(endpoint, payload, cancellationToken) {
+		markActivity.call(this);
+
+		return send.call(this, endpoint, payload, cancellationToken);
+	}
+
+	function send(endpoint, payload, cancellationToken) {
+		if (getIsCancelled(cancellationToken)) {
+			return Promise.reject(cancellationToken.reason);
+		}
+
+		return Gateway.invoke(endpoint, payload)
+			.catch((e) => {
+				if (e instanceof AlertsAuthenticationError && !getIsCancelled(cancellationToken) && this._jwtProvider !== null && this._jwtProvider.invalidate()) {
+					return Gateway.invoke(endpoint, payload);
+				}
+
+				return Promise.reject(e);
+			});
+	}
+
+	function queryAlerts(query, cancellationToken) {
+		if (query.alert_system_key) {
+			return send.call(this, this._queryByKeyEndpoint, query, cancellationToken);
+		}
+
+		return send.call(this, this._queryEndpoint, query, cancellationToken)
+			.then((alerts) => {
+				const subscriber = this._alertSubscriberMap && !getIsCancelled(cancellationToken) ? getSubscriber(this._alertSubscriberMap, query) : null;
+
+				if (subscriber) {
+					const clones = alerts.map((alert) => {
+						return object.clone(alert);
+					});
+
+					subscriber.processAlerts(clones);
+				}
+
+				return alerts;
+			});
+	}
+
+	function queryTriggers(query, cancellationToken) {
+		return send.call(this, this._retrieveTriggersEndpoint, query, cancellationToken)
+			.then((triggers) => {
+				const subscriber = this._triggerSubscriberMap && !getIsCancelled(cancellationToken) ? getSubscriber(this._triggerSubscriberMap, query) : null;
+
+				if (subscriber) {
+					const clones = triggers.map((trigger) => {
+						return object.clone(trigger);
+					});
+
+					subscriber.processTriggers(clones);
+				}
+
+				return triggers;
+			});
+	}
+
+	function getIsCancelled(cancellationToken) {
+		return Boolean(cancellationToken) && cancellationToken.cancelled;
+	}
+
+	function markActivity() {
+		this._lastActivity = Date.now();
+
+		if (this._alertSubscriberMap !== null) {
+			getAllSubscribers.call(this).forEach((subscriber) => {
+				subscriber.resume();
+			});
+		}
+	}
+
+	function getIsPaused() {
+		const policy = this._pollingPolicy;
+
+		if (policy.pauseWhenHidden && typeof document !== 'undefined' && document.visibilityState === 'hidden') {
+			return true;
+		}
+
+		return policy.idleTimeout !== null && (Date.now() - this._lastActivity) > policy.idleTimeout;
+	}
+
+	function bindEnvironment() {
+		if (typeof document === 'undefined' || typeof document.addEventListener !== 'function') {
+			return Disposable.getEmpty();
+		}
+
+		const visibilityHandler = () => {
+			if (document.visibilityState !== 'hidden') {
+				markActivity.call(this);
+			}
+		};
+
+		let lastActivityEvent = 0;
+
+		const activityHandler = () => {
+			const now = Date.now();
+
+			if (now - lastActivityEvent > 1000) {
+				lastActivityEvent = now;
+
+				markActivity.call(this);
+			}
+		};
+
+		document.addEventListener('visibilitychange', visibilityHandler);
+
+		ACTIVITY_EVENTS.forEach((name) => {
+			document.addEventListener(name, activityHandler, { passive: true });
+		});
+
+		return Disposable.fromAction(() => {
+			document.removeEventListener('visibilitychange', visibilityHandler);
+
+			ACTIVITY_EVENTS.forEach((name) => {
+				document.removeEventListener(name, activityHandler, { passive: true });
+			});
+		});
+	}
+
+	function getAllSubscribers() {
+		return getSubscribers(this._alertSubscriberMap).concat(getSubscribers(this._triggerSubscriberMap));
+	}
+
 	function getSubscriber(subscribers, query) {
 		const userId = query.user_id;
 		const systemId = query.alert_system;
@@ -653,6 +869,7 @@ module.exports = (() => {
 			this._query = query;
 			this._alerts = { };
 
+			this._poller = new Poller(parent, () => queryAlerts.call(parent, query));
 			this._started = false;
 		}
 
@@ -671,18 +888,22 @@ module.exports = (() => {
 				.filter((alertId) => !currentAlerts.hasOwnProperty(alertId))
 				.map((alertId) => this._alerts[alertId]);
 
-			const mutatedAlerts = alerts.filter((alert) => {
-				let returnVal = true;
-
+			const changes = alerts.reduce((map, alert) => {
 				const alertId = alert.alert_id;
 
 				if (this._alerts.hasOwnProperty(alertId)) {
-					const existing = this._alerts[alertId];
-
-					returnVal = existing.alert_state !== alert.alert_state || existing.last_trigger_date !== alert.last_trigger_date;
+					map[alertId] = alertQuery.changes(this._alerts[alertId], alert);
+				} else {
+					map[alertId] = null;
 				}
 
-				return returnVal;
+				return map;
+			}, { });
+
+			const mutatedAlerts = alerts.filter((alert) => {
+				const paths = changes[alert.alert_id];
+
+				return paths === null || paths.length !== 0;
 			});
 
 			const triggeredAlerts = mutatedAlerts.filter((alert) => {
@@ -716,7 +937,7 @@ module.exports = (() => {
 			});
 
 			mutatedAlerts.forEach((alert) => {
-				this._parent._onAlertMutated(alert);
+				this._parent._onAlertMutated(alert, changes[alert.alert_id]);
 			});
 
 			deletedAlerts.forEach((alert) => {
@@ -728,6 +949,22 @@ module.exports = (() => {
 			});
 		}
 
+		processAlert(alert) {
+			const alertId = alert.alert_id;
+
+			if (!this._alerts.hasOwnProperty(alertId)) {
+				return;
+			}
+
+			const paths = alertQuery.changes(this._alerts[alertId], alert);
+
+			this._alerts[alertId] = alert;
+
+			if (paths.length !== 0) {
+				this._parent._onAlertMutated(alert, paths);
+			}
+		}
+
 		start() {
 			if (this._started) {
 				throw new Error('The alert subscriber has already been started.');
@@ -735,18 +972,19 @@ module.exports = (() => {
 
 			this._started = true;
 
-			const poll = (delay) => {
-				this._parent._scheduler.schedule(() => {
-					return this._parent.retrieveAlerts(this._query)
-						.catch((e) => {
+			this._poller.start();
+		}
 
-						}).then(() => {
-							poll(delay || 5000);
-						});
-				}, delay);
-			};
+		refresh() {
+			return this._poller.poll(true);
+		}
 
-			poll(0);
+		resume() {
+			this._poller.resume();
+		}
+
+		_onDispose() {
+			this._poller.dispose();
 		}
 	}
 
@@ -759,6 +997,7 @@ module.exports = (() => {
 			this._query = query;
 			this._triggers = { };
 
+			this._poller = new Poller(parent, () => queryTriggers.call(parent, query));
 			this._started = false;
 		}
 
@@ -825,29 +1064,122 @@ module.exports = (() => {
 
 			this._started = true;
 
-			const poll = (delay) => {
-				this._parent._scheduler.schedule(() => {
-					return this._parent.retrieveTriggers(this._query)
-						.catch((e) => {
+			this._poller.start();
+		}
 
-						}).then(() => {
-							poll(delay || 5000);
-						});
-				}, delay);
-			};
+		refresh() {
+			return this._poller.poll(true);
+		}
+
+		resume() {
+			this._poller.resume();
+		}
 
-			poll(0);
+		_onDispose() {
+			this._poller.dispose();
+		}
+	}
+
+	class Poller extends Disposable {
+		constructor(parent, action) {
+			super();
+
+			this._parent = parent;
+			this._action = action;
+
+			this._timer = null;
+			this._failures = 0;
+			this._paused = false;
+
+			this._pollPromise = null;
+		}
+
+		start() {
+			this.schedule(0, true);
+		}
+
+		schedule(delay, forced) {
+			this.cancel();
+
+			this._timer = setTimeout(() => {
+				this._timer = null;
+
+				this.poll(forced);
+			}, delay);
+		}
+
+		cancel() {
+			if (this._timer !== null) {
+				clearTimeout(this._timer);
+
+				this._timer = null;
+			}
+		}
+
+		poll(forced) {
+			if (this.getIsDisposed()) {
+				return Promise.resolve();
+			}
+
+			if (this._pollPromise !== null) {
+				return this._pollPromise;
+			}
+
+			if (!forced && getIsPaused.call(this._parent)) {
+				this._paused = true;
+
+				return Promise.resolve();
+			}
+
+			this.cancel();
+
+			this._paused = false;
+
+			const policy = this._parent._pollingPolicy;
+
+			this._pollPromise = Promise.resolve()
+				.then(() => {
+					return this._action();
+				}).then(() => {
+					this._failures = 0;
+
+					this._parent._setConnectionState(ConnectionState.Connected);
+				}).catch((e) => {
+					this._failures = this._failures + 1;
+
+					this._parent._setConnectionState(ConnectionState.Connecting);
+
+					policy.fail(e);
+				}).then(() => {
+					this._pollPromise = null;
+
+					if (!this.getIsDisposed()) {
+						this.schedule(policy.getDelay(this._failures), false);
+					}
+				});
+
+			return this._pollPromise;
+		}
+
+		resume() {
+			if (this._paused) {
+				this.poll(false);
+			}
+		}
+
+		_onDispose() {
+			this.cancel();
+		}
+
+		toString() {
+			return '[AdapterForHttp.Poller]';
 		}
 	}
 
 	function getRequestInterceptorForJwt() {
 		return RequestInterceptor.fromDelegate((options, endpoint) => {
 			const getFailure = (e) => {
-				const failure = FailureReason.forRequest({ endpoint: endpoint })
-					.addItem(FailureType.REQUEST_IDENTITY_FAILURE)
-					.format();
-
-				return Promise.reject(failure);
+				return new AlertsAuthenticationError(`Unable to [ ${endpoint.description} ], a JWT token could not be obtained.`, e);
 			};
 
 			if (this._jwtProvider === null) {
@@ -866,5 +1198,38 @@ module.exports = (() => {
 		});
 	}
 
+	const errorInterceptor = ErrorInterceptor.fromDelegate((error, endpoint) => {
+		return ErrorInterceptor.GENERAL.process(error, endpoint)
+			.catch((failure) => {
+				const response = error.response;
+
+				let status;
+
+				if (response) {
+					status = response.status;
+				} else {
+					status = null;
+				}
+
+				const message = `Unable to [ ${endpoint.description} ]`;
+
+				let e;
+
+				if (status === null) {
+					e = new AlertsConnectionError(`${message}, the server could not be reached.`, failure);
+				} else if (status === 401 || status === 403) {
+					e = new AlertsAuthenticationError(`${message}, the request was not authorized.`, failure);
+				} else if (status === 404) {
+					e = new AlertsNotFoundError(`${message}, the object does not exist.`, failure);
+				} else if (status === 400) {
+					e = new AlertsValidationError(`${message}, the request is invalid.`, null, failure);
+				} else {
+					e = new AlertsError(`${message}, the server returned an error [ ${status} ].`, failure);
+				}
+
+				return Promise.reject(e);
+			});
+	});
+
 	return AdapterForHttp;
 })();
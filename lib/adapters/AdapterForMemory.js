@@ -0,0 +1,346 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	Disposable = require('@barchart/common-js/lang/Disposable'),
+	object = require('@barchart/common-js/lang/object');
+
+const AdapterBase = require('./AdapterBase'),
+	ConnectionState = require('./ConnectionState'),
+	JwtProvider = require('../security/JwtProvider'),
+	MemoryBackend = require('../testing/MemoryBackend');
+
+const AlertsConnectionError = require('../errors/AlertsConnectionError');
+
+module.exports = (() => {
+	'use strict';
+
+	let __backend = null;
+
+	/**
+	 * A backend communication strategy which never leaves the current process. Requests
+	 * are served by a {@link MemoryBackend} (seeded from fixtures) and events are pushed
+	 * to subscribers in the same way the real backend pushes events to WebSocket clients.
+	 * Useful for offline development and unit testing.
+	 *
+	 * All instances share the {@link MemoryBackend} assigned using
+	 * {@link AdapterForMemory.setBackend}. If no backend has been assigned, an empty
+	 * backend is created.
+	 *
+	 * @public
+	 * @exported
+	 * @extends {AdapterBase}
+	 */
+	class AdapterForMemory extends AdapterBase {
+		constructor(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged) {
+			super(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged);
+
+			this._backend = AdapterForMemory.getBackend();
+			this._backendRegistration = null;
+
+			this._alertSubscriberMap = { };
+			this._triggerSubscriberMap = { };
+		}
+
+		connect(jwtProvider) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsOptional(jwtProvider, 'jwtProvider', JwtProvider, 'JwtProvider');
+
+					if (this.getIsDisposed() || !this._connectionState.getCanConnect()) {
+						throw new AlertsConnectionError('Unable to connect.');
+					}
+
+					this._setConnectionState(ConnectionState.Connecting);
+
+					this._backendRegistration = this._backend.registerMessageHandler((message) => {
+						processMessage.call(this, message.channel, message.payload);
+					});
+
+					this._setConnectionState(ConnectionState.Connected);
+
+					return this;
+				});
+		}
+
+		createAlert(alert, cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.createAlert(alert), cancellationToken);
+		}
+
+		retrieveAlert(alert, cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.retrieveAlert(alert), cancellationToken);
+		}
+
+		updateAlert(alert, cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.updateAlert(alert), cancellationToken);
+		}
+
+		updateAlertsForUser(query, cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.updateAlertsForUser(query), cancellationToken);
+		}
+
+		deleteAlert(alert, cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.deleteAlert(alert), cancellationToken);
+		}
+
+		retrieveAlerts(query, cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.retrieveAlerts(query), cancellationToken);
+		}
+
+		subscribeAlerts(query) {
+			if (getSubscriber(this._alertSubscriberMap, query) !== null) {
+				throw new Error('An alert subscriber already exists');
+			}
+
+			const subscriber = { query: query, disposed: false };
+
+			putSubscriber(this._alertSubscriberMap, subscriber);
+
+			this.retrieveAlerts(query)
+				.then((alerts) => {
+					if (subscriber.disposed) {
+						return;
+					}
+
+					alerts.forEach((alert) => {
+						this._onAlertMutated(alert);
+					});
+				}).catch((e) => {
+					return;
+				});
+
+			return Disposable.fromAction(() => {
+				subscriber.disposed = true;
+
+				deleteSubscriber(this._alertSubscriberMap, subscriber);
+			});
+		}
+
+		getTargets(cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.getTargets(), cancellationToken);
+		}
+
+		getProperties(cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.getProperties(), cancellationToken);
+		}
+
+		getOperators(cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.getOperators(), cancellationToken);
+		}
+
+		getModifiers(cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.getModifiers(), cancellationToken);
+		}
+
+		getPublisherTypes(cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.getPublisherTypes(), cancellationToken);
+		}
+
+		getPublisherTypeDefaults(query, cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.getPublisherTypeDefaults(query), cancellationToken);
+		}
+
+		getTemplates(query, cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.getTemplates(query), cancellationToken);
+		}
+
+		createTemplate(template, cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.createTemplate(template), cancellationToken);
+		}
+
+		deleteTemplate(template, cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.deleteTemplate(template), cancellationToken);
+		}
+
+		assignPublisherTypeDefault(publisherTypeDefault, cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.assignPublisherTypeDefault(publisherTypeDefault), cancellationToken);
+		}
+
+		getMarketDataConfiguration(query, cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.getMarketDataConfiguration(query), cancellationToken);
+		}
+
+		assignMarketDataConfiguration(marketDataConfiguration, cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.assignMarketDataConfiguration(marketDataConfiguration), cancellationToken);
+		}
+
+		getUser(cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.getUser(), cancellationToken);
+		}
+
+		getServerVersion(cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.getServerVersion(), cancellationToken);
+		}
+
+		retrieveTriggers(query, cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.retrieveTriggers(query), cancellationToken);
+		}
+
+		updateTrigger(query, cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.updateTrigger(query), cancellationToken);
+		}
+
+		updateTriggers(query, cancellationToken) {
+			return sendRequestToBackend.call(this, (backend) => backend.updateTriggers(query), cancellationToken);
+		}
+
+		subscribeTriggers(query) {
+			if (getSubscriber(this._triggerSubscriberMap, query) !== null) {
+				throw new Error('A trigger subscriber already exists');
+			}
+
+			const subscriber = { query: query, disposed: false };
+
+			putSubscriber(this._triggerSubscriberMap, subscriber);
+
+			this.retrieveTriggers(query)
+				.then((triggers) => {
+					if (subscriber.disposed) {
+						return;
+					}
+
+					this._onTriggersMutated(triggers);
+				}).catch((e) => {
+					return;
+				});
+
+			return Disposable.fromAction(() => {
+				subscriber.disposed = true;
+
+				deleteSubscriber(this._triggerSubscriberMap, subscriber);
+			});
+		}
+
+		/**
+		 * Assigns the {@link MemoryBackend} used by instances which are created afterwards.
+		 *
+		 * @public
+		 * @static
+		 * @param {MemoryBackend} backend
+		 */
+		static setBackend(backend) {
+			assert.argumentIsRequired(backend, 'backend', MemoryBackend, 'MemoryBackend');
+
+			__backend = backend;
+		}
+
+		/**
+		 * Returns the {@link MemoryBackend} used by new instances (creating an empty
+		 * backend, if no backend has been assigned).
+		 *
+		 * @public
+		 * @static
+		 * @returns {MemoryBackend}
+		 */
+		static getBackend() {
+			if (__backend === null) {
+				__backend = new MemoryBackend();
+			}
+
+			return __backend;
+		}
+
+		_onDispose() {
+			if (this._backendRegistration !== null) {
+				this._backendRegistration.dispose();
+				this._backendRegistration = null;
+			}
+
+			this._alertSubscriberMap = { };
+			this._triggerSubscriberMap = { };
+
+			this._setConnectionState(ConnectionState.Disconnected);
+		}
+
+		toString() {
+			return '[AdapterForMemory]';
+		}
+	}
+
+	function sendRequestToBackend(action, cancellationToken) {
+		return Promise.resolve()
+			.then(() => {
+				if (!this._connectionState.getCanTransmit()) {
+					throw new AlertsConnectionError('Unable to send data. The adapter is not connected.');
+				}
+
+				if (cancellationToken && cancellationToken.cancelled) {
+					throw cancellationToken.reason;
+				}
+
+				return action(this._backend);
+			});
+	}
+
+	function processMessage(channel, payload) {
+		if (channel === 'alert/created' || channel === 'alert/mutated' || channel === 'alert/deleted' || channel === 'alert/triggered') {
+			if (getSubscriber(this._alertSubscriberMap, payload) === null) {
+				return;
+			}
+
+			const alert = object.clone(payload);
+
+			if (channel === 'alert/created') {
+				this._onAlertCreated(alert);
+			} else if (channel === 'alert/mutated') {
+				this._onAlertMutated(alert);
+			} else if (channel === 'alert/deleted') {
+				this._onAlertDeleted(alert);
+			} else {
+				this._onAlertTriggered(alert);
+			}
+		} else if (channel === 'triggers/created' || channel === 'triggers/mutated' || channel === 'triggers/deleted') {
+			const triggers = payload.filter((trigger) => getSubscriber(this._triggerSubscriberMap, trigger) !== null).map((trigger) => object.clone(trigger));
+
+			if (triggers.length === 0) {
+				return;
+			}
+
+			if (channel === 'triggers/created') {
+				this._onTriggersCreated(triggers);
+			} else if (channel === 'triggers/mutated') {
+				this._onTriggersMutated(triggers);
+			} else {
+				this._onTriggersDeleted(triggers);
+			}
+		}
+	}
+
+	function getSubscriber(subscribers, query) {
+		const userId = query.user_id;
+		const systemId = query.alert_system;
+
+		let returnRef;
+
+		if (subscribers.hasOwnProperty(userId) && subscribers[userId].hasOwnProperty(systemId)) {
+			returnRef = subscribers[userId][systemId];
+		} else {
+			returnRef = null;
+		}
+
+		return returnRef;
+	}
+
+	function putSubscriber(subscribers, subscriber) {
+		const query = subscriber.query;
+
+		const userId = query.user_id;
+		const systemId = query.alert_system;
+
+		if (!subscribers.hasOwnProperty(userId)) {
+			subscribers[userId] = { };
+		}
+
+		subscribers[userId][systemId] = subscriber;
+	}
+
+	function deleteSubscriber(subscribers, subscriber) {
+		const query = subscriber.query;
+
+		const userId = query.user_id;
+		const systemId = query.alert_system;
+
+		if (subscribers.hasOwnProperty(userId) && subscribers[userId][systemId] === subscriber) {
+			delete subscribers[userId][systemId];
+		}
+	}
+
+	return AdapterForMemory;
+})();
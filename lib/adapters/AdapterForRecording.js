@@ -0,0 +1,237 @@
+const assert = require('@barchart/common-js/lang/assert');
+
+const AdapterBase = require('./AdapterBase'),
+	AdapterLog = require('../testing/AdapterLog');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * A decorator which wraps another adapter, writing every request, response, and pushed
+	 * event (i.e. ```alert/*``` and ```triggers/*```) to an {@link AdapterLog}. The log can
+	 * be saved as JSON and fed back into an {@link AlertManager} using {@link AdapterForReplay}.
+	 *
+	 * Since the {@link AlertManager} constructs its own adapter, use
+	 * {@link AdapterForRecording.forAdapter} to create the class to pass to the
+	 * {@link AlertManager}.
+	 *
+	 * @public
+	 * @exported
+	 * @extends {AdapterBase}
+	 * @param {Function} adapterClazz - The class of the adapter to wrap (e.g. {@link AdapterForSocketIo}).
+	 * @param {AdapterLog} log
+	 */
+	class AdapterForRecording extends AdapterBase {
+		constructor(adapterClazz, log, host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged) {
+			super(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged);
+
+			assert.argumentIsRequired(adapterClazz, 'adapterClazz', Function);
+			assert.argumentIsRequired(log, 'log', AdapterLog, 'AdapterLog');
+
+			this._log = log;
+
+			const record = (channel, callback) => {
+				return (data, changes) => {
+					this._log.record('event', channel, data);
+
+					callback(data, changes);
+				};
+			};
+
+			this._adapter = new adapterClazz(host, port, secure,
+				record('alert/created', this._onAlertCreated),
+				record('alert/mutated', this._onAlertMutated),
+				record('alert/deleted', this._onAlertDeleted),
+				record('alert/triggered', this._onAlertTriggered),
+				record('triggers/created', this._onTriggersCreated),
+				record('triggers/mutated', this._onTriggersMutated),
+				record('triggers/deleted', this._onTriggersDeleted),
+				(connectionState) => this._setConnectionState(connectionState));
+		}
+
+		/**
+		 * The log which is being written.
+		 *
+		 * @public
+		 * @returns {AdapterLog}
+		 */
+		get log() {
+			return this._log;
+		}
+
+		connect(jwtProvider) {
+			return this._adapter.connect(jwtProvider)
+				.then(() => {
+					return this;
+				});
+		}
+
+		createAlert(alert, cancellationToken) {
+			return sendRequest.call(this, 'createAlert', alert, () => this._adapter.createAlert(alert, cancellationToken));
+		}
+
+		retrieveAlert(alert, cancellationToken) {
+			return sendRequest.call(this, 'retrieveAlert', alert, () => this._adapter.retrieveAlert(alert, cancellationToken));
+		}
+
+		updateAlert(alert, cancellationToken) {
+			return sendRequest.call(this, 'updateAlert', alert, () => this._adapter.updateAlert(alert, cancellationToken));
+		}
+
+		updateAlertsForUser(query, cancellationToken) {
+			return sendRequest.call(this, 'updateAlertsForUser', query, () => this._adapter.updateAlertsForUser(query, cancellationToken));
+		}
+
+		deleteAlert(alert, cancellationToken) {
+			return sendRequest.call(this, 'deleteAlert', alert, () => this._adapter.deleteAlert(alert, cancellationToken));
+		}
+
+		retrieveAlerts(query, cancellationToken) {
+			return sendRequest.call(this, 'retrieveAlerts', query, () => this._adapter.retrieveAlerts(query, cancellationToken));
+		}
+
+		subscribeAlerts(query) {
+			this._log.record('subscription', 'subscribeAlerts', query);
+
+			return this._adapter.subscribeAlerts(query);
+		}
+
+		getTargets(cancellationToken) {
+			return sendRequest.call(this, 'getTargets', undefined, () => this._adapter.getTargets(cancellationToken));
+		}
+
+		getProperties(cancellationToken) {
+			return sendRequest.call(this, 'getProperties', undefined, () => this._adapter.getProperties(cancellationToken));
+		}
+
+		getOperators(cancellationToken) {
+			return sendRequest.call(this, 'getOperators', undefined, () => this._adapter.getOperators(cancellationToken));
+		}
+
+		getModifiers(cancellationToken) {
+			return sendRequest.call(this, 'getModifiers', undefined, () => this._adapter.getModifiers(cancellationToken));
+		}
+
+		getPublisherTypes(cancellationToken) {
+			return sendRequest.call(this, 'getPublisherTypes', undefined, () => this._adapter.getPublisherTypes(cancellationToken));
+		}
+
+		getPublisherTypeDefaults(query, cancellationToken) {
+			return sendRequest.call(this, 'getPublisherTypeDefaults', query, () => this._adapter.getPublisherTypeDefaults(query, cancellationToken));
+		}
+
+		getTemplates(query, cancellationToken) {
+			return sendRequest.call(this, 'getTemplates', query, () => this._adapter.getTemplates(query, cancellationToken));
+		}
+
+		createTemplate(template, cancellationToken) {
+			return sendRequest.call(this, 'createTemplate', template, () => this._adapter.createTemplate(template, cancellationToken));
+		}
+
+		deleteTemplate(template, cancellationToken) {
+			return sendRequest.call(this, 'deleteTemplate', template, () => this._adapter.deleteTemplate(template, cancellationToken));
+		}
+
+		assignPublisherTypeDefault(publisherTypeDefault, cancellationToken) {
+			return sendRequest.call(this, 'assignPublisherTypeDefault', publisherTypeDefault, () => this._adapter.assignPublisherTypeDefault(publisherTypeDefault, cancellationToken));
+		}
+
+		getMarketDataConfiguration(query, cancellationToken) {
+			return sendRequest.call(this, 'getMarketDataConfiguration', query, () => this._adapter.getMarketDataConfiguration(query, cancellationToken));
+		}
+
+		assignMarketDataConfiguration(marketDataConfiguration, cancellationToken) {
+			return sendRequest.call(this, 'assignMarketDataConfiguration', marketDataConfiguration, () => this._adapter.assignMarketDataConfiguration(marketDataConfiguration, cancellationToken));
+		}
+
+		getUser(cancellationToken) {
+			return sendRequest.call(this, 'getUser', undefined, () => this._adapter.getUser(cancellationToken));
+		}
+
+		getServerVersion(cancellationToken) {
+			return sendRequest.call(this, 'getServerVersion', undefined, () => this._adapter.getServerVersion(cancellationToken));
+		}
+
+		retrieveTriggers(query, cancellationToken) {
+			return sendRequest.call(this, 'retrieveTriggers', query, () => this._adapter.retrieveTriggers(query, cancellationToken));
+		}
+
+		updateTrigger(query, cancellationToken) {
+			return sendRequest.call(this, 'updateTrigger', query, () => this._adapter.updateTrigger(query, cancellationToken));
+		}
+
+		updateTriggers(query, cancellationToken) {
+			return sendRequest.call(this, 'updateTriggers', query, () => this._adapter.updateTriggers(query, cancellationToken));
+		}
+
+		subscribeTriggers(query) {
+			this._log.record('subscription', 'subscribeTriggers', query);
+
+			return this._adapter.subscribeTriggers(query);
+		}
+
+		refresh() {
+			return this._adapter.refresh();
+		}
+
+		/**
+		 * Returns a class (which can be passed to an {@link AlertManager}) that wraps
+		 * another adapter, writing its traffic to a log.
+		 *
+		 * @public
+		 * @static
+		 * @param {Function} adapterClazz - The class of the adapter to wrap (e.g. {@link AdapterForSocketIo}).
+		 * @param {AdapterLog} log
+		 * @returns {Function}
+		 */
+		static forAdapter(adapterClazz, log) {
+			assert.argumentIsRequired(adapterClazz, 'adapterClazz', Function);
+			assert.argumentIsRequired(log, 'log', AdapterLog, 'AdapterLog');
+
+			return class extends AdapterForRecording {
+				constructor(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged) {
+					super(adapterClazz, log, host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged);
+				}
+			};
+		}
+
+		_onDispose() {
+			this._adapter.dispose();
+		}
+
+		toString() {
+			return '[AdapterForRecording]';
+		}
+	}
+
+	function sendRequest(name, payload, action) {
+		const sequence = this._log.next();
+
+		this._log.record('request', name, payload, sequence);
+
+		return Promise.resolve()
+			.then(() => {
+				return action();
+			}).then((response) => {
+				this._log.record('response', name, response, sequence);
+
+				return response;
+			}).catch((e) => {
+				const failure = { };
+
+				if (e instanceof Error) {
+					failure.name = e.name;
+					failure.message = e.message;
+				} else {
+					failure.name = null;
+					failure.message = String(e);
+				}
+
+				this._log.record('failure', name, failure, sequence);
+
+				throw e;
+			});
+	}
+
+	return AdapterForRecording;
+})();
@@ -0,0 +1,295 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	Disposable = require('@barchart/common-js/lang/Disposable'),
+	is = require('@barchart/common-js/lang/is'),
+	object = require('@barchart/common-js/lang/object'),
+	Scheduler = require('@barchart/common-js/timing/Scheduler');
+
+const AdapterBase = require('./AdapterBase'),
+	AdapterLog = require('../testing/AdapterLog'),
+	ConnectionState = require('./ConnectionState');
+
+const AlertsAuthenticationError = require('../errors/AlertsAuthenticationError'),
+	AlertsConnectionError = require('../errors/AlertsConnectionError'),
+	AlertsError = require('../errors/AlertsError'),
+	AlertsNotFoundError = require('../errors/AlertsNotFoundError'),
+	AlertsValidationError = require('../errors/AlertsValidationError');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * An adapter which feeds an {@link AdapterLog} (written by {@link AdapterForRecording})
+	 * back into an {@link AlertManager}. After connecting, the recorded events (i.e.
+	 * ```alert/*``` and ```triggers/*```) are pushed with their original spacing, divided
+	 * by the ```speed``` factor. Each request is answered with the next recorded response
+	 * (or failure) for the same function.
+	 *
+	 * Since the {@link AlertManager} constructs its own adapter, use
+	 * {@link AdapterForReplay.forLog} to create the class to pass to the
+	 * {@link AlertManager}.
+	 *
+	 * @public
+	 * @exported
+	 * @extends {AdapterBase}
+	 * @param {AdapterLog} log
+	 * @param {Number=} speed - A factor used to accelerate time (e.g. a value of 10 replays events ten times faster than they were recorded). The default is one.
+	 */
+	class AdapterForReplay extends AdapterBase {
+		constructor(log, speed, host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged) {
+			super(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged);
+
+			assert.argumentIsRequired(log, 'log', AdapterLog, 'AdapterLog');
+			assert.argumentIsOptional(speed, 'speed', Number);
+
+			if (is.number(speed) && !(speed > 0)) {
+				throw new Error('The "speed" argument must be a positive number.');
+			}
+
+			this._log = log;
+			this._speed = speed || 1;
+
+			this._responses = log.entries.reduce((map, entry) => {
+				if (entry.type === 'response' || entry.type === 'failure') {
+					if (!map.hasOwnProperty(entry.name)) {
+						map[entry.name] = [ ];
+					}
+
+					map[entry.name].push(entry);
+				}
+
+				return map;
+			}, { });
+
+			this._scheduler = new Scheduler();
+		}
+
+		connect(jwtProvider) {
+			return Promise.resolve()
+				.then(() => {
+					if (this.getIsDisposed() || !this._connectionState.getCanConnect()) {
+						throw new AlertsConnectionError('Unable to connect.');
+					}
+
+					this._setConnectionState(ConnectionState.Connecting);
+					this._setConnectionState(ConnectionState.Connected);
+
+					scheduleEvents.call(this);
+
+					return this;
+				});
+		}
+
+		createAlert(alert, cancellationToken) {
+			return replayResponse.call(this, 'createAlert');
+		}
+
+		retrieveAlert(alert, cancellationToken) {
+			return replayResponse.call(this, 'retrieveAlert');
+		}
+
+		updateAlert(alert, cancellationToken) {
+			return replayResponse.call(this, 'updateAlert');
+		}
+
+		updateAlertsForUser(query, cancellationToken) {
+			return replayResponse.call(this, 'updateAlertsForUser');
+		}
+
+		deleteAlert(alert, cancellationToken) {
+			return replayResponse.call(this, 'deleteAlert');
+		}
+
+		retrieveAlerts(query, cancellationToken) {
+			return replayResponse.call(this, 'retrieveAlerts');
+		}
+
+		subscribeAlerts(query) {
+			return Disposable.getEmpty();
+		}
+
+		getTargets(cancellationToken) {
+			return replayResponse.call(this, 'getTargets');
+		}
+
+		getProperties(cancellationToken) {
+			return replayResponse.call(this, 'getProperties');
+		}
+
+		getOperators(cancellationToken) {
+			return replayResponse.call(this, 'getOperators');
+		}
+
+		getModifiers(cancellationToken) {
+			return replayResponse.call(this, 'getModifiers');
+		}
+
+		getPublisherTypes(cancellationToken) {
+			return replayResponse.call(this, 'getPublisherTypes');
+		}
+
+		getPublisherTypeDefaults(query, cancellationToken) {
+			return replayResponse.call(this, 'getPublisherTypeDefaults');
+		}
+
+		getTemplates(query, cancellationToken) {
+			return replayResponse.call(this, 'getTemplates');
+		}
+
+		createTemplate(template, cancellationToken) {
+			return replayResponse.call(this, 'createTemplate');
+		}
+
+		deleteTemplate(template, cancellationToken) {
+			return replayResponse.call(this, 'deleteTemplate');
+		}
+
+		assignPublisherTypeDefault(publisherTypeDefault, cancellationToken) {
+			return replayResponse.call(this, 'assignPublisherTypeDefault');
+		}
+
+		getMarketDataConfiguration(query, cancellationToken) {
+			return replayResponse.call(this, 'getMarketDataConfiguration');
+		}
+
+		assignMarketDataConfiguration(marketDataConfiguration, cancellationToken) {
+			return replayResponse.call(this, 'assignMarketDataConfiguration');
+		}
+
+		getUser(cancellationToken) {
+			return replayResponse.call(this, 'getUser');
+		}
+
+		getServerVersion(cancellationToken) {
+			return replayResponse.call(this, 'getServerVersion');
+		}
+
+		retrieveTriggers(query, cancellationToken) {
+			return replayResponse.call(this, 'retrieveTriggers');
+		}
+
+		updateTrigger(query, cancellationToken) {
+			return replayResponse.call(this, 'updateTrigger');
+		}
+
+		updateTriggers(query, cancellationToken) {
+			return replayResponse.call(this, 'updateTriggers');
+		}
+
+		subscribeTriggers(query) {
+			return Disposable.getEmpty();
+		}
+
+		/**
+		 * Returns a class (which can be passed to an {@link AlertManager}) that replays
+		 * a log.
+		 *
+		 * @public
+		 * @static
+		 * @param {AdapterLog} log
+		 * @param {Number=} speed - A factor used to accelerate time (default is one).
+		 * @returns {Function}
+		 */
+		static forLog(log, speed) {
+			assert.argumentIsRequired(log, 'log', AdapterLog, 'AdapterLog');
+			assert.argumentIsOptional(speed, 'speed', Number);
+
+			return class extends AdapterForReplay {
+				constructor(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged) {
+					super(log, speed, host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged);
+				}
+			};
+		}
+
+		_onDispose() {
+			this._scheduler.dispose();
+			this._scheduler = null;
+
+			this._setConnectionState(ConnectionState.Disconnected);
+		}
+
+		toString() {
+			return '[AdapterForReplay]';
+		}
+	}
+
+	function scheduleEvents() {
+		const entries = this._log.entries;
+
+		if (entries.length === 0) {
+			return;
+		}
+
+		const start = entries[0].timestamp;
+
+		entries.filter((entry) => entry.type === 'event').forEach((entry) => {
+			const delay = Math.max(entry.timestamp - start, 0) / this._speed;
+
+			this._scheduler.schedule(() => {
+				if (this.getIsDisposed()) {
+					return;
+				}
+
+				pushEvent.call(this, entry.name, object.clone(entry.data));
+			}, Math.round(delay), `Replay [ ${entry.name} ]`);
+		});
+	}
+
+	function pushEvent(channel, payload) {
+		if (channel === 'alert/created') {
+			this._onAlertCreated(payload);
+		} else if (channel === 'alert/mutated') {
+			this._onAlertMutated(payload);
+		} else if (channel === 'alert/deleted') {
+			this._onAlertDeleted(payload);
+		} else if (channel === 'alert/triggered') {
+			this._onAlertTriggered(payload);
+		} else if (channel === 'triggers/created') {
+			this._onTriggersCreated(payload);
+		} else if (channel === 'triggers/mutated') {
+			this._onTriggersMutated(payload);
+		} else if (channel === 'triggers/deleted') {
+			this._onTriggersDeleted(payload);
+		}
+	}
+
+	function replayResponse(name) {
+		return Promise.resolve()
+			.then(() => {
+				if (!this._connectionState.getCanTransmit()) {
+					throw new AlertsConnectionError('Unable to send data. The adapter is not connected.');
+				}
+
+				const queue = this._responses[name];
+
+				if (!queue || queue.length === 0) {
+					throw new AlertsError(`Unable to replay [ ${name} ], the log does not contain another response.`);
+				}
+
+				const entry = queue.shift();
+
+				if (entry.type === 'failure') {
+					throw getError(entry.data);
+				}
+
+				return object.clone(entry.data);
+			});
+	}
+
+	function getError(failure) {
+		const message = failure.message;
+
+		if (failure.name === 'AlertsConnectionError') {
+			return new AlertsConnectionError(message, failure);
+		} else if (failure.name === 'AlertsAuthenticationError') {
+			return new AlertsAuthenticationError(message, failure);
+		} else if (failure.name === 'AlertsNotFoundError') {
+			return new AlertsNotFoundError(message, failure);
+		} else if (failure.name === 'AlertsValidationError') {
+			return new AlertsValidationError(message, null, failure);
+		} else {
+			return new AlertsError(message, failure);
+		}
+	}
+
+	return AdapterForReplay;
+})();
@@ -1,84 +1,36 @@
-const io = require('socket.io-client'),
-	uuid = require('uuid');
+const io = require('socket.io-client');
 
 const assert = require('@barchart/common-js/lang/assert'),
-	Disposable = require('@barchart/common-js/lang/Disposable'),
 	promise = require('@barchart/common-js/lang/promise');
 
-const AdapterBase = require('./AdapterBase'),
+const ConnectionState = require('./ConnectionState'),
+	SocketAdapterBase = require('./SocketAdapterBase'),
 	JwtProvider = require('../security/JwtProvider');
 
+const AlertsConnectionError = require('../errors/AlertsConnectionError');
+
 module.exports = (() => {
 	'use strict';
 
-	class ConnectionState {
-		constructor(description, canTransmit, canReceive, canConnect, canDisconnect) {
-			assert.argumentIsRequired(description, 'description', String);
-			assert.argumentIsRequired(canTransmit, 'canTransmit', Boolean);
-			assert.argumentIsRequired(canReceive, 'canReceive', Boolean);
-			assert.argumentIsRequired(canConnect, 'canConnect', Boolean);
-			assert.argumentIsRequired(canDisconnect, 'canDisconnect', Boolean);
-
-			this._description = description;
-
-			this._canTransmit = canTransmit;
-			this._canReceive = canReceive;
-
-			this._canConnect = canConnect;
-			this._canDisconnect = canDisconnect;
-		}
-
-		getDescription() {
-			return this._description;
-		}
-
-		getCanTransmit() {
-			return this._canTransmit;
-		}
-
-		getCanReceive() {
-			return this._canReceive;
-		}
-
-		getCanConnect() {
-			return this._canConnect;
-		}
-
-		getCanDisconnect() {
-			return this._canDisconnect;
-		}
-
-		toString() {
-			return `[ConnectionState (description: ${this._description})]`;
-		}
-	}
-
-	ConnectionState.Connecting = new ConnectionState('connecting', false, false, false, true);
-	ConnectionState.Connected = new ConnectionState('connected', true, true, false, true);
-	ConnectionState.Disconnecting = new ConnectionState('disconnecting', false, false, false, false);
-	ConnectionState.Disconnected = new ConnectionState('disconnected', false, false, true, false);
+	const CHANNELS = [ 'response', 'alert/created', 'alert/mutated', 'alert/deleted', 'alert/triggered', 'triggers/created', 'triggers/mutated', 'triggers/deleted' ];
 
 	/**
 	 * A backend communication strategy implemented with the [Socket.IO](https://socket.io/docs/) library.
 	 * The Socket.IO will use a WebSocket in modern browsers.
 	 *
+	 * When the connection is lost, the adapter attempts to reconnect according
+	 * to a {@link ReconnectionPolicy} (see {@link SocketAdapterBase.setReconnectionPolicy}).
+	 * Failed requests are rejected as described by {@link SocketAdapterBase}.
+	 *
 	 * @public
 	 * @exported
-	 * @extends {AdapterBase}
+	 * @extends {SocketAdapterBase}
 	 */
-	class AdapterForSocketIo extends AdapterBase {
-		constructor(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted) {
-			super(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted);
+	class AdapterForSocketIo extends SocketAdapterBase {
+		constructor(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged) {
+			super(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged);
 
 			this._socket = null;
-			this._connectionState = ConnectionState.Disconnected;
-
-			this._requestMap = {};
-
-			this._alertSubscriberMap = {};
-			this._triggerSubscriberMap = {};
-
-			this._jwtProvider = null;
 		}
 
 		connect(jwtProvider) {
@@ -96,213 +48,93 @@ module.exports = (() => {
 						protocol = 'http';
 					}
 
-					this._socket = io.connect(`${protocol}://${this.host}:${this.port}`, {transports: ['websocket'], secure: this.secure, forceNew: true});
+					this._setConnectionState(ConnectionState.Connecting);
 
-					this._socket.on('connect', () => {
-						this._requestMap = {};
+					const policy = this._reconnectionPolicy;
 
-						changeConnectionState.call(this, ConnectionState.Connected);
+					const options = { };
 
-						resolveCallback(this);
-					});
+					options.transports = [ 'websocket' ];
+					options.secure = this.secure;
+					options.forceNew = true;
 
-					this._socket.on('reconnecting', () => {
-						changeConnectionState.call(this, ConnectionState.Connecting);
-					});
+					options.reconnection = policy.maximumAttempts !== 0;
+					options.reconnectionAttempts = policy.maximumAttempts === null ? Infinity : policy.maximumAttempts;
+					options.reconnectionDelay = policy.minimumDelay;
+					options.reconnectionDelayMax = policy.maximumDelay;
+					options.randomizationFactor = policy.jitter;
 
-					this._socket.on('reconnect', () => {
-						changeConnectionState.call(this, ConnectionState.Connected);
+					this._socket = io.connect(`${protocol}://${this.host}:${this.port}`, options);
 
-						getSubscribers(this._alertSubscriberMap).forEach((subscriber) => {
-							subscriber.subscribe();
-						});
+					this._socket.on('connect', () => {
+						this._setConnectionState(ConnectionState.Connected);
 
-						getSubscribers(this._triggerSubscriberMap).forEach((subscriber) => {
-							subscriber.subscribe();
-						});
+						resolveCallback(this);
 					});
 
-					this._socket.on('response', (data) => {
-						const requestId = data.requestId;
+					this._socket.on('disconnect', (reason) => {
+						if (reason === 'io client disconnect') {
+							this._setConnectionState(ConnectionState.Disconnected);
+
+							this._rejectPendingRequests(new AlertsConnectionError('Unable to complete request. The socket was disconnected.'));
+						} else if (!options.reconnection) {
+							this._setConnectionState(ConnectionState.Disconnected);
 
-						if (requestId) {
-							const requestCallback = this._requestMap[requestId];
+							this._rejectPendingRequests(new AlertsConnectionError('Unable to complete request. The connection was lost.'));
 
-							if (requestCallback) {
-								delete this._requestMap[requestId];
+							policy.giveUp();
+						} else {
+							this._setConnectionState(ConnectionState.Connecting);
 
-								requestCallback(data.response);
+							if (!policy.replayRequests) {
+								this._rejectPendingRequests(new AlertsConnectionError('Unable to complete request. The connection was lost.'));
 							}
 						}
 					});
 
-					this._socket.on('alert/created', (alert) => {
-						this._onAlertCreated(alert);
+					this._socket.on('reconnecting', () => {
+						this._setConnectionState(ConnectionState.Connecting);
 					});
 
-					this._socket.on('alert/mutated', (alert) => {
-						this._onAlertMutated(alert);
-					});
+					this._socket.on('reconnect', () => {
+						this._setConnectionState(ConnectionState.Connected);
 
-					this._socket.on('alert/deleted', (alert) => {
-						this._onAlertDeleted(alert);
+						this._onReconnected();
 					});
 
-					this._socket.on('alert/triggered', (alert) => {
-						this._onAlertTriggered(alert);
-					});
+					this._socket.on('reconnect_failed', () => {
+						this._setConnectionState(ConnectionState.Disconnected);
 
-					this._socket.on('triggers/created', (triggers) => {
-						this._onTriggersCreated(triggers);
-					});
+						this._rejectPendingRequests(new AlertsConnectionError('Unable to complete request. Unable to reconnect.'));
+						rejectCallback(new AlertsConnectionError('Unable to connect.'));
 
-					this._socket.on('triggers/mutated', (triggers) => {
-						this._onTriggersMutated(triggers);
+						policy.giveUp();
 					});
 
-					this._socket.on('triggers/deleted', (triggers) => {
-						this._onTriggersDeleted(triggers);
+					CHANNELS.forEach((channel) => {
+						this._socket.on(channel, (data) => {
+							this._processMessage(channel, data);
+						});
 					});
 				} else {
-					rejectCallback('Unable to connect.');
+					rejectCallback(new AlertsConnectionError('Unable to connect.'));
 				}
 			});
 		}
 
-		createAlert(alert) {
-			return sendRequestToServer.call(this, 'alerts/create', alert, true);
-		}
-
-		retrieveAlert(alert) {
-			return sendRequestToServer.call(this, 'alerts/retrieve', alert, true);
-		}
-
-		updateAlert(alert) {
-			return sendRequestToServer.call(this, 'alerts/update', alert, true);
-		}
-
-		updateAlertsForUser(query) {
-			return sendRequestToServer.call(this, 'alerts/update/user', query, true);
-		}
-
-		deleteAlert(alert) {
-			return sendRequestToServer.call(this, 'alerts/delete', alert, true);
-		}
-
-		retrieveAlerts(user) {
-			return sendRequestToServer.call(this, 'alerts/retrieve/user', user, true);
-		}
-
-		subscribeAlerts(query) {
-			if (getSubscriber(this._alertSubscriberMap, query) !== null) {
-				throw new Error('An alert subscriber already exists');
+		_transmit(channel, payload) {
+			if (this._socket === null) {
+				throw new AlertsConnectionError('Unable to send data. The socket is not connected.');
 			}
 
-			const subscriber = new AlertSubscriber(this, query);
-			subscriber.subscribe();
-
-			putSubscriber(this._alertSubscriberMap, subscriber);
-
-			return Disposable.fromAction(() => {
-				deleteSubscriber(this._alertSubscriberMap, subscriber);
-
-				subscriber.dispose();
-			});
-		}
-
-		getTargets() {
-			return sendRequestToServer.call(this, 'alert/targets/retrieve', {});
-		}
-
-		getProperties() {
-			return sendRequestToServer.call(this, 'alert/targets/properties/retrieve', {});
-		}
-
-		getOperators() {
-			return sendRequestToServer.call(this, 'alert/operators/retrieve', {});
-		}
-
-		getModifiers() {
-			return sendRequestToServer.call(this, 'alert/modifiers/retrieve', {});
-		}
-
-		getPublisherTypes() {
-			return sendRequestToServer.call(this, 'alert/publishers/retrieve', {});
-		}
-
-		getPublisherTypeDefaults(query) {
-			return sendRequestToServer.call(this, 'alert/publishers/default/retrieve', query, true);
-		}
-
-		getTemplates(query) {
-			return sendRequestToServer.call(this, 'templates/retrieve/user', query, true);
-		}
-
-		createTemplate(template) {
-			return sendRequestToServer.call(this, 'templates/create', template, true);
-		}
-
-		deleteTemplate(template) {
-			return sendRequestToServer.call(this, 'templates/delete', template, true);
-		}
-
-		assignPublisherTypeDefault(publisherTypeDefault) {
-			return sendRequestToServer.call(this, 'alert/publishers/default/update', publisherTypeDefault, true);
-		}
-
-		getMarketDataConfiguration(query) {
-			return sendRequestToServer.call(this, 'alert/market/configuration/retrieve', query, true);
-		}
-
-		assignMarketDataConfiguration(marketDataConfiguration) {
-			return sendRequestToServer.call(this, 'alert/market/configuration/update', marketDataConfiguration, true);
-		}
-
-		getUser() {
-			return sendRequestToServer.call(this, 'user/retrieve', {}, true);
-		}
-
-		getServerVersion() {
-			return sendRequestToServer.call(this, 'server/version', {});
-		}
-
-		retrieveTriggers(query) {
-			return sendRequestToServer.call(this, 'alert/triggers/retrieve/user', query, true);
-		}
-
-		updateTrigger(query) {
-			return sendRequestToServer.call(this, 'alert/triggers/update', query, true);
-		}
-
-		updateTriggers(query) {
-			return sendRequestToServer.call(this, 'alert/triggers/update/user', query, true);
+			this._socket.emit(channel, payload);
 		}
 
-		subscribeTriggers(query) {
-			if (getSubscriber(this._triggerSubscriberMap, query) !== null) {
-				throw new Error('A trigger subscriber already exists');
-			}
-
-			const subscriber = new TriggerSubscriber(this, query);
-			subscriber.subscribe();
-
-			putSubscriber(this._triggerSubscriberMap, subscriber);
-
-			return Disposable.fromAction(() => {
-				deleteSubscriber(this._triggerSubscriberMap, subscriber);
-
-				subscriber.dispose();
-			});
-		}
-
-		_onDispose() {
+		_disconnect() {
 			if (this._socket) {
 				this._socket.disconnect();
 				this._socket = null;
 			}
-
-			this._alertSubscriberMap = { };
-			this._triggerSubscriberMap = { };
 		}
 
 		toString() {
@@ -310,196 +142,5 @@ module.exports = (() => {
 		}
 	}
 
-	function sendToServer(channel, payload, secure) {
-		if (this._connectionState.getCanTransmit()) {
-			return Promise.resolve()
-				.then(() => {
-					let jwtPromise;
-
-					if (this._jwtProvider === null || !secure) {
-						jwtPromise = Promise.resolve(null);
-					} else {
-						jwtPromise = this._jwtProvider.getToken()
-							.then((token) => {
-								const data = { };
-
-								data.token = token;
-								data.source = this._jwtProvider.source;
-
-								return data;
-							});
-					}
-
-					return jwtPromise;
-				}).then((jwtData) => {
-					if (jwtData !== null) {
-						payload.context = jwtData;
-					}
-
-					return this._socket.emit(channel, payload);
-				});
-		} else {
-			return Promise.reject('Unable to send data. The socket is not connected.');
-		}
-	}
-
-	function sendRequestToServer(channel, payload, secure) {
-		return promise.build((resolveCallback, rejectCallback) => {
-			const requestId = uuid.v4();
-
-			this._requestMap[requestId] = resolveCallback;
-
-			return sendToServer.call(this, 'request/' + channel, {requestId: requestId, request: payload}, secure)
-				.catch((e) => {
-					delete this._requestMap[requestId];
-
-					throw e;
-				});
-		});
-	}
-
-	function sendSubscriptionToServer(channel, payload, secure) {
-		return sendToServer.call(this, 'subscribe/' + channel, payload, secure);
-	}
-
-	function changeConnectionState(connectionState) {
-		this._connectionState = connectionState;
-	}
-
-	function getSubscriber(subscribers, query) {
-		const userId = query.user_id;
-		const systemId = query.alert_system;
-
-		let returnRef;
-
-		if (subscribers.hasOwnProperty(userId) && subscribers[userId].hasOwnProperty(systemId)) {
-			returnRef = subscribers[userId][systemId];
-		} else {
-			returnRef = null;
-		}
-
-		return returnRef;
-	}
-
-	function putSubscriber(subscribers, subscriber) {
-		const query = subscriber.getQuery();
-
-		const userId = query.user_id;
-		const systemId = query.alert_system;
-
-		if (!subscribers.hasOwnProperty(userId)) {
-			subscribers[userId] = { };
-		}
-
-		subscribers[userId][systemId] = subscriber;
-	}
-
-	function deleteSubscriber(subscribers, subscriber) {
-		const query = subscriber.getQuery();
-
-		const userId = query.user_id;
-		const systemId = query.alert_system;
-
-		delete subscribers[userId][systemId];
-	}
-
-	function getSubscribers(subscribers) {
-		return Object.keys(subscribers).reduce((array, userId) => {
-			const systems = subscribers[userId];
-
-			return array.concat(Object.keys(systems).map((systemId) => {
-				return systems[systemId];
-			}));
-		}, [ ]);
-	}
-
-	class AlertSubscriber extends Disposable {
-		constructor(parent, query) {
-			super();
-
-			this._parent = parent;
-			this._query = query;
-		}
-
-		getQuery() {
-			return this._query;
-		}
-
-		subscribe() {
-			if (this.getIsDisposed()) {
-				throw new Error('The subscriber has been disposed.');
-			}
-
-			sendSubscriptionToServer.call(this._parent, 'alerts/events', this._query, true)
-				.then(() => {
-					if (this.getIsDisposed()) {
-						return;
-					}
-
-					this._parent.retrieveAlerts(this._query)
-						.then((alerts) => {
-							if (this.getIsDisposed()) {
-								return;
-							}
-
-							alerts.forEach((alert) => {
-								this._parent._onAlertMutated(alert);
-							});
-						});
-				});
-		}
-
-		_onDispose() {
-
-		}
-
-		toString() {
-			return '[AdapterForSocketIo.AlertSubscriber]';
-		}
-	}
-
-	class TriggerSubscriber extends Disposable {
-		constructor(parent, query) {
-			super();
-
-			this._parent = parent;
-			this._query = query;
-		}
-
-		getQuery() {
-			return this._query;
-		}
-
-		subscribe() {
-			if (this.getIsDisposed()) {
-				throw new Error('The subscriber has been disposed.');
-			}
-
-			sendSubscriptionToServer.call(this._parent, 'triggers/events', this._query, true)
-				.then(() => {
-					if (this.getIsDisposed()) {
-						return;
-					}
-
-					this._parent.retrieveTriggers(this._query)
-						.then((triggers) => {
-							if (this.getIsDisposed()) {
-								return;
-							}
-
-							this._parent._onTriggersMutated(triggers);
-						});
-				});
-		}
-
-		_onDispose() {
-
-		}
-
-		toString() {
-			return '[AdapterForSocketIo.TriggerSubscriber]';
-		}
-	}
-
 	return AdapterForSocketIo;
 })();
@@ -1,132 +1,234 @@
-const AdapterBase = require('./AdapterBase');
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is'),
+	promise = require('@barchart/common-js/lang/promise'),
+	Scheduler = require('@barchart/common-js/timing/Scheduler');
+
+const ConnectionState = require('./ConnectionState'),
+	SocketAdapterBase = require('./SocketAdapterBase'),
+	JwtProvider = require('../security/JwtProvider');
+
+const AlertsConnectionError = require('../errors/AlertsConnectionError');
 
 module.exports = (() => {
 	'use strict';
 
+	let __webSocketClazz = null;
+
 	/**
-	 * A backend communication adapter implemented with WebSockets. Coming in version 4.3.0.
+	 * A backend communication strategy implemented with the standard
+	 * [WebSocket](https://developer.mozilla.org/en-US/docs/Web/API/WebSocket) API.
+	 *
+	 * Each message (in either direction) is a JSON document with a ```channel``` and a
+	 * ```payload``` property, for example:
+	 *
+	 * ```{ "channel": "request/server/version", "payload": { "requestId": "...", "request": { } } }```
+	 *
+	 * The channels and payloads are the same as the events used by {@link AdapterForSocketIo}
+	 * (see {@link SocketAdapterBase}). However, this framing has not been confirmed for the
+	 * Barchart Alerting Service (and the {@link MockAlertsServer} only speaks the Socket.IO
+	 * protocol). Use this adapter only with a backend which is known to accept this framing;
+	 * otherwise, use the {@link AdapterForSocketIo}.
+	 *
+	 * When the connection is lost, the adapter attempts to reconnect according
+	 * to a {@link ReconnectionPolicy} (see {@link SocketAdapterBase.setReconnectionPolicy}).
+	 *
+	 * In browsers, the global ```WebSocket``` class is used. In environments without a
+	 * global implementation (e.g. Node.js), a compatible class must be supplied using
+	 * {@link AdapterForWebSockets.setWebSocketClazz}.
 	 *
 	 * @public
 	 * @exported
-	 * @extends {AdapterBase}
+	 * @extends {SocketAdapterBase}
 	 */
-	class AdapterForWebSockets extends AdapterBase {
-		constructor(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered) {
-			super(onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered);
+	class AdapterForWebSockets extends SocketAdapterBase {
+		constructor(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged) {
+			super(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged);
+
+			this._socket = null;
+
+			this._reconnectAttempts = 0;
+			this._scheduler = new Scheduler();
 		}
 
 		connect(jwtProvider) {
-			return Promise.reject();
-		}
+			return promise.build((resolveCallback, rejectCallback) => {
+				assert.argumentIsOptional(jwtProvider, 'jwtProvider', JwtProvider, 'JwtProvider');
 
-		createAlert(alert) {
-			return null;
-		}
+				this._jwtProvider = jwtProvider || null;
 
-		retrieveAlert(alert) {
-			return null;
-		}
+				const WebSocketClazz = getWebSocketClazz();
 
-		updateAlert(alert) {
-			return null;
+				if (WebSocketClazz === null) {
+					rejectCallback(new AlertsConnectionError('Unable to connect. A WebSocket implementation is not available.'));
+				} else if (this._connectionState.getCanConnect()) {
+					openSocket.call(this, WebSocketClazz, resolveCallback, rejectCallback);
+				} else {
+					rejectCallback(new AlertsConnectionError('Unable to connect.'));
+				}
+			});
 		}
 
-		updateAlertsForUser(query) {
-			return null;
-		}
+		/**
+		 * Assigns the WebSocket implementation to use when the environment does not
+		 * provide a global ```WebSocket``` class (e.g. Node.js). The class must conform
+		 * to the standard WebSocket API (e.g. the [ws](https://github.com/websockets/ws)
+		 * library).
+		 *
+		 * @public
+		 * @static
+		 * @param {Function} webSocketClazz - The constructor for a WebSocket implementation.
+		 */
+		static setWebSocketClazz(webSocketClazz) {
+			assert.argumentIsRequired(webSocketClazz, 'webSocketClazz', Function);
 
-		deleteAlert(alert) {
-			return null;
+			__webSocketClazz = webSocketClazz;
 		}
 
-		retrieveAlerts(query) {
-			return null;
-		}
+		_transmit(channel, payload) {
+			if (this._socket === null || !this._connectionState.getCanTransmit()) {
+				throw new AlertsConnectionError('Unable to send data. The socket is not connected.');
+			}
 
-		subscribeAlerts(query) {
-			return null;
+			this._socket.send(JSON.stringify({ channel: channel, payload: payload }));
 		}
 
-		getTargets() {
-			return null;
-		}
+		_disconnect() {
+			const socket = this._socket;
 
-		getProperties() {
-			return null;
-		}
+			this._socket = null;
 
-		getOperators() {
-			return null;
-		}
+			if (socket) {
+				socket.close();
+			}
 
-		getModifiers() {
-			return null;
+			this._scheduler.dispose();
+			this._scheduler = null;
 		}
 
-		getPublisherTypes() {
-			return null;
+		toString() {
+			return '[AdapterForWebSockets]';
 		}
+	}
 
-		getPublisherTypeDefaults(query) {
-			return null;
+	function getWebSocketClazz() {
+		if (__webSocketClazz !== null) {
+			return __webSocketClazz;
 		}
 
-		getTemplates(query) {
-			return null;
+		if (typeof WebSocket !== 'undefined') {
+			return WebSocket;
 		}
 
-		createTemplate(template) {
-			return null;
-		}
+		return null;
+	}
 
-		deleteTemplate(template) {
-			return null;
-		}
+	function openSocket(WebSocketClazz, resolveCallback, rejectCallback) {
+		let protocol;
 
-		assignPublisherTypeDefault(publisherTypeDefault) {
-			return null;
+		if (this.secure) {
+			protocol = 'wss';
+		} else {
+			protocol = 'ws';
 		}
 
-		getMarketDataConfiguration(query) {
-			return null;
-		}
+		const socket = new WebSocketClazz(`${protocol}://${this.host}:${this.port}`);
 
-		assignMarketDataConfiguration(marketDataConfiguration) {
-			return null;
-		}
+		let opened = false;
 
-		getUser() {
-			return null;
-		}
+		this._socket = socket;
 
-		retrieveTriggers(query) {
-			return null;
-		}
+		this._setConnectionState(ConnectionState.Connecting);
 
-		updateTrigger(query) {
-			return null;
-		}
+		socket.onopen = () => {
+			if (this._socket !== socket) {
+				return;
+			}
 
-		updateTriggers(query) {
-			return null;
-		}
+			const reconnected = resolveCallback === null;
 
-		subscribeTriggers(query) {
-			return null;
-		}
+			opened = true;
 
-		getServerVersion() {
-			return null;
-		}
+			this._reconnectAttempts = 0;
+
+			this._setConnectionState(ConnectionState.Connected);
+
+			if (reconnected) {
+				this._onReconnected();
+			} else {
+				resolveCallback(this);
+			}
+		};
+
+		socket.onmessage = (event) => {
+			if (this._socket !== socket) {
+				return;
+			}
+
+			let message;
+
+			try {
+				message = JSON.parse(event.data);
+			} catch (e) {
+				message = null;
+			}
+
+			if (is.object(message) && is.string(message.channel)) {
+				this._processMessage(message.channel, message.payload);
+			}
+		};
+
+		socket.onclose = () => {
+			if (this._socket !== socket) {
+				return;
+			}
 
-		_onDispose() {
+			this._socket = null;
 
+			if (opened || resolveCallback === null) {
+				onConnectionLost.call(this, WebSocketClazz, opened);
+			} else {
+				this._setConnectionState(ConnectionState.Disconnected);
+
+				this._rejectPendingRequests(new AlertsConnectionError('Unable to complete request. The socket was closed.'));
+
+				rejectCallback(new AlertsConnectionError('Unable to connect.'));
+			}
+		};
+
+		socket.onerror = () => {
+			return;
+		};
+	}
+
+	function onConnectionLost(WebSocketClazz, opened) {
+		const policy = this._reconnectionPolicy;
+
+		if (!opened) {
+			this._reconnectAttempts = this._reconnectAttempts + 1;
 		}
 
-		toString() {
-			return '[AdapterForWebSockets]';
+		if (policy.maximumAttempts !== null && this._reconnectAttempts >= policy.maximumAttempts) {
+			this._setConnectionState(ConnectionState.Disconnected);
+
+			this._rejectPendingRequests(new AlertsConnectionError('Unable to complete request. Unable to reconnect.'));
+
+			policy.giveUp();
+		} else {
+			this._setConnectionState(ConnectionState.Connecting);
+
+			if (!policy.replayRequests) {
+				this._rejectPendingRequests(new AlertsConnectionError('Unable to complete request. The connection was lost.'));
+			}
+
+			this._scheduler.schedule(() => {
+				if (this.getIsDisposed() || this._socket !== null) {
+					return;
+				}
+
+				openSocket.call(this, WebSocketClazz, null, null);
+			}, policy.getDelay(this._reconnectAttempts), 'Reconnect WebSocket');
 		}
 	}
 
 	return AdapterForWebSockets;
-})();
\ No newline at end of file
+})();
@@ -0,0 +1,99 @@
+const assert = require('@barchart/common-js/lang/assert');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Describes the state of the connection between an {@link AdapterBase} and
+	 * the backend. Each adapter starts in the ```Disconnected``` state. Use
+	 * {@link AlertManager#getConnectionState} to read the current state and
+	 * {@link AlertManager#registerConnectionStateChangedHandler} to observe
+	 * transitions (e.g. to display a "reconnecting" message).
+	 *
+	 * @public
+	 * @exported
+	 * @param {String} description
+	 * @param {Boolean} canTransmit
+	 * @param {Boolean} canReceive
+	 * @param {Boolean} canConnect
+	 * @param {Boolean} canDisconnect
+	 */
+	class ConnectionState {
+		constructor(description, canTransmit, canReceive, canConnect, canDisconnect) {
+			assert.argumentIsRequired(description, 'description', String);
+			assert.argumentIsRequired(canTransmit, 'canTransmit', Boolean);
+			assert.argumentIsRequired(canReceive, 'canReceive', Boolean);
+			assert.argumentIsRequired(canConnect, 'canConnect', Boolean);
+			assert.argumentIsRequired(canDisconnect, 'canDisconnect', Boolean);
+
+			this._description = description;
+
+			this._canTransmit = canTransmit;
+			this._canReceive = canReceive;
+
+			this._canConnect = canConnect;
+			this._canDisconnect = canDisconnect;
+		}
+
+		/**
+		 * A description of the state (i.e. "connecting", "connected", "disconnecting", or "disconnected").
+		 *
+		 * @public
+		 * @returns {String}
+		 */
+		getDescription() {
+			return this._description;
+		}
+
+		/**
+		 * Indicates if requests can be sent to the backend.
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		getCanTransmit() {
+			return this._canTransmit;
+		}
+
+		/**
+		 * Indicates if events can be received from the backend.
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		getCanReceive() {
+			return this._canReceive;
+		}
+
+		/**
+		 * Indicates if a connection attempt can be started.
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		getCanConnect() {
+			return this._canConnect;
+		}
+
+		/**
+		 * Indicates if the connection can be closed.
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		getCanDisconnect() {
+			return this._canDisconnect;
+		}
+
+		toString() {
+			return `[ConnectionState (description: ${this._description})]`;
+		}
+	}
+
+	ConnectionState.Connecting = new ConnectionState('connecting', false, false, false, true);
+	ConnectionState.Connected = new ConnectionState('connected', true, true, false, true);
+	ConnectionState.Disconnecting = new ConnectionState('disconnecting', false, false, false, false);
+	ConnectionState.Disconnected = new ConnectionState('disconnected', false, false, true, false);
+
+	return ConnectionState;
+})();
@@ -0,0 +1,146 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Rules which control how the {@link AdapterForHttp} polls the backend to
+	 * simulate subscriptions. After a failed poll, the delay doubles (up to the
+	 * maximum interval) until a poll succeeds.
+	 *
+	 * @public
+	 * @exported
+	 * @param {Number=} interval - The number of milliseconds to wait between polls (default is 5,000).
+	 * @param {Number=} maximumInterval - The maximum number of milliseconds to wait between polls, after failures (default is 60,000).
+	 * @param {Boolean=} pauseWhenHidden - If true, polling pauses while the page is hidden (according to the Page Visibility API). The default is false.
+	 * @param {Number=} idleTimeout - If specified, polling pauses after this number of milliseconds passes without activity (i.e. user input or requests made by the application). A null or undefined value means polling never pauses for inactivity.
+	 * @param {Function=} errorCallback - A function which is invoked (with the error) each time a poll fails. Errors thrown by the callback are ignored.
+	 */
+	class PollingPolicy {
+		constructor(interval, maximumInterval, pauseWhenHidden, idleTimeout, errorCallback) {
+			assert.argumentIsOptional(interval, 'interval', Number);
+			assert.argumentIsOptional(maximumInterval, 'maximumInterval', Number);
+			assert.argumentIsOptional(pauseWhenHidden, 'pauseWhenHidden', Boolean);
+			assert.argumentIsOptional(idleTimeout, 'idleTimeout', Number);
+			assert.argumentIsOptional(errorCallback, 'errorCallback', Function);
+
+			if (is.number(interval)) {
+				this._interval = Math.max(interval, 0);
+			} else {
+				this._interval = 5000;
+			}
+
+			if (is.number(maximumInterval)) {
+				this._maximumInterval = Math.max(maximumInterval, this._interval);
+			} else {
+				this._maximumInterval = Math.max(60000, this._interval);
+			}
+
+			this._pauseWhenHidden = is.boolean(pauseWhenHidden) && pauseWhenHidden;
+
+			if (is.number(idleTimeout)) {
+				this._idleTimeout = Math.max(idleTimeout, 0);
+			} else {
+				this._idleTimeout = null;
+			}
+
+			this._errorCallback = errorCallback || null;
+		}
+
+		/**
+		 * The number of milliseconds to wait between polls.
+		 *
+		 * @public
+		 * @returns {Number}
+		 */
+		get interval() {
+			return this._interval;
+		}
+
+		/**
+		 * The maximum number of milliseconds to wait between polls, after failures.
+		 *
+		 * @public
+		 * @returns {Number}
+		 */
+		get maximumInterval() {
+			return this._maximumInterval;
+		}
+
+		/**
+		 * Indicates if polling pauses while the page is hidden.
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		get pauseWhenHidden() {
+			return this._pauseWhenHidden;
+		}
+
+		/**
+		 * The number of milliseconds without activity before polling pauses. A
+		 * null value means polling never pauses for inactivity.
+		 *
+		 * @public
+		 * @returns {Number|null}
+		 */
+		get idleTimeout() {
+			return this._idleTimeout;
+		}
+
+		/**
+		 * Returns the number of milliseconds to wait before the next poll.
+		 *
+		 * @public
+		 * @param {Number} failures - The number of consecutive polls which have failed.
+		 * @returns {Number}
+		 */
+		getDelay(failures) {
+			assert.argumentIsRequired(failures, 'failures', Number);
+
+			if (failures === 0) {
+				return this._interval;
+			}
+
+			return Math.min(Math.max(this._interval, 1) * Math.pow(2, failures), this._maximumInterval);
+		}
+
+		/**
+		 * Invokes the error callback, if one was provided. Errors thrown by the
+		 * callback are ignored, so they cannot interrupt polling.
+		 *
+		 * @public
+		 * @param {*} e
+		 */
+		fail(e) {
+			if (this._errorCallback !== null) {
+				try {
+					this._errorCallback(e);
+				} catch (ignored) {
+
+				}
+			}
+		}
+
+		/**
+		 * The policy used when no other policy has been specified. Polls every five
+		 * seconds, including while the page is hidden, and never pauses for inactivity.
+		 *
+		 * @public
+		 * @static
+		 * @returns {PollingPolicy}
+		 */
+		static get DEFAULT() {
+			return pollingPolicyDefault;
+		}
+
+		toString() {
+			return '[PollingPolicy]';
+		}
+	}
+
+	const pollingPolicyDefault = new PollingPolicy();
+
+	return PollingPolicy;
+})();
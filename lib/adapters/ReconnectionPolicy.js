@@ -0,0 +1,160 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Rules which control how an adapter behaves after its connection to the
+	 * backend is lost. Reconnection attempts use an exponential backoff (the
+	 * delay doubles after each failed attempt) with random jitter.
+	 *
+	 * @public
+	 * @exported
+	 * @param {Number=} maximumAttempts - The number of reconnection attempts before giving up. A null or undefined value means the adapter will never give up.
+	 * @param {Number=} minimumDelay - The number of milliseconds to wait before the first reconnection attempt (default is 1,000).
+	 * @param {Number=} maximumDelay - The maximum number of milliseconds to wait between reconnection attempts (default is 30,000).
+	 * @param {Number=} jitter - A value between zero and one, used to randomize the delay between attempts (default is 0.5).
+	 * @param {Boolean=} replayRequests - If true, requests which are pending when the connection is lost are sent again after reconnecting. Otherwise, pending requests are rejected when the connection is lost.
+	 * @param {Function=} giveUpCallback - A function which is invoked after the last reconnection attempt fails.
+	 */
+	class ReconnectionPolicy {
+		constructor(maximumAttempts, minimumDelay, maximumDelay, jitter, replayRequests, giveUpCallback) {
+			assert.argumentIsOptional(maximumAttempts, 'maximumAttempts', Number);
+			assert.argumentIsOptional(minimumDelay, 'minimumDelay', Number);
+			assert.argumentIsOptional(maximumDelay, 'maximumDelay', Number);
+			assert.argumentIsOptional(jitter, 'jitter', Number);
+			assert.argumentIsOptional(replayRequests, 'replayRequests', Boolean);
+			assert.argumentIsOptional(giveUpCallback, 'giveUpCallback', Function);
+
+			if (is.number(maximumAttempts)) {
+				this._maximumAttempts = Math.max(maximumAttempts, 0);
+			} else {
+				this._maximumAttempts = null;
+			}
+
+			if (is.number(minimumDelay)) {
+				this._minimumDelay = Math.max(minimumDelay, 0);
+			} else {
+				this._minimumDelay = 1000;
+			}
+
+			if (is.number(maximumDelay)) {
+				this._maximumDelay = Math.max(maximumDelay, this._minimumDelay);
+			} else {
+				this._maximumDelay = Math.max(30000, this._minimumDelay);
+			}
+
+			if (is.number(jitter)) {
+				this._jitter = Math.min(Math.max(jitter, 0), 1);
+			} else {
+				this._jitter = 0.5;
+			}
+
+			this._replayRequests = is.boolean(replayRequests) && replayRequests;
+			this._giveUpCallback = giveUpCallback || null;
+		}
+
+		/**
+		 * The number of reconnection attempts before giving up. A null value
+		 * means reconnection attempts will continue indefinitely.
+		 *
+		 * @public
+		 * @returns {Number|null}
+		 */
+		get maximumAttempts() {
+			return this._maximumAttempts;
+		}
+
+		/**
+		 * The number of milliseconds to wait before the first reconnection attempt.
+		 *
+		 * @public
+		 * @returns {Number}
+		 */
+		get minimumDelay() {
+			return this._minimumDelay;
+		}
+
+		/**
+		 * The maximum number of milliseconds to wait between reconnection attempts.
+		 *
+		 * @public
+		 * @returns {Number}
+		 */
+		get maximumDelay() {
+			return this._maximumDelay;
+		}
+
+		/**
+		 * A value between zero and one, used to randomize the delay between attempts.
+		 *
+		 * @public
+		 * @returns {Number}
+		 */
+		get jitter() {
+			return this._jitter;
+		}
+
+		/**
+		 * Indicates if pending requests are sent again after reconnecting (instead
+		 * of being rejected when the connection is lost).
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		get replayRequests() {
+			return this._replayRequests;
+		}
+
+		/**
+		 * Calculates the number of milliseconds to wait before a reconnection attempt.
+		 * The delay starts at the ```minimumDelay```, doubles after each failed attempt
+		 * (without exceeding the ```maximumDelay```), and is randomized by the ```jitter```.
+		 *
+		 * @public
+		 * @param {Number} attempt - The number of failed reconnection attempts (i.e. zero for the first attempt).
+		 * @returns {Number}
+		 */
+		getDelay(attempt) {
+			assert.argumentIsRequired(attempt, 'attempt', Number);
+
+			const delay = Math.min(this._minimumDelay * Math.pow(2, Math.max(attempt, 0)), this._maximumDelay);
+			const deviation = delay * this._jitter * (Math.random() * 2 - 1);
+
+			return Math.round(Math.min(Math.max(delay + deviation, 0), this._maximumDelay));
+		}
+
+		/**
+		 * Invokes the "give up" callback, if one was provided.
+		 *
+		 * @public
+		 */
+		giveUp() {
+			if (this._giveUpCallback !== null) {
+				this._giveUpCallback();
+			}
+		}
+
+		/**
+		 * The policy used when no other policy has been specified. Reconnection
+		 * attempts continue indefinitely and pending requests are rejected when
+		 * the connection is lost.
+		 *
+		 * @public
+		 * @static
+		 * @returns {ReconnectionPolicy}
+		 */
+		static get DEFAULT() {
+			return reconnectionPolicyDefault;
+		}
+
+		toString() {
+			return '[ReconnectionPolicy]';
+		}
+	}
+
+	const reconnectionPolicyDefault = new ReconnectionPolicy();
+
+	return ReconnectionPolicy;
+})();
@@ -0,0 +1,614 @@
+const uuid = require('uuid');
+
+const assert = require('@barchart/common-js/lang/assert'),
+	Disposable = require('@barchart/common-js/lang/Disposable'),
+	is = require('@barchart/common-js/lang/is'),
+	promise = require('@barchart/common-js/lang/promise');
+
+const AdapterBase = require('./AdapterBase'),
+	ConnectionState = require('./ConnectionState'),
+	ReconnectionPolicy = require('./ReconnectionPolicy');
+
+const AlertsAuthenticationError = require('../errors/AlertsAuthenticationError'),
+	AlertsConnectionError = require('../errors/AlertsConnectionError'),
+	AlertsError = require('../errors/AlertsError'),
+	AlertsNotFoundError = require('../errors/AlertsNotFoundError'),
+	AlertsValidationError = require('../errors/AlertsValidationError');
+
+module.exports = (() => {
+	'use strict';
+
+	let __reconnectionPolicy = ReconnectionPolicy.DEFAULT;
+
+	/**
+	 * The shared implementation for adapters which exchange messages with the backend
+	 * over a persistent socket (see {@link AdapterForSocketIo} and {@link AdapterForWebSockets}).
+	 * Requests, responses, subscriptions, and pushed events are handled here. Implementing
+	 * classes only need to open the socket, transmit messages, and report the messages
+	 * they receive.
+	 *
+	 * Each request is sent on a ```request/{operation}``` channel with a ```requestId```
+	 * and is answered on the ```response``` channel with the same ```requestId```. A
+	 * failed request is reported with a ```status``` (i.e. an HTTP status code) and an
+	 * ```error``` describing the failure. The request is rejected with an
+	 * {@link AlertsAuthenticationError}, {@link AlertsNotFoundError}, {@link AlertsValidationError},
+	 * or {@link AlertsError}, matching the {@link AdapterForHttp}. Responses which include
+	 * neither field are treated as successful.
+	 *
+	 * Alerts are always retrieved using the ```alerts/retrieve/user``` channel. When
+	 * the query includes an ```alert_system_key```, the alerts are filtered by the
+	 * adapter (instead of the backend).
+	 *
+	 * @public
+	 * @abstract
+	 * @extends {AdapterBase}
+	 * @param {String} host
+	 * @param {Number} port
+	 * @param {Boolean} secure
+	 * @param {Callbacks.AlertCreatedCallback} onAlertCreated
+	 * @param {Callbacks.AlertMutatedCallback} onAlertMutated
+	 * @param {Callbacks.AlertDeletedCallback} onAlertDeleted
+	 * @param {Callbacks.AlertTriggeredCallback} onAlertTriggered
+	 * @param {Callbacks.TriggersCreatedCallback=} onTriggersCreated
+	 * @param {Callbacks.TriggersMutatedCallback=} onTriggersMutated
+	 * @param {Callbacks.TriggersDeletedCallback=} onTriggersDeleted
+	 * @param {Callbacks.ConnectionStateChangedCallback=} onConnectionStateChanged
+	 */
+	class SocketAdapterBase extends AdapterBase {
+		constructor(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged) {
+			super(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged);
+
+			this._requestMap = {};
+
+			this._alertSubscriberMap = {};
+			this._triggerSubscriberMap = {};
+
+			this._jwtProvider = null;
+
+			this._reconnectionPolicy = __reconnectionPolicy;
+		}
+
+		createAlert(alert, cancellationToken) {
+			return sendRequestToServer.call(this, 'alerts/create', alert, true, cancellationToken);
+		}
+
+		retrieveAlert(alert, cancellationToken) {
+			return sendRequestToServer.call(this, 'alerts/retrieve', alert, true, cancellationToken);
+		}
+
+		updateAlert(alert, cancellationToken) {
+			return sendRequestToServer.call(this, 'alerts/update', alert, true, cancellationToken);
+		}
+
+		updateAlertsForUser(query, cancellationToken) {
+			return sendRequestToServer.call(this, 'alerts/update/user', query, true, cancellationToken);
+		}
+
+		deleteAlert(alert, cancellationToken) {
+			return sendRequestToServer.call(this, 'alerts/delete', alert, true, cancellationToken);
+		}
+
+		retrieveAlerts(user, cancellationToken) {
+			return sendRequestToServer.call(this, 'alerts/retrieve/user', user, true, cancellationToken)
+				.then((alerts) => {
+					if (user.alert_system_key) {
+						return alerts.filter((alert) => alert.alert_system_key === user.alert_system_key);
+					} else {
+						return alerts;
+					}
+				});
+		}
+
+		subscribeAlerts(query) {
+			if (getSubscriber(this._alertSubscriberMap, query) !== null) {
+				throw new Error('An alert subscriber already exists');
+			}
+
+			const subscriber = new AlertSubscriber(this, query);
+			subscriber.subscribe();
+
+			putSubscriber(this._alertSubscriberMap, subscriber);
+
+			return Disposable.fromAction(() => {
+				deleteSubscriber(this._alertSubscriberMap, subscriber);
+
+				subscriber.dispose();
+			});
+		}
+
+		getTargets(cancellationToken) {
+			return sendRequestToServer.call(this, 'alert/targets/retrieve', {}, false, cancellationToken);
+		}
+
+		getProperties(cancellationToken) {
+			return sendRequestToServer.call(this, 'alert/targets/properties/retrieve', {}, false, cancellationToken);
+		}
+
+		getOperators(cancellationToken) {
+			return sendRequestToServer.call(this, 'alert/operators/retrieve', {}, false, cancellationToken);
+		}
+
+		getModifiers(cancellationToken) {
+			return sendRequestToServer.call(this, 'alert/modifiers/retrieve', {}, false, cancellationToken);
+		}
+
+		getPublisherTypes(cancellationToken) {
+			return sendRequestToServer.call(this, 'alert/publishers/retrieve', {}, false, cancellationToken);
+		}
+
+		getPublisherTypeDefaults(query, cancellationToken) {
+			return sendRequestToServer.call(this, 'alert/publishers/default/retrieve', query, true, cancellationToken);
+		}
+
+		getTemplates(query, cancellationToken) {
+			return sendRequestToServer.call(this, 'templates/retrieve/user', query, true, cancellationToken);
+		}
+
+		createTemplate(template, cancellationToken) {
+			return sendRequestToServer.call(this, 'templates/create', template, true, cancellationToken);
+		}
+
+		deleteTemplate(template, cancellationToken) {
+			return sendRequestToServer.call(this, 'templates/delete', template, true, cancellationToken);
+		}
+
+		assignPublisherTypeDefault(publisherTypeDefault, cancellationToken) {
+			return sendRequestToServer.call(this, 'alert/publishers/default/update', publisherTypeDefault, true, cancellationToken);
+		}
+
+		getMarketDataConfiguration(query, cancellationToken) {
+			return sendRequestToServer.call(this, 'alert/market/configuration/retrieve', query, true, cancellationToken);
+		}
+
+		assignMarketDataConfiguration(marketDataConfiguration, cancellationToken) {
+			return sendRequestToServer.call(this, 'alert/market/configuration/update', marketDataConfiguration, true, cancellationToken);
+		}
+
+		getUser(cancellationToken) {
+			return sendRequestToServer.call(this, 'user/retrieve', {}, true, cancellationToken);
+		}
+
+		getServerVersion(cancellationToken) {
+			return sendRequestToServer.call(this, 'server/version', {}, false, cancellationToken);
+		}
+
+		retrieveTriggers(query, cancellationToken) {
+			return sendRequestToServer.call(this, 'alert/triggers/retrieve/user', query, true, cancellationToken);
+		}
+
+		updateTrigger(query, cancellationToken) {
+			return sendRequestToServer.call(this, 'alert/triggers/update', query, true, cancellationToken);
+		}
+
+		updateTriggers(query, cancellationToken) {
+			return sendRequestToServer.call(this, 'alert/triggers/update/user', query, true, cancellationToken);
+		}
+
+		subscribeTriggers(query) {
+			if (getSubscriber(this._triggerSubscriberMap, query) !== null) {
+				throw new Error('A trigger subscriber already exists');
+			}
+
+			const subscriber = new TriggerSubscriber(this, query);
+			subscriber.subscribe();
+
+			putSubscriber(this._triggerSubscriberMap, subscriber);
+
+			return Disposable.fromAction(() => {
+				deleteSubscriber(this._triggerSubscriberMap, subscriber);
+
+				subscriber.dispose();
+			});
+		}
+
+		/**
+		 * Assigns the {@link ReconnectionPolicy} used by socket adapters (i.e.
+		 * {@link AdapterForSocketIo} and {@link AdapterForWebSockets}) created after
+		 * this function is invoked. If a policy is not assigned, {@link ReconnectionPolicy.DEFAULT}
+		 * is used.
+		 *
+		 * @public
+		 * @static
+		 * @param {ReconnectionPolicy} reconnectionPolicy
+		 */
+		static setReconnectionPolicy(reconnectionPolicy) {
+			assert.argumentIsRequired(reconnectionPolicy, 'reconnectionPolicy', ReconnectionPolicy, 'ReconnectionPolicy');
+
+			__reconnectionPolicy = reconnectionPolicy;
+		}
+
+		/**
+		 * Sends a message to the backend. Implementing classes must override this
+		 * function (and throw if the message cannot be sent).
+		 *
+		 * @protected
+		 * @abstract
+		 * @param {String} channel
+		 * @param {Object} payload
+		 */
+		_transmit(channel, payload) {
+			throw new AlertsConnectionError('Unable to send data. The socket is not connected.');
+		}
+
+		/**
+		 * Closes the socket. Implementing classes must override this function,
+		 * which is invoked when the adapter is disposed.
+		 *
+		 * @protected
+		 * @abstract
+		 */
+		_disconnect() {
+			return;
+		}
+
+		/**
+		 * Handles a message received from the backend (i.e. a response or a pushed
+		 * event). Intended for use by implementing classes.
+		 *
+		 * @protected
+		 * @param {String} channel
+		 * @param {*} data
+		 */
+		_processMessage(channel, data) {
+			if (channel === 'response') {
+				processResponse.call(this, data);
+			} else if (channel === 'alert/created') {
+				this._onAlertCreated(data);
+			} else if (channel === 'alert/mutated') {
+				this._onAlertMutated(data);
+			} else if (channel === 'alert/deleted') {
+				this._onAlertDeleted(data);
+			} else if (channel === 'alert/triggered') {
+				this._onAlertTriggered(data);
+			} else if (channel === 'triggers/created') {
+				this._onTriggersCreated(data);
+			} else if (channel === 'triggers/mutated') {
+				this._onTriggersMutated(data);
+			} else if (channel === 'triggers/deleted') {
+				this._onTriggersDeleted(data);
+			}
+		}
+
+		/**
+		 * Restores subscriptions (and, if the {@link ReconnectionPolicy} allows it,
+		 * sends pending requests again) after the connection has been restored.
+		 * Intended for use by implementing classes.
+		 *
+		 * @protected
+		 */
+		_onReconnected() {
+			getSubscribers(this._alertSubscriberMap).forEach((subscriber) => {
+				subscriber.subscribe();
+			});
+
+			getSubscribers(this._triggerSubscriberMap).forEach((subscriber) => {
+				subscriber.subscribe();
+			});
+
+			if (this._reconnectionPolicy.replayRequests) {
+				replayPendingRequests.call(this);
+			}
+		}
+
+		/**
+		 * Rejects (and discards) all requests which are awaiting a response. Intended
+		 * for use by implementing classes.
+		 *
+		 * @protected
+		 * @param {*} reason
+		 */
+		_rejectPendingRequests(reason) {
+			const requestMap = this._requestMap;
+
+			this._requestMap = {};
+
+			Object.keys(requestMap).forEach((requestId) => {
+				requestMap[requestId].reject(reason);
+			});
+		}
+
+		_onDispose() {
+			this._disconnect();
+
+			this._setConnectionState(ConnectionState.Disconnected);
+
+			this._rejectPendingRequests(new AlertsConnectionError('Unable to complete request. The adapter has been disposed.'));
+
+			this._alertSubscriberMap = { };
+			this._triggerSubscriberMap = { };
+		}
+
+		toString() {
+			return '[SocketAdapterBase]';
+		}
+	}
+
+	function sendToServer(channel, payload, secure) {
+		if (this._connectionState.getCanTransmit()) {
+			return Promise.resolve()
+				.then(() => {
+					let jwtPromise;
+
+					if (this._jwtProvider === null || !secure) {
+						jwtPromise = Promise.resolve(null);
+					} else {
+						jwtPromise = this._jwtProvider.getToken()
+							.then((token) => {
+								const data = { };
+
+								data.token = token;
+								data.source = this._jwtProvider.source;
+
+								return data;
+							}).catch((e) => {
+								throw new AlertsAuthenticationError('Unable to send data. A JWT token could not be obtained.', e);
+							});
+					}
+
+					return jwtPromise;
+				}).then((jwtData) => {
+					if (jwtData !== null) {
+						payload.context = jwtData;
+					}
+
+					return this._transmit(channel, payload);
+				});
+		} else {
+			return Promise.reject(new AlertsConnectionError('Unable to send data. The socket is not connected.'));
+		}
+	}
+
+	function sendRequestToServer(channel, payload, secure, cancellationToken) {
+		return promise.build((resolveCallback, rejectCallback) => {
+			const requestId = uuid.v4();
+
+			const request = { };
+
+			request.channel = channel;
+			request.payload = payload;
+			request.secure = secure;
+
+			request.resolve = resolveCallback;
+			request.reject = rejectCallback;
+
+			this._requestMap[requestId] = request;
+
+			if (cancellationToken) {
+				cancellationToken.registerCancelledHandler((reason) => {
+					if (this._requestMap[requestId] === request) {
+						delete this._requestMap[requestId];
+
+						rejectCallback(reason);
+					}
+				});
+
+				if (cancellationToken.cancelled) {
+					return;
+				}
+			}
+
+			if (this._reconnectionPolicy.replayRequests && this._connectionState === ConnectionState.Connecting) {
+				return;
+			}
+
+			transmitRequest.call(this, requestId, request);
+		});
+	}
+
+	function transmitRequest(requestId, request) {
+		return sendToServer.call(this, 'request/' + request.channel, {requestId: requestId, request: request.payload}, request.secure)
+			.catch((e) => {
+				if (this._requestMap[requestId] === request) {
+					delete this._requestMap[requestId];
+
+					request.reject(e);
+				}
+			});
+	}
+
+	function processResponse(data) {
+		const requestId = data.requestId;
+
+		if (requestId) {
+			const request = this._requestMap[requestId];
+
+			if (request) {
+				if (getIsFailure(data) && (data.status === 401 || data.status === 403)) {
+					retryUnauthorizedRequest.call(this, requestId, request, data.error);
+				} else if (getIsFailure(data)) {
+					delete this._requestMap[requestId];
+
+					request.reject(getFailureError(request, data));
+				} else {
+					delete this._requestMap[requestId];
+
+					request.resolve(data.response);
+				}
+			}
+		}
+	}
+
+	function retryUnauthorizedRequest(requestId, request, failure) {
+		if (!request.retried && request.secure && this._jwtProvider !== null && this._jwtProvider.invalidate()) {
+			request.retried = true;
+
+			transmitRequest.call(this, requestId, request);
+		} else {
+			delete this._requestMap[requestId];
+
+			request.reject(new AlertsAuthenticationError(`Unable to complete request [ ${request.channel} ], the request was not authorized.`, failure));
+		}
+	}
+
+	function getIsFailure(data) {
+		return Boolean(data.error) || (is.number(data.status) && (data.status < 200 || data.status > 299));
+	}
+
+	function getFailureError(request, data) {
+		const status = is.number(data.status) ? data.status : null;
+		const message = `Unable to complete request [ ${request.channel} ]`;
+
+		let e;
+
+		if (status === 404) {
+			e = new AlertsNotFoundError(`${message}, the object does not exist.`, data.error);
+		} else if (status === 400) {
+			e = new AlertsValidationError(`${message}, the request is invalid.`, null, data.error);
+		} else {
+			e = new AlertsError(`${message}, the server returned an error [ ${status} ].`, data.error);
+		}
+
+		return e;
+	}
+
+	function replayPendingRequests() {
+		Object.keys(this._requestMap).forEach((requestId) => {
+			transmitRequest.call(this, requestId, this._requestMap[requestId]);
+		});
+	}
+
+	function sendSubscriptionToServer(channel, payload, secure) {
+		return sendToServer.call(this, 'subscribe/' + channel, payload, secure);
+	}
+
+	function getSubscriber(subscribers, query) {
+		const userId = query.user_id;
+		const systemId = query.alert_system;
+
+		let returnRef;
+
+		if (subscribers.hasOwnProperty(userId) && subscribers[userId].hasOwnProperty(systemId)) {
+			returnRef = subscribers[userId][systemId];
+		} else {
+			returnRef = null;
+		}
+
+		return returnRef;
+	}
+
+	function putSubscriber(subscribers, subscriber) {
+		const query = subscriber.getQuery();
+
+		const userId = query.user_id;
+		const systemId = query.alert_system;
+
+		if (!subscribers.hasOwnProperty(userId)) {
+			subscribers[userId] = { };
+		}
+
+		subscribers[userId][systemId] = subscriber;
+	}
+
+	function deleteSubscriber(subscribers, subscriber) {
+		const query = subscriber.getQuery();
+
+		const userId = query.user_id;
+		const systemId = query.alert_system;
+
+		delete subscribers[userId][systemId];
+	}
+
+	function getSubscribers(subscribers) {
+		return Object.keys(subscribers).reduce((array, userId) => {
+			const systems = subscribers[userId];
+
+			return array.concat(Object.keys(systems).map((systemId) => {
+				return systems[systemId];
+			}));
+		}, [ ]);
+	}
+
+	class AlertSubscriber extends Disposable {
+		constructor(parent, query) {
+			super();
+
+			this._parent = parent;
+			this._query = query;
+		}
+
+		getQuery() {
+			return this._query;
+		}
+
+		subscribe() {
+			if (this.getIsDisposed()) {
+				throw new Error('The subscriber has been disposed.');
+			}
+
+			sendSubscriptionToServer.call(this._parent, 'alerts/events', this._query, true)
+				.then(() => {
+					if (this.getIsDisposed()) {
+						return;
+					}
+
+					return this._parent.retrieveAlerts(this._query)
+						.then((alerts) => {
+							if (this.getIsDisposed()) {
+								return;
+							}
+
+							alerts.forEach((alert) => {
+								this._parent._onAlertMutated(alert);
+							});
+						});
+				}).catch((e) => {
+					return;
+				});
+		}
+
+		_onDispose() {
+
+		}
+
+		toString() {
+			return '[SocketAdapterBase.AlertSubscriber]';
+		}
+	}
+
+	class TriggerSubscriber extends Disposable {
+		constructor(parent, query) {
+			super();
+
+			this._parent = parent;
+			this._query = query;
+		}
+
+		getQuery() {
+			return this._query;
+		}
+
+		subscribe() {
+			if (this.getIsDisposed()) {
+				throw new Error('The subscriber has been disposed.');
+			}
+
+			sendSubscriptionToServer.call(this._parent, 'triggers/events', this._query, true)
+				.then(() => {
+					if (this.getIsDisposed()) {
+						return;
+					}
+
+					return this._parent.retrieveTriggers(this._query)
+						.then((triggers) => {
+							if (this.getIsDisposed()) {
+								return;
+							}
+
+							this._parent._onTriggersMutated(triggers);
+						});
+				}).catch((e) => {
+					return;
+				});
+		}
+
+		_onDispose() {
+
+		}
+
+		toString() {
+			return '[SocketAdapterBase.TriggerSubscriber]';
+		}
+	}
+
+	return SocketAdapterBase;
+})();
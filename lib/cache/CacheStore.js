@@ -0,0 +1,66 @@
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * The abstract definition for a key-value store used by the {@link AlertManager}
+	 * to cache metadata (e.g. targets, properties, and operators) and by the
+	 * {@link JwtProvider} to persist tokens. Implement this class to persist data
+	 * somewhere other than memory (e.g. across page loads).
+	 * Each function may return a promise.
+	 *
+	 * @public
+	 * @exported
+	 * @abstract
+	 * @see {@link MemoryCacheStore}
+	 * @see {@link WebStorageCacheStore}
+	 * @see {@link FileCacheStore}
+	 */
+	class CacheStore {
+		constructor() {
+
+		}
+
+		/**
+		 * Reads an entry from the store.
+		 *
+		 * @public
+		 * @abstract
+		 * @param {String} key
+		 * @returns {Promise<Object|null>|Object|null}
+		 */
+		get(key) {
+			return null;
+		}
+
+		/**
+		 * Writes an entry to the store, replacing any existing entry.
+		 *
+		 * @public
+		 * @abstract
+		 * @param {String} key
+		 * @param {Object} entry - A JSON-serializable object.
+		 * @returns {Promise|undefined}
+		 */
+		put(key, entry) {
+			return;
+		}
+
+		/**
+		 * Removes an entry from the store.
+		 *
+		 * @public
+		 * @abstract
+		 * @param {String} key
+		 * @returns {Promise|undefined}
+		 */
+		remove(key) {
+			return;
+		}
+
+		toString() {
+			return '[CacheStore]';
+		}
+	}
+
+	return CacheStore;
+})();
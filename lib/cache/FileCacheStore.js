@@ -0,0 +1,67 @@
+const fs = require('fs'),
+	path = require('path');
+
+const assert = require('@barchart/common-js/lang/assert');
+
+const CacheStore = require('./CacheStore');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * A {@link CacheStore} which writes each entry to a JSON file, allowing entries
+	 * to survive process restarts. For use in Node.js only.
+	 *
+	 * @public
+	 * @exported
+	 * @extends {CacheStore}
+	 * @param {String} directory - The directory where files are written (created if it does not exist).
+	 * @param {String=} prefix - A prefix for each file name, used to avoid collisions with other data (default is "barchart-alerts-").
+	 */
+	class FileCacheStore extends CacheStore {
+		constructor(directory, prefix) {
+			super();
+
+			assert.argumentIsRequired(directory, 'directory', String);
+			assert.argumentIsOptional(prefix, 'prefix', String);
+
+			this._directory = directory;
+			this._prefix = prefix || 'barchart-alerts-';
+		}
+
+		get(key) {
+			return fs.promises.readFile(getFile.call(this, key), 'utf8')
+				.then((serialized) => {
+					return JSON.parse(serialized);
+				}).catch(() => {
+					return null;
+				});
+		}
+
+		put(key, entry) {
+			return fs.promises.mkdir(this._directory, { recursive: true })
+				.then(() => {
+					return fs.promises.writeFile(getFile.call(this, key), JSON.stringify(entry), { encoding: 'utf8', mode: 0o600 });
+				});
+		}
+
+		remove(key) {
+			return fs.promises.unlink(getFile.call(this, key))
+				.catch((e) => {
+					if (e.code !== 'ENOENT') {
+						throw e;
+					}
+				});
+		}
+
+		toString() {
+			return '[FileCacheStore]';
+		}
+	}
+
+	function getFile(key) {
+		return path.join(this._directory, `${this._prefix}${encodeURIComponent(key)}.json`);
+	}
+
+	return FileCacheStore;
+})();
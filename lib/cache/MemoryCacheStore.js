@@ -0,0 +1,44 @@
+const CacheStore = require('./CacheStore');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * A {@link CacheStore} which keeps entries in memory. Entries are lost when the
+	 * process (or page) is unloaded. This is the default store used by the
+	 * {@link AlertManager}.
+	 *
+	 * @public
+	 * @exported
+	 * @extends {CacheStore}
+	 */
+	class MemoryCacheStore extends CacheStore {
+		constructor() {
+			super();
+
+			this._entries = { };
+		}
+
+		get(key) {
+			if (this._entries.hasOwnProperty(key)) {
+				return this._entries[key];
+			} else {
+				return null;
+			}
+		}
+
+		put(key, entry) {
+			this._entries[key] = entry;
+		}
+
+		remove(key) {
+			delete this._entries[key];
+		}
+
+		toString() {
+			return '[MemoryCacheStore]';
+		}
+	}
+
+	return MemoryCacheStore;
+})();
@@ -0,0 +1,62 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is');
+
+const CacheStore = require('./CacheStore');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * A {@link CacheStore} which serializes entries to a browser's
+	 * [Web Storage](https://developer.mozilla.org/en-US/docs/Web/API/Web_Storage_API)
+	 * (e.g. ```window.localStorage```), allowing metadata to survive page loads. Storage
+	 * with an asynchronous interface (e.g. React Native's ```AsyncStorage```) is also
+	 * supported.
+	 *
+	 * @public
+	 * @exported
+	 * @extends {CacheStore}
+	 * @param {Storage|Object} storage - The storage area (e.g. ```window.localStorage```, ```window.sessionStorage```, or ```AsyncStorage```).
+	 * @param {String=} prefix - A prefix for each key, used to avoid collisions with other data (default is "barchart-alerts:").
+	 */
+	class WebStorageCacheStore extends CacheStore {
+		constructor(storage, prefix) {
+			super();
+
+			assert.argumentIsRequired(storage, 'storage', Object);
+			assert.argumentIsOptional(prefix, 'prefix', String);
+
+			this._storage = storage;
+			this._prefix = prefix || 'barchart-alerts:';
+		}
+
+		get(key) {
+			return Promise.resolve(this._storage.getItem(this._prefix + key))
+				.then((serialized) => {
+					if (!is.string(serialized)) {
+						return null;
+					}
+
+					try {
+						return JSON.parse(serialized);
+					} catch (e) {
+						return null;
+					}
+				});
+		}
+
+		put(key, entry) {
+			return Promise.resolve(this._storage.setItem(this._prefix + key, JSON.stringify(entry)));
+		}
+
+		remove(key) {
+			return Promise.resolve(this._storage.removeItem(this._prefix + key));
+		}
+
+		toString() {
+			return '[WebStorageCacheStore]';
+		}
+	}
+
+	return WebStorageCacheStore;
+})();
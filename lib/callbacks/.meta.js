@@ -17,11 +17,16 @@
 /**
  * The function signature for a callback which is invoked after
  * an alert mutates (e.g. the ```alert_state``` property changes).
+ * The second argument lists the paths of the fields which changed
+ * (e.g. ```name``` or ```conditions[0].operator.operand```). It is
+ * null when the changes cannot be determined (e.g. when the backend
+ * pushes the alert).
  *
  * @public
  * @callback AlertMutatedCallback
  * @memberOf Callbacks
- * @returns {Schema.Alert}
+ * @param {Schema.Alert} alert
+ * @param {String[]|null} changes
  */
 
 /**
@@ -75,4 +80,13 @@
  * @returns {Array<Schema.Trigger>}
  */
 
-
+/**
+ * The function signature for a callback which is invoked after
+ * the state of the connection to the backend changes (e.g. a
+ * connection is lost and the adapter is attempting to reconnect).
+ *
+ * @public
+ * @callback ConnectionStateChangedCallback
+ * @memberOf Callbacks
+ * @returns {ConnectionState}
+ */
@@ -0,0 +1,86 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	Event = require('@barchart/common-js/messaging/Event');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Signals that a pending request should be abandoned (e.g. because the request
+	 * timed out or the consumer aborted it). The {@link AlertManager} creates one
+	 * token per request and passes it to the adapter, allowing the adapter to
+	 * release any resources held for the request.
+	 *
+	 * @public
+	 * @ignore
+	 */
+	class CancellationToken {
+		constructor() {
+			this._reason = null;
+			this._cancelledEvent = new Event(this);
+		}
+
+		/**
+		 * Indicates if the token has been cancelled.
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		get cancelled() {
+			return this._reason !== null;
+		}
+
+		/**
+		 * The reason the token was cancelled (or null if the token has not been
+		 * cancelled).
+		 *
+		 * @public
+		 * @returns {*}
+		 */
+		get reason() {
+			return this._reason;
+		}
+
+		/**
+		 * Cancels the token. Subsequent invocations are ignored.
+		 *
+		 * @public
+		 * @param {*} reason
+		 */
+		cancel(reason) {
+			if (this._reason !== null) {
+				return;
+			}
+
+			this._reason = reason;
+
+			this._cancelledEvent.fire(reason);
+			this._cancelledEvent.clear();
+		}
+
+		/**
+		 * Registers a handler which will be invoked when the token is cancelled. If the
+		 * token has already been cancelled, the handler is invoked immediately.
+		 *
+		 * @public
+		 * @param {Function} handler
+		 * @returns {Disposable}
+		 */
+		registerCancelledHandler(handler) {
+			assert.argumentIsRequired(handler, 'handler', Function);
+
+			const registration = this._cancelledEvent.register(handler);
+
+			if (this._reason !== null) {
+				handler(this._reason, this);
+			}
+
+			return registration;
+		}
+
+		toString() {
+			return '[CancellationToken]';
+		}
+	}
+
+	return CancellationToken;
+})();
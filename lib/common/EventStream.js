@@ -0,0 +1,207 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	Disposable = require('@barchart/common-js/lang/Disposable'),
+	is = require('@barchart/common-js/lang/is');
+
+module.exports = (() => {
+	'use strict';
+
+	const SYMBOL_OBSERVABLE = (typeof Symbol === 'function' && Symbol.observable) || '@@observable';
+
+	/**
+	 * A stream of events which can be consumed with a ```for await...of``` loop or
+	 * observed (the interface is compatible with the TC39 Observable proposal and
+	 * RxJS ```from``` function). Each loop (or observer) receives the events which
+	 * occur after it starts. Breaking out of a loop (or unsubscribing) disposes the
+	 * underlying registration. Disposing the stream completes every loop and observer.
+	 *
+	 * @public
+	 * @exported
+	 * @extends {Disposable}
+	 * @param {Function} subscriber - Accepts a function (which emits an event) and returns a {@link Disposable} that stops the emission of events.
+	 */
+	class EventStream extends Disposable {
+		constructor(subscriber) {
+			super();
+
+			assert.argumentIsRequired(subscriber, 'subscriber', Function);
+
+			this._subscriber = subscriber;
+			this._completions = [ ];
+		}
+
+		/**
+		 * Registers an observer, which can be an object (with optional ```next```,
+		 * ```error```, and ```complete``` functions) or the functions themselves.
+		 *
+		 * @public
+		 * @param {Object|Function} observerOrNext
+		 * @param {Function=} error
+		 * @param {Function=} complete
+		 * @returns {{unsubscribe: Function, closed: Boolean}}
+		 */
+		subscribe(observerOrNext, error, complete) {
+			let observer;
+
+			if (is.fn(observerOrNext)) {
+				observer = { next: observerOrNext, error: error, complete: complete };
+			} else {
+				observer = observerOrNext || { };
+			}
+
+			let closed = false;
+			let registration = null;
+
+			const close = () => {
+				if (closed) {
+					return;
+				}
+
+				closed = true;
+
+				if (registration !== null) {
+					registration.dispose();
+					registration = null;
+				}
+
+				if (this._completions !== null) {
+					this._completions = this._completions.filter((c) => c !== completion);
+				}
+			};
+
+			const completion = () => {
+				if (!closed) {
+					close();
+
+					if (is.fn(observer.complete)) {
+						observer.complete();
+					}
+				}
+			};
+
+			const subscription = {
+				unsubscribe: close,
+				get closed() {
+					return closed;
+				}
+			};
+
+			if (this.getIsDisposed()) {
+				completion();
+
+				return subscription;
+			}
+
+			this._completions.push(completion);
+
+			try {
+				registration = this._subscriber((data) => {
+					if (!closed && is.fn(observer.next)) {
+						observer.next(data);
+					}
+				});
+			} catch (e) {
+				close();
+
+				if (is.fn(observer.error)) {
+					observer.error(e);
+				} else {
+					throw e;
+				}
+			}
+
+			if (closed && registration !== null) {
+				registration.dispose();
+				registration = null;
+			}
+
+			return subscription;
+		}
+
+		[Symbol.asyncIterator]() {
+			const queue = [ ];
+			const waiting = [ ];
+
+			let done = false;
+			let failure = null;
+
+			const finish = () => {
+				done = true;
+
+				waiting.splice(0).forEach((w) => w.resolve({ value: undefined, done: true }));
+			};
+
+			const subscription = this.subscribe({
+				next: (data) => {
+					if (waiting.length !== 0) {
+						waiting.shift().resolve({ value: data, done: false });
+					} else {
+						queue.push(data);
+					}
+				},
+				error: (e) => {
+					failure = e;
+					done = true;
+
+					waiting.splice(0).forEach((w) => w.reject(e));
+				},
+				complete: finish
+			});
+
+			const iterator = {
+				next: () => {
+					if (queue.length !== 0) {
+						return Promise.resolve({ value: queue.shift(), done: false });
+					}
+
+					if (failure !== null) {
+						const e = failure;
+
+						failure = null;
+
+						return Promise.reject(e);
+					}
+
+					if (done) {
+						return Promise.resolve({ value: undefined, done: true });
+					}
+
+					return new Promise((resolve, reject) => {
+						waiting.push({ resolve, reject });
+					});
+				},
+				return: () => {
+					subscription.unsubscribe();
+
+					queue.length = 0;
+
+					finish();
+
+					return Promise.resolve({ value: undefined, done: true });
+				},
+				[Symbol.asyncIterator]: () => {
+					return iterator;
+				}
+			};
+
+			return iterator;
+		}
+
+		[SYMBOL_OBSERVABLE]() {
+			return this;
+		}
+
+		_onDispose() {
+			const completions = this._completions;
+
+			this._completions = null;
+
+			completions.forEach((completion) => completion());
+		}
+
+		toString() {
+			return '[EventStream]';
+		}
+	}
+
+	return EventStream;
+})();
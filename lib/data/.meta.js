@@ -155,6 +155,55 @@
  * @property {String} user_id - A value to match against an alert's ```user_id``` property.
  * @property {String} alert_system - A value to match against an alert's ```alert_system``` property.
  * @property {String=} alert_system_key - A value to match against an alert's ```alert_system_key``` property.
+ * @property {Schema.AlertFilter=} filter - Additional criteria which alerts must satisfy.
+ * @property {Array<Schema.AlertSort>=} sort - The sort order, applied in sequence (i.e. the second item breaks ties in the first item, etc).
+ * @property {Number=} offset - The number of alerts to skip (after filtering and sorting).
+ * @property {Number=} limit - The maximum number of alerts to return.
+ */
+
+/**
+ * Criteria used to filter the results of an {@link Schema.AlertQuery}. An alert must
+ * satisfy every criterion which is present.
+ *
+ * @typedef AlertFilter
+ * @type Object
+ * @memberOf Schema
+ *
+ * @property {String=} alert_type - A value to match against an alert's ```alert_type``` property.
+ * @property {Enums.AlertState|Array<Enums.AlertState>=} alert_state - One (or more) states to match against an alert's ```alert_state``` property.
+ * @property {Enums.AlertBehaviour|Array<Enums.AlertBehaviour>=} alert_behavior - One (or more) behaviors to match against an alert's ```alert_behavior``` property.
+ * @property {Schema.DateRange=} create_date - A range to match against an alert's ```create_date``` property.
+ * @property {Schema.DateRange=} last_start_date - A range to match against an alert's ```last_start_date``` property.
+ * @property {Schema.DateRange=} last_trigger_date - A range to match against an alert's ```last_trigger_date``` property.
+ * @property {Number=} publisher_type_id - Matches alerts which publish notifications using the {@link Schema.PublisherType}.
+ * @property {String=} name - Text to find within an alert's ```name``` property (case-insensitive).
+ * @property {String=} symbol - Matches alerts with a condition which refers to the symbol.
+ * @property {Object=} target
+ * @property {String=} target.identifier - Matches alerts with a condition whose target has the identifier.
+ * @property {Object=} condition
+ * @property {String|Number=} condition.operand - Matches alerts with a condition which has the operand.
+ */
+
+/**
+ * A sort key for an {@link Schema.AlertQuery}.
+ *
+ * @typedef AlertSort
+ * @type Object
+ * @memberOf Schema
+ *
+ * @property {String} field - One of ```name```, ```alert_state```, ```alert_behavior```, ```alert_type```, ```create_date```, ```last_start_date```, or ```last_trigger_date```.
+ * @property {Boolean=} descending - If true, the order is reversed.
+ */
+
+/**
+ * An inclusive range of times.
+ *
+ * @typedef DateRange
+ * @type Object
+ * @memberOf Schema
+ *
+ * @property {Number=} start - The beginning of the range (milliseconds since epoch). If omitted, the range is unbounded.
+ * @property {Number=} end - The end of the range (milliseconds since epoch). If omitted, the range is unbounded.
  */
 
 /**
@@ -258,6 +307,83 @@
  * @property {Object} trigger_additional_data - An additional data.
  */
 
+/**
+ * Criteria used to retrieve a page of a user's trigger history. Timestamps
+ * can be expressed as a Number or a String (milliseconds since epoch).
+ *
+ * @typedef TriggerHistoryQuery
+ * @type Object
+ * @memberOf Schema
+ *
+ * @property {String} user_id - The alert owner's unique identifier.
+ * @property {String} alert_system - The alert owner's domain.
+ * @property {Number|String=} from - The earliest trigger date (inclusive).
+ * @property {Number|String=} to - The latest trigger date (inclusive).
+ * @property {String=} alert_id - If specified, only triggers for this alert are returned.
+ * @property {String=} symbol - If specified, only triggers for alerts with a condition referencing this symbol are returned.
+ * @property {Enums.TriggerStatus=} trigger_status - If specified, only triggers with this status are returned.
+ * @property {Number=} limit - The maximum number of triggers to return.
+ * @property {String=} continuation - The token returned with the previous page.
+ */
+
+/**
+ * A page of trigger history.
+ *
+ * @typedef TriggerPage
+ * @type Object
+ * @memberOf Schema
+ *
+ * @property {Schema.Trigger[]} triggers - The triggers, the most recent first.
+ * @property {String|null} continuation - A token used to request the next page, or null if there are no more triggers.
+ */
+
+/**
+ * An event emitted by the stream returned from {@link AlertManager#streamAlerts}.
+ *
+ * @typedef AlertEvent
+ * @type Object
+ * @memberOf Schema
+ *
+ * @property {String} type - One of ```created```, ```mutated```, ```deleted```, or ```triggered```.
+ * @property {Schema.Alert} alert - The alert.
+ * @property {String[]|null=} changes - For ```mutated``` events, the paths of the fields which changed (or null, if unknown).
+ */
+
+/**
+ * An event emitted by the stream returned from {@link AlertManager#streamTriggers}.
+ *
+ * @typedef TriggerEvent
+ * @type Object
+ * @memberOf Schema
+ *
+ * @property {String} type - One of ```created```, ```mutated```, or ```deleted```.
+ * @property {Schema.Trigger[]} triggers - The triggers.
+ */
+
+/**
+ * The outcome for one item of a bulk operation (e.g. {@link AlertManager#createAlerts}).
+ *
+ * @typedef BulkResult
+ * @type Object
+ * @memberOf Schema
+ *
+ * @property {Object} item - The item passed to the bulk operation.
+ * @property {Boolean} success - True, if the operation succeeded for the item.
+ * @property {*} result - The result of the operation (e.g. the saved alert) or null, if the operation failed.
+ * @property {AlertsError|Error|null} error - The reason the operation failed or null, if the operation succeeded.
+ */
+
+/**
+ * Options which control the execution of a single {@link AlertManager} request.
+ *
+ * @typedef RequestOptions
+ * @type Object
+ * @memberOf Schema
+ *
+ * @property {Number=} timeout - The number of milliseconds to wait before the request is rejected with an {@link AlertsTimeoutError}. Overrides the default timeout of the {@link AlertManager}. A value of zero disables the timeout.
+ * @property {AbortSignal=} signal - When the signal is aborted, the request is rejected with an {@link AlertsCancellationError}.
+ */
+
 /**
  * A namespace for enumerations.
  *
@@ -0,0 +1,263 @@
+const is = require('@barchart/common-js/lang/is');
+
+module.exports = (() => {
+	'use strict';
+
+	const sortFields = [ 'name', 'alert_state', 'alert_behavior', 'alert_type', 'create_date', 'last_start_date', 'last_trigger_date' ];
+	const dateFields = [ 'create_date', 'last_start_date', 'last_trigger_date' ];
+
+	const query = {
+		/**
+		 * Returns the alerts which satisfy all of the criteria of a {@link Schema.AlertFilter}.
+		 *
+		 * @param {Schema.Alert[]} alerts
+		 * @param {Schema.AlertFilter=} filter
+		 * @returns {Schema.Alert[]}
+		 */
+		filter: (alerts, filter) => {
+			if (!is.object(filter)) {
+				return alerts;
+			}
+
+			const predicates = [ ];
+
+			if (filter.alert_type) {
+				predicates.push((alert) => alert.alert_type === filter.alert_type);
+			}
+
+			if (filter.alert_state) {
+				const states = getValues(filter.alert_state);
+
+				predicates.push((alert) => states.some((state) => state === alert.alert_state));
+			}
+
+			if (filter.alert_behavior) {
+				const behaviors = getValues(filter.alert_behavior);
+
+				predicates.push((alert) => behaviors.some((behavior) => behavior === (alert.alert_behavior || 'terminate')));
+			}
+
+			if (filter.symbol) {
+				predicates.push((alert) => alert.conditions.some((c) => (c.property.target.type === 'symbol' && c.property.target.identifier === filter.symbol) || (c.property.type === 'symbol' && c.operator.operand === filter.symbol)));
+			}
+
+			if (filter.target && filter.target.identifier) {
+				predicates.push((alert) => alert.conditions.some((c) => c.property.target.identifier === filter.target.identifier));
+			}
+
+			if (filter.condition && (is.string(filter.condition.operand) || is.number(filter.condition.operand))) {
+				predicates.push((alert) => alert.conditions.some((c) => c.operator.operand === filter.condition.operand.toString()));
+			}
+
+			if (is.number(filter.publisher_type_id)) {
+				predicates.push((alert) => (alert.effectivePublishers || alert.publishers || [ ]).some((p) => p.type && p.type.publisher_type_id === filter.publisher_type_id));
+			}
+
+			if (is.string(filter.name) && filter.name.length !== 0) {
+				const text = filter.name.toLowerCase();
+
+				predicates.push((alert) => is.string(alert.name) && alert.name.toLowerCase().includes(text));
+			}
+
+			dateFields.forEach((field) => {
+				const range = filter[field];
+
+				if (is.object(range)) {
+					predicates.push((alert) => isInRange(getDate(alert[field]), range));
+				}
+			});
+
+			return alerts.filter((alert) => predicates.every((predicate) => predicate(alert)));
+		},
+
+		/**
+		 * Indicates if an alert satisfies the optional criteria of a subscription
+		 * (i.e. ```alert_id```, ```alert_system_key```, ```alert_type```, and
+		 * ```symbol```). Criteria which are not specified are ignored.
+		 *
+		 * @param {Schema.Alert} alert
+		 * @param {Object} criteria
+		 * @returns {Boolean}
+		 */
+		matches: (alert, criteria) => {
+			if (is.string(criteria.alert_id) && alert.alert_id !== criteria.alert_id) {
+				return false;
+			}
+
+			if (is.string(criteria.alert_system_key) && alert.alert_system_key !== criteria.alert_system_key) {
+				return false;
+			}
+
+			if (is.string(criteria.alert_type) && alert.alert_type !== criteria.alert_type) {
+				return false;
+			}
+
+			if (is.string(criteria.symbol)) {
+				return is.array(alert.conditions) && query.filter([ alert ], { symbol: criteria.symbol }).length !== 0;
+			}
+
+			return true;
+		},
+
+		/**
+		 * Returns a sorted copy of an array of alerts.
+		 *
+		 * @param {Schema.Alert[]} alerts
+		 * @param {Schema.AlertSort[]=} sort
+		 * @returns {Schema.Alert[]}
+		 */
+		sort: (alerts, sort) => {
+			if (!is.array(sort) || sort.length === 0) {
+				return alerts;
+			}
+
+			return alerts.slice(0).sort((a, b) => {
+				return sort.reduce((result, s) => {
+					if (result !== 0) {
+						return result;
+					}
+
+					let comparison = compare(getSortValue(a, s.field), getSortValue(b, s.field));
+
+					if (is.boolean(s.descending) && s.descending) {
+						comparison = -comparison;
+					}
+
+					return comparison;
+				}, 0);
+			});
+		},
+
+		/**
+		 * Returns a single page of an array of alerts.
+		 *
+		 * @param {Schema.Alert[]} alerts
+		 * @param {Number=} offset - The number of alerts to skip.
+		 * @param {Number=} limit - The maximum number of alerts to return.
+		 * @returns {Schema.Alert[]}
+		 */
+		page: (alerts, offset, limit) => {
+			const start = is.number(offset) ? offset : 0;
+
+			if (is.number(limit)) {
+				return alerts.slice(start, start + limit);
+			} else if (start !== 0) {
+				return alerts.slice(start);
+			} else {
+				return alerts;
+			}
+		},
+
+		/**
+		 * Compares two versions of the same alert, returning the paths of the fields
+		 * which differ (e.g. ```name``` or ```conditions[0].operator.operand```). An
+		 * empty array is returned when the versions are structurally identical.
+		 *
+		 * @param {Schema.Alert} previous
+		 * @param {Schema.Alert} current
+		 * @returns {String[]}
+		 */
+		changes: (previous, current) => {
+			const paths = [ ];
+
+			getChanges(previous, current, null, paths);
+
+			return paths;
+		},
+
+		/**
+		 * The fields which can be used to sort alerts.
+		 *
+		 * @type {String[]}
+		 */
+		sortFields: sortFields
+	};
+
+	function getChanges(a, b, path, paths) {
+		if (a === b) {
+			return;
+		}
+
+		if (is.array(a) && is.array(b)) {
+			const length = Math.max(a.length, b.length);
+
+			for (let i = 0; i < length; i++) {
+				getChanges(a[i], b[i], `${path || ''}[${i}]`, paths);
+			}
+		} else if (is.object(a) && is.object(b)) {
+			const keys = Object.keys(a).concat(Object.keys(b).filter((key) => !a.hasOwnProperty(key)));
+
+			keys.forEach((key) => {
+				getChanges(a[key], b[key], path === null ? key : `${path}.${key}`, paths);
+			});
+		} else {
+			paths.push(path);
+		}
+	}
+
+	function getValues(value) {
+		if (is.array(value)) {
+			return value;
+		} else {
+			return [ value ];
+		}
+	}
+
+	function getDate(value) {
+		if (is.number(value)) {
+			return value;
+		} else if (is.string(value) && value.length !== 0) {
+			return parseInt(value);
+		} else {
+			return null;
+		}
+	}
+
+	function isInRange(value, range) {
+		if (value === null) {
+			return false;
+		}
+
+		if (is.number(range.start) && value < range.start) {
+			return false;
+		}
+
+		if (is.number(range.end) && value > range.end) {
+			return false;
+		}
+
+		return true;
+	}
+
+	function getSortValue(alert, field) {
+		if (dateFields.includes(field)) {
+			return getDate(alert[field]);
+		}
+
+		const value = alert[field];
+
+		if (is.string(value)) {
+			return value.toLowerCase();
+		} else if (is.undefined(value)) {
+			return null;
+		} else {
+			return value;
+		}
+	}
+
+	function compare(a, b) {
+		if (a === b) {
+			return 0;
+		} else if (a === null) {
+			return 1;
+		} else if (b === null) {
+			return -1;
+		} else if (a < b) {
+			return -1;
+		} else {
+			return 1;
+		}
+	}
+
+	return query;
+})();
@@ -0,0 +1,127 @@
+const is = require('@barchart/common-js/lang/is');
+
+module.exports = (() => {
+	'use strict';
+
+	const query = {
+		/**
+		 * Returns the triggers which satisfy all of the criteria of a {@link Schema.TriggerHistoryQuery}
+		 * (except paging). The ```alertIds``` argument, if specified, restricts the
+		 * triggers to a set of alerts (e.g. the alerts for a symbol).
+		 *
+		 * @param {Schema.Trigger[]} triggers
+		 * @param {Schema.TriggerHistoryQuery} criteria
+		 * @param {String[]=} alertIds
+		 * @returns {Schema.Trigger[]}
+		 */
+		filter: (triggers, criteria, alertIds) => {
+			const predicates = [ ];
+
+			if (is.string(criteria.alert_id)) {
+				predicates.push((trigger) => trigger.alert_id === criteria.alert_id);
+			}
+
+			if (is.array(alertIds)) {
+				predicates.push((trigger) => alertIds.includes(trigger.alert_id));
+			}
+
+			if (is.string(criteria.trigger_status)) {
+				predicates.push((trigger) => trigger.trigger_status === criteria.trigger_status);
+			}
+
+			const from = query.toTimestamp(criteria.from);
+			const to = query.toTimestamp(criteria.to);
+
+			if (from !== null) {
+				predicates.push((trigger) => parseInt(trigger.trigger_date) >= from);
+			}
+
+			if (to !== null) {
+				predicates.push((trigger) => parseInt(trigger.trigger_date) <= to);
+			}
+
+			return triggers.filter((trigger) => predicates.every((predicate) => predicate(trigger)));
+		},
+
+		/**
+		 * Returns a copy of an array of triggers, sorted with the most recent first.
+		 *
+		 * @param {Schema.Trigger[]} triggers
+		 * @returns {Schema.Trigger[]}
+		 */
+		sort: (triggers) => {
+			return triggers.slice(0).sort(compare);
+		},
+
+		/**
+		 * Returns a single page of a sorted array of triggers, starting after the
+		 * trigger identified by a continuation token.
+		 *
+		 * @param {Schema.Trigger[]} triggers - Sorted with {@link query.sort}.
+		 * @param {Number=} limit - The maximum number of triggers to return.
+		 * @param {String=} continuation - The token returned with the previous page.
+		 * @returns {Schema.TriggerPage}
+		 */
+		page: (triggers, limit, continuation) => {
+			let remaining = triggers;
+
+			if (is.string(continuation)) {
+				const cursor = parseContinuation(continuation);
+
+				remaining = triggers.filter((trigger) => compare(trigger, cursor) > 0);
+			}
+
+			if (!is.number(limit) || remaining.length <= limit) {
+				return { triggers: remaining, continuation: null };
+			}
+
+			const page = remaining.slice(0, limit);
+			const last = page[page.length - 1];
+
+			return { triggers: page, continuation: `${last.trigger_date}:${last.alert_id}` };
+		},
+
+		/**
+		 * Converts a timestamp (milliseconds since epoch, as a Number or String)
+		 * to a Number, returning null if the timestamp is not specified.
+		 *
+		 * @param {Number|String|null|undefined} value
+		 * @returns {Number|null}
+		 */
+		toTimestamp: (value) => {
+			if (is.number(value)) {
+				return value;
+			} else if (is.string(value) && value.length !== 0) {
+				return parseInt(value);
+			} else {
+				return null;
+			}
+		}
+	};
+
+	function compare(a, b) {
+		const difference = parseInt(b.trigger_date) - parseInt(a.trigger_date);
+
+		if (difference !== 0) {
+			return difference;
+		} else if (a.alert_id < b.alert_id) {
+			return 1;
+		} else if (a.alert_id > b.alert_id) {
+			return -1;
+		} else {
+			return 0;
+		}
+	}
+
+	function parseContinuation(continuation) {
+		const separator = continuation.indexOf(':');
+
+		if (separator < 0) {
+			throw new Error(`The continuation token [ ${continuation} ] is invalid.`);
+		}
+
+		return { trigger_date: continuation.substring(0, separator), alert_id: continuation.substring(separator + 1) };
+	}
+
+	return query;
+})();
@@ -4,6 +4,8 @@ const assert = require('@barchart/common-js/lang/assert'),
 const condition = require('./condition'),
 	publisher = require('./publisher');
 
+const query = require('./../queries/alert');
+
 module.exports = (() => {
 	'use strict';
 
@@ -17,7 +19,6 @@ module.exports = (() => {
 			assert.argumentIsOptional(alert.name, `${d}.name`, String);
 			assert.argumentIsOptional(alert.notes, `${d}.notes`, Object);
 			assert.argumentIsOptional(alert.user_notes, `${d}.user_notes`, String);
-			assert.argumentIsOptional(alert.alert_system_key, `${d}.alert_system_key`, String);
 			assert.argumentIsOptional(alert.alert_behavior, `${d}.alert_behavior`, String);
 			assert.argumentIsOptional(alert.automatic_reset, `${d}.automatic_reset`, Boolean);
 
@@ -43,12 +44,61 @@ module.exports = (() => {
 			assert.argumentIsRequired(alert.alert_id, `${d}.alert_id`, String);
 		},
 
+		forRetrieve: (query, description) => {
+			const d = getDescription(description);
+
+			validator.forUser(query, description);
+
+			assert.argumentIsOptional(query.filter, `${d}.filter`, Object);
+			assert.argumentIsOptional(query.limit, `${d}.limit`, Number, null, (limit) => limit >= 0, 'is not negative');
+			assert.argumentIsOptional(query.offset, `${d}.offset`, Number, null, (offset) => offset >= 0, 'is not negative');
+
+			if (query.filter) {
+				assert.argumentIsOptional(query.filter.name, `${d}.filter.name`, String);
+				assert.argumentIsOptional(query.filter.publisher_type_id, `${d}.filter.publisher_type_id`, Number);
+
+				[ 'alert_state', 'alert_behavior' ].forEach((field) => {
+					if (Array.isArray(query.filter[field])) {
+						assert.argumentIsArray(query.filter[field], `${d}.filter.${field}`, String);
+					} else {
+						assert.argumentIsOptional(query.filter[field], `${d}.filter.${field}`, String);
+					}
+				});
+
+				[ 'create_date', 'last_start_date', 'last_trigger_date' ].forEach((field) => {
+					const range = query.filter[field];
+
+					assert.argumentIsOptional(range, `${d}.filter.${field}`, Object);
+
+					if (range) {
+						assert.argumentIsOptional(range.start, `${d}.filter.${field}.start`, Number);
+						assert.argumentIsOptional(range.end, `${d}.filter.${field}.end`, Number);
+					}
+				});
+			}
+
+			if (query.hasOwnProperty('sort')) {
+				assert.argumentIsArray(query.sort, `${d}.sort`, validateSort);
+			}
+		},
+
+		forSubscription: (query, description) => {
+			const d = getDescription(description);
+
+			validator.forUser(query, description);
+
+			assert.argumentIsOptional(query.alert_id, `${d}.alert_id`, String);
+			assert.argumentIsOptional(query.alert_type, `${d}.alert_type`, String);
+			assert.argumentIsOptional(query.symbol, `${d}.symbol`, String);
+		},
+
 		forUser: (alert, description) => {
 			const d = getDescription(description);
 
 			assert.argumentIsRequired(alert, d, Object);
 			assert.argumentIsRequired(alert.user_id, `${d}.user_id`, String);
 			assert.argumentIsRequired(alert.alert_system, `${d}.alert_system`, String);
+			assert.argumentIsOptional(alert.alert_system_key, `${d}.alert_system_key`, String);
 		}
 	};
 
@@ -60,5 +110,11 @@ module.exports = (() => {
 		}
 	}
 
+	function validateSort(sort, d) {
+		assert.argumentIsRequired(sort, d, Object);
+		assert.argumentIsValid(sort.field, `${d}.field`, (field) => query.sortFields.includes(field), `is one of [ ${query.sortFields.join(', ')} ]`);
+		assert.argumentIsOptional(sort.descending, `${d}.descending`, Boolean);
+	}
+
 	return validator;
 })();
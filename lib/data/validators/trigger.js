@@ -10,15 +10,33 @@ module.exports = (() => {
 
             validator.forUser(query, description);
 
-            assert.argumentIsOptional(query.trigger_date, `${d}.trigger_date`, Number);
+            validateTimestamp(query.trigger_date, `${d}.trigger_date`, false);
+
             assert.argumentIsOptional(query.trigger_status, `${d}.trigger_status`, String);
         },
 
+        forHistory: (query, description) => {
+            const d = getDescription(description);
+
+            validator.forUser(query, description);
+
+            validateTimestamp(query.from, `${d}.from`, false);
+            validateTimestamp(query.to, `${d}.to`, false);
+
+            assert.argumentIsOptional(query.alert_id, `${d}.alert_id`, String);
+            assert.argumentIsOptional(query.symbol, `${d}.symbol`, String);
+            assert.argumentIsOptional(query.trigger_status, `${d}.trigger_status`, String);
+            assert.argumentIsOptional(query.limit, `${d}.limit`, Number, null, (limit) => limit > 0, 'is positive');
+            assert.argumentIsOptional(query.continuation, `${d}.continuation`, String, null, (c) => /^[0-9]+:.+$/.test(c), 'is a continuation token');
+        },
+
         forUpdate: (query, description) => {
             const d = getDescription(description);
 
             assert.argumentIsRequired(query.alert_id, `${d}.alert_id`, String);
-            assert.argumentIsRequired(query.trigger_date, `${d}.trigger_date`, String);
+
+            validateTimestamp(query.trigger_date, `${d}.trigger_date`, true);
+
             assert.argumentIsOptional(query.trigger_status, `${d}.trigger_status`, String);
         },
 
@@ -39,6 +57,14 @@ module.exports = (() => {
         },
     };
 
+    function validateTimestamp(value, d, required) {
+        if (!required && (is.undefined(value) || is.null(value))) {
+            return;
+        }
+
+        assert.argumentIsValid(value, d, (v) => (is.number(v) && Number.isInteger(v)) || (is.string(v) && /^[0-9]+$/.test(v)), 'is a timestamp (milliseconds since epoch, as a Number or String)');
+    }
+
     function getDescription(description) {
         if (is.string(description)) {
             return description;
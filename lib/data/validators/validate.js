@@ -7,17 +7,58 @@ const alert = require('./alert'),
 	templateCondition = require('./templateCondition'),
 	trigger = require('./trigger');
 
+const AlertsValidationError = require('./../../errors/AlertsValidationError');
+
 module.exports = (() => {
 	'use strict';
 
+	const regex = { };
+
+	regex.field = /^The argument \[ (.+?) \](?:, at index \[ ([0-9]+) \])?/;
+
+	function wrap(validator) {
+		return Object.keys(validator).reduce((wrapped, key) => {
+			wrapped[key] = function() {
+				try {
+					return validator[key].apply(validator, arguments);
+				} catch (e) {
+					throw getValidationError(e);
+				}
+			};
+
+			return wrapped;
+		}, { });
+	}
+
+	function getValidationError(e) {
+		if (e instanceof AlertsValidationError) {
+			return e;
+		}
+
+		const message = e instanceof Error ? e.message : String(e);
+		const match = message.match(regex.field);
+
+		let field;
+
+		if (match === null) {
+			field = null;
+		} else if (match[2]) {
+			field = `${match[1]}[${match[2]}]`;
+		} else {
+			field = match[1];
+		}
+
+		return new AlertsValidationError(message, field, e);
+	}
+
 	return {
-		alert: alert,
-		condition: condition,
-		instrument: instrument,
-		publisher: publisher,
-		publisherTypeDefault: publisherTypeDefault,
-		template: template,
-		templateCondition: templateCondition,
-		trigger: trigger
+		alert: wrap(alert),
+		condition: wrap(condition),
+		instrument: wrap(instrument),
+		publisher: wrap(publisher),
+		publisherTypeDefault: wrap(publisherTypeDefault),
+		template: wrap(template),
+		templateCondition: wrap(templateCondition),
+		trigger: wrap(trigger)
 	};
 })();
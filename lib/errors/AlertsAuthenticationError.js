@@ -0,0 +1,25 @@
+const AlertsError = require('./AlertsError');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * The error used when the backend rejects the caller's identity (e.g. the JWT token
+	 * could not be generated, has expired, or lacks the necessary permissions).
+	 *
+	 * @public
+	 * @exported
+	 * @extends {AlertsError}
+	 * @param {String} message - A human-readable description of the error.
+	 * @param {*=} cause - The underlying error (or failure data) which caused this error.
+	 */
+	class AlertsAuthenticationError extends AlertsError {
+		constructor(message, cause) {
+			super(message, cause);
+
+			this.name = 'AlertsAuthenticationError';
+		}
+	}
+
+	return AlertsAuthenticationError;
+})();
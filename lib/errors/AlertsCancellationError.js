@@ -0,0 +1,36 @@
+const AlertsError = require('./AlertsError');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * The error used to reject a request which was cancelled (using an
+	 * ```AbortSignal```) before it completed.
+	 *
+	 * @public
+	 * @exported
+	 * @extends {AlertsError}
+	 * @param {String} operation - A description of the operation which was cancelled.
+	 */
+	class AlertsCancellationError extends AlertsError {
+		constructor(operation) {
+			super(`Unable to perform ${operation}, the request was cancelled`);
+
+			this.name = 'AlertsCancellationError';
+
+			this._operation = operation;
+		}
+
+		/**
+		 * A description of the operation which was cancelled.
+		 *
+		 * @public
+		 * @returns {String}
+		 */
+		get operation() {
+			return this._operation;
+		}
+	}
+
+	return AlertsCancellationError;
+})();
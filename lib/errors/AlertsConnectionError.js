@@ -0,0 +1,25 @@
+const AlertsError = require('./AlertsError');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * The error used when the backend cannot be reached, the connection is lost before
+	 * a request completes, or the {@link AlertManager} is not connected.
+	 *
+	 * @public
+	 * @exported
+	 * @extends {AlertsError}
+	 * @param {String} message - A human-readable description of the error.
+	 * @param {*=} cause - The underlying error (or failure data) which caused this error.
+	 */
+	class AlertsConnectionError extends AlertsError {
+		constructor(message, cause) {
+			super(message, cause);
+
+			this.name = 'AlertsConnectionError';
+		}
+	}
+
+	return AlertsConnectionError;
+})();
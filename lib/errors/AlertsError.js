@@ -0,0 +1,38 @@
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * The base class for all errors raised by the SDK. Errors can be distinguished
+	 * using the ```instanceof``` operator (e.g. ```e instanceof AlertsNotFoundError```)
+	 * or by ```name```, which is a literal (e.g. ```AlertsNotFoundError```) that is not
+	 * affected by minification.
+	 *
+	 * @public
+	 * @exported
+	 * @extends {Error}
+	 * @param {String} message - A human-readable description of the error.
+	 * @param {*=} cause - The underlying error (or failure data) which caused this error.
+	 */
+	class AlertsError extends Error {
+		constructor(message, cause) {
+			super(message);
+
+			this.name = 'AlertsError';
+
+			this._cause = cause || null;
+		}
+
+		/**
+		 * The underlying error (or failure data) which caused this error, if any. For
+		 * errors returned by the backend, this is the response body.
+		 *
+		 * @public
+		 * @returns {*|null}
+		 */
+		get cause() {
+			return this._cause;
+		}
+	}
+
+	return AlertsError;
+})();
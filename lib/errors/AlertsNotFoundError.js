@@ -0,0 +1,25 @@
+const AlertsError = require('./AlertsError');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * The error used when a request refers to an object (e.g. an alert or a template)
+	 * which does not exist.
+	 *
+	 * @public
+	 * @exported
+	 * @extends {AlertsError}
+	 * @param {String} message - A human-readable description of the error.
+	 * @param {*=} cause - The underlying error (or failure data) which caused this error.
+	 */
+	class AlertsNotFoundError extends AlertsError {
+		constructor(message, cause) {
+			super(message, cause);
+
+			this.name = 'AlertsNotFoundError';
+		}
+	}
+
+	return AlertsNotFoundError;
+})();
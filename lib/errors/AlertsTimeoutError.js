@@ -0,0 +1,48 @@
+const AlertsError = require('./AlertsError');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * The error used to reject a request which did not complete before
+	 * its timeout elapsed.
+	 *
+	 * @public
+	 * @exported
+	 * @extends {AlertsError}
+	 * @param {String} operation - A description of the operation which timed out.
+	 * @param {Number} milliseconds - The timeout, in milliseconds.
+	 */
+	class AlertsTimeoutError extends AlertsError {
+		constructor(operation, milliseconds) {
+			super(`Unable to perform ${operation}, the request timed out after ${milliseconds} milliseconds`);
+
+			this.name = 'AlertsTimeoutError';
+
+			this._operation = operation;
+			this._milliseconds = milliseconds;
+		}
+
+		/**
+		 * A description of the operation which timed out.
+		 *
+		 * @public
+		 * @returns {String}
+		 */
+		get operation() {
+			return this._operation;
+		}
+
+		/**
+		 * The timeout, in milliseconds.
+		 *
+		 * @public
+		 * @returns {Number}
+		 */
+		get milliseconds() {
+			return this._milliseconds;
+		}
+	}
+
+	return AlertsTimeoutError;
+})();
@@ -0,0 +1,39 @@
+const AlertsError = require('./AlertsError');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * The error used when a request is rejected because its data is invalid — either
+	 * by the SDK (before the request is sent) or by the backend.
+	 *
+	 * @public
+	 * @exported
+	 * @extends {AlertsError}
+	 * @param {String} message - A human-readable description of the error.
+	 * @param {String=} field - The path to the offending field (e.g. ```alert.conditions[0].operator.operand```).
+	 * @param {*=} cause - The underlying error (or failure data) which caused this error.
+	 */
+	class AlertsValidationError extends AlertsError {
+		constructor(message, field, cause) {
+			super(message, cause);
+
+			this.name = 'AlertsValidationError';
+
+			this._field = field || null;
+		}
+
+		/**
+		 * The path to the offending field (e.g. ```alert.conditions[0].operator.operand```),
+		 * if known.
+		 *
+		 * @public
+		 * @returns {String|null}
+		 */
+		get field() {
+			return this._field;
+		}
+	}
+
+	return AlertsValidationError;
+})();
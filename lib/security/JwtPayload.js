@@ -1,8 +1,13 @@
-const assert = require('@barchart/common-js/lang/assert');
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is');
+
+const decodeJwt = require('./decodeJwt');
 
 module.exports = (() => {
 	'use strict';
 
+	const RESERVED_CLAIMS = [ 'user_id', 'userId', 'alert_system', 'contextId', 'permissions', 'exp' ];
+
 	/**
 	 * An object which contains the required assertions for a token.
 	 *
@@ -10,14 +15,26 @@ module.exports = (() => {
 	 * @exported
 	 * @param {String} userId - The unique identifier of the authenticated user.
 	 * @param {String} alertSystem - The authenticated user's domain. In the demo environment, use your company name. In the production environment, Barchart will assign a value to use.
+	 * @param {String=} contextId - The context identifier of the authenticated user (default is the ```alertSystem```).
+	 * @param {String=} permissions - The permission level of the authenticated user (e.g. ```admin```).
+	 * @param {Date=} expiration - The time the token expires (i.e. the ```exp``` claim).
+	 * @param {Object=} claims - Additional claims to include in the token.
 	 */
 	class JwtPayload {
-		constructor(userId, alertSystem) {
+		constructor(userId, alertSystem, contextId, permissions, expiration, claims) {
 			assert.argumentIsRequired(userId, 'userId', String);
 			assert.argumentIsRequired(alertSystem, 'alertSystem', String);
+			assert.argumentIsOptional(contextId, 'contextId', String);
+			assert.argumentIsOptional(permissions, 'permissions', String);
+			assert.argumentIsOptional(expiration, 'expiration', Date);
+			assert.argumentIsOptional(claims, 'claims', Object);
 
 			this._userId = userId;
 			this._alertSystem = alertSystem;
+			this._contextId = contextId || alertSystem;
+			this._permissions = permissions || null;
+			this._expiration = expiration || null;
+			this._claims = Object.assign({ }, claims);
 		}
 
 		/**
@@ -43,27 +60,142 @@ module.exports = (() => {
 		}
 
 		/**
-		 * Returns the simple object representation, used for signing a token.
+		 * The context identifier of the authenticated user.
 		 *
 		 * @public
 		 * @returns {String}
 		 */
+		get contextId() {
+			return this._contextId;
+		}
+
+		/**
+		 * The permission level of the authenticated user, if specified.
+		 *
+		 * @public
+		 * @returns {String|null}
+		 */
+		get permissions() {
+			return this._permissions;
+		}
+
+		/**
+		 * The time the token expires, if specified.
+		 *
+		 * @public
+		 * @returns {Date|null}
+		 */
+		get expiration() {
+			return this._expiration;
+		}
+
+		/**
+		 * Additional claims (e.g. ```iss``` or ```aud```), excluding the claims
+		 * represented by the other properties.
+		 *
+		 * @public
+		 * @returns {Object}
+		 */
+		get claims() {
+			return Object.assign({ }, this._claims);
+		}
+
+		/**
+		 * Indicates if the authenticated user has administrative permissions.
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		getIsAdmin() {
+			return this._permissions === 'admin';
+		}
+
+		/**
+		 * Indicates if the token has expired.
+		 *
+		 * @public
+		 * @param {Date=} now - The current time (default is now).
+		 * @returns {Boolean}
+		 */
+		getIsExpired(now) {
+			assert.argumentIsOptional(now, 'now', Date);
+
+			return this._expiration !== null && this._expiration.getTime() <= (now || new Date()).getTime();
+		}
+
+		/**
+		 * Returns the simple object representation, used for signing a token.
+		 *
+		 * @public
+		 * @returns {Object}
+		 */
 		forSigning() {
-			const serialized = { };
+			const serialized = Object.assign({ }, this._claims);
 
 			serialized.user_id = this.userId;
 			serialized.userId = this.userId;
 
 			serialized.alert_system = this.alertSystem;
-			serialized.contextId = this.alertSystem;
+			serialized.contextId = this.contextId;
+
+			if (this.permissions !== null) {
+				serialized.permissions = this.permissions;
+			}
+
+			if (this.expiration !== null) {
+				serialized.exp = Math.floor(this.expiration.getTime() / 1000);
+			}
 
 			return serialized;
 		}
 
+		/**
+		 * Decodes a token. The token's signature is not verified.
+		 *
+		 * @public
+		 * @static
+		 * @param {String} token
+		 * @returns {JwtPayload}
+		 */
+		static fromToken(token) {
+			assert.argumentIsRequired(token, 'token', String);
+
+			const decoded = decodeJwt(token);
+
+			if (decoded === null) {
+				throw new Error('Unable to decode the JWT token.');
+			}
+
+			const userId = decoded.user_id || decoded.userId;
+			const alertSystem = decoded.alert_system || decoded.contextId;
+
+			if (!is.string(userId) || !is.string(alertSystem)) {
+				throw new Error('Unable to decode the JWT token, the user could not be identified.');
+			}
+
+			const claims = Object.keys(decoded).reduce((accumulator, key) => {
+				if (!RESERVED_CLAIMS.includes(key)) {
+					accumulator[key] = decoded[key];
+				}
+
+				return accumulator;
+			}, { });
+
+			let expiration;
+
+			if (is.number(decoded.exp)) {
+				expiration = new Date(decoded.exp * 1000);
+			} else {
+				expiration = null;
+			}
+
+			return new JwtPayload(userId, alertSystem, decoded.contextId || alertSystem, is.string(decoded.permissions) ? decoded.permissions : null, expiration, claims);
+		}
+
 		toString() {
 			return '[JwtPayload]';
 		}
 	}
 
 	return JwtPayload;
-})();
\ No newline at end of file
+})();
@@ -1,5 +1,6 @@
 const assert = require('@barchart/common-js/lang/assert'),
 	Disposable = require('@barchart/common-js/lang/Disposable'),
+	Event = require('@barchart/common-js/messaging/Event'),
 	is = require('@barchart/common-js/lang/is'),
 	random = require('@barchart/common-js/lang/random'),
 	Scheduler = require('@barchart/common-js/timing/Scheduler');
@@ -10,30 +11,50 @@ const EndpointBuilder = require('@barchart/common-js/api/http/builders/EndpointB
 	ResponseInterceptor = require('@barchart/common-js/api/http/interceptors/ResponseInterceptor'),
 	VerbType = require('@barchart/common-js/api/http/definitions/VerbType');
 
-const getJwtGeneratorForDemo = require('./demo/getJwtGenerator');
+const decodeJwt = require('./decodeJwt'),
+	getJwtGeneratorForDemo = require('./demo/getJwtGenerator'),
+	JwtPayload = require('./JwtPayload');
+const CacheStore = require('../cache/CacheStore');
 const Configuration = require('../common/Configuration');
 
 module.exports = (() => {
 	'use strict';
 
 	const DEFAULT_REFRESH_INTERVAL_MILLISECONDS = 5 * 60 * 1000;
+	const DEFAULT_REFRESH_MARGIN_MILLISECONDS = 30 * 1000;
+
+	const DEFAULT_CACHE_KEY = 'jwt';
+
+	const DEFAULT_SIGNING_ALGORITHM = 'HS256';
+	const DEFAULT_TOKEN_LIFETIME_MILLISECONDS = 60 * 60 * 1000;
+
+	const MAXIMUM_TIMER_DELAY_MILLISECONDS = 2147483647;
 
 	/**
 	 * Generates and caches a signed token (using a delegate). The cached token
 	 * is refreshed periodically. An instance of this class is required by
 	 * the {@link AdapterBase} implementations.
 	 *
+	 * When a ```refreshMargin``` is specified, the token's ```exp``` claim controls
+	 * refreshing instead: a new token is generated in the background when the
+	 * current token is within the margin of expiring, and the current token is never
+	 * returned after that point. Tokens without an ```exp``` claim are refreshed
+	 * using the ```refreshInterval``` (or never, if no interval is specified).
+	 * Regardless, a token is never returned after its ```exp``` claim has passed.
+	 *
 	 * @public
 	 * @exported
 	 * @param {Callbacks.JwtTokenGenerator} tokenGenerator - An anonymous function which returns a signed JWT token.
 	 * @param {Number=} refreshInterval - The number of milliseconds which must pass before a new JWT token is generated. A null or undefined value means the token is not cached.
+	 * @param {Number=} refreshMargin - The number of milliseconds before a token expires (according to its ```exp``` claim) that a new token is generated.
 	 */
 	class JwtProvider extends Disposable {
-		constructor(tokenGenerator, refreshInterval) {
+		constructor(tokenGenerator, refreshInterval, refreshMargin) {
 			super();
 
 			assert.argumentIsRequired(tokenGenerator, 'tokenGenerator', Function);
 			assert.argumentIsOptional(refreshInterval, 'refreshInterval', Number);
+			assert.argumentIsOptional(refreshMargin, 'refreshMargin', Number);
 
 			this._tokenGenerator = tokenGenerator;
 
@@ -42,6 +63,24 @@ module.exports = (() => {
 			this._refreshTimestamp = null;
 			this._refreshPending = false;
 
+			if (is.number(refreshMargin)) {
+				this._refreshMargin = Math.max(refreshMargin, 0);
+			} else {
+				this._refreshMargin = null;
+			}
+
+			this._expiration = null;
+
+			this._timers = { refresh: null, expiration: null };
+
+			this._cacheStore = null;
+			this._cacheKey = null;
+			this._cacheRead = false;
+
+			this._tokenRefreshedEvent = new Event(this);
+			this._tokenRefreshFailedEvent = new Event(this);
+			this._tokenExpiredEvent = new Event(this);
+
 			if (is.number(refreshInterval)) {
 				this._refreshInterval = Math.max(refreshInterval || 0, 0);
 				this._refreshJitter = random.range(0, Math.floor(this._refreshInterval / 10));
@@ -66,14 +105,32 @@ module.exports = (() => {
 						return this._tokenPromise;
 					}
 
-					if (this._tokenPromise === null || this._refreshInterval === null || (this._refreshInterval > 0 && getTime() > (this._refreshTimestamp + this._refreshInterval + this._refreshJitter))) {
+					if (getRefreshRequired.call(this)) {
 						this._refreshPending = true;
 
-						this._tokenPromise = this._scheduler.backoff(() => this._tokenGenerator(), 100, 'Read JWT token', 3)
+						let generated = false;
+
+						this._tokenPromise = readCachedToken.call(this)
 							.then((token) => {
+								if (token !== null) {
+									return token;
+								}
+
+								generated = true;
+
+								return this._scheduler.backoff(() => this._tokenGenerator(), 100, 'Read JWT token', 3);
+							}).then((token) => {
 								this._refreshTimestamp = getTime();
 								this._refreshPending = false;
 
+								scheduleExpiration.call(this, token);
+
+								if (generated) {
+									writeCachedToken.call(this, token);
+
+									this._tokenRefreshedEvent.fire(token);
+								}
+
 								return token;
 							}).catch((e) => {
 								this._tokenPromise = null;
@@ -81,6 +138,10 @@ module.exports = (() => {
 								this._refreshTimestamp = null;
 								this._refreshPending = false;
 
+								this._expiration = null;
+
+								this._tokenRefreshFailedEvent.fire(e);
+
 								return Promise.reject(e);
 							});
 					}
@@ -89,6 +150,110 @@ module.exports = (() => {
 				});
 		}
 
+		/**
+		 * Discards the cached token, causing the next call to {@link JwtProvider#getToken}
+		 * to generate a new token. Invoked by the adapters when the backend rejects a token.
+		 *
+		 * @public
+		 * @returns {Boolean} - True, if the next token will differ from the discarded token (i.e. a request using the discarded token can be retried).
+		 */
+		invalidate() {
+			if (this.getIsDisposed()) {
+				return false;
+			}
+
+			if (this._refreshPending) {
+				return true;
+			}
+
+			if (this._tokenPromise === null) {
+				return false;
+			}
+
+			clearTimers.call(this);
+
+			this._tokenPromise = null;
+			this._refreshTimestamp = null;
+
+			this._expiration = null;
+
+			if (this._cacheStore !== null) {
+				const store = this._cacheStore;
+
+				Promise.resolve()
+					.then(() => {
+						return store.remove(this._cacheKey);
+					}).catch(() => {
+						return null;
+					});
+			}
+
+			return true;
+		}
+
+		/**
+		 * Assigns a store which persists the current token (along with its expiration),
+		 * allowing the token to be reused after the page is reloaded (or the application
+		 * is restarted) instead of generating a new token. Only tokens with an ```exp```
+		 * claim are persisted. This function should be invoked before the first
+		 * call to {@link JwtProvider#getToken}.
+		 *
+		 * @public
+		 * @param {CacheStore} store - For example, a {@link WebStorageCacheStore} or {@link FileCacheStore}.
+		 * @param {String=} key - The key used to save the token (default is "jwt"). Use a different key for each user.
+		 */
+		setCacheStore(store, key) {
+			assert.argumentIsRequired(store, 'store', CacheStore, 'CacheStore');
+			assert.argumentIsOptional(key, 'key', String);
+
+			this._cacheStore = store;
+			this._cacheKey = key || DEFAULT_CACHE_KEY;
+			this._cacheRead = false;
+		}
+
+		/**
+		 * Registers a callback which is invoked each time a new token is generated.
+		 * The callback receives the token.
+		 *
+		 * @public
+		 * @param {Function} handler
+		 * @returns {Disposable}
+		 */
+		registerTokenRefreshedHandler(handler) {
+			assert.argumentIsRequired(handler, 'handler', Function);
+
+			return this._tokenRefreshedEvent.register(handler);
+		}
+
+		/**
+		 * Registers a callback which is invoked each time a token cannot be generated
+		 * (after all attempts have failed). The callback receives the error.
+		 *
+		 * @public
+		 * @param {Function} handler
+		 * @returns {Disposable}
+		 */
+		registerTokenRefreshFailedHandler(handler) {
+			assert.argumentIsRequired(handler, 'handler', Function);
+
+			return this._tokenRefreshFailedEvent.register(handler);
+		}
+
+		/**
+		 * Registers a callback which is invoked when the current token expires (according
+		 * to its ```exp``` claim) before it has been replaced. The callback receives the
+		 * expired token.
+		 *
+		 * @public
+		 * @param {Function} handler
+		 * @returns {Disposable}
+		 */
+		registerTokenExpiredHandler(handler) {
+			assert.argumentIsRequired(handler, 'handler', Function);
+
+			return this._tokenExpiredEvent.register(handler);
+		}
+
 		/**
 		 * A factory for {@link JwtProvider} which is an alternative to the constructor.
 		 *
@@ -102,6 +267,85 @@ module.exports = (() => {
 			return new JwtProvider(tokenGenerator, refreshInterval);
 		}
 
+		/**
+		 * A factory for {@link JwtProvider} which refreshes tokens based on their
+		 * ```exp``` claim.
+		 *
+		 * @public
+		 * @static
+		 * @param {Callbacks.JwtTokenGenerator} tokenGenerator - An anonymous function which returns a signed JWT token.
+		 * @param {Number=} refreshMargin - The number of milliseconds before a token expires that a new token is generated (default is 30,000).
+		 * @returns {JwtProvider}
+		 */
+		static fromTokenGeneratorUsingExpiration(tokenGenerator, refreshMargin) {
+			assert.argumentIsOptional(refreshMargin, 'refreshMargin', Number);
+
+			return new JwtProvider(tokenGenerator, null, is.number(refreshMargin) ? refreshMargin : DEFAULT_REFRESH_MARGIN_MILLISECONDS);
+		}
+
+		/**
+		 * Builds a {@link JwtProvider} which signs tokens locally, using your own key, instead
+		 * of calling a remote service. Each token expires (and is refreshed shortly before it
+		 * expires). Intended for use in Node.js -- never expose your key in a web browser. The
+		 * [jsonwebtoken](https://github.com/auth0/node-jsonwebtoken#readme) library is not
+		 * loaded until this function is called.
+		 *
+		 * @public
+		 * @static
+		 * @param {String|Buffer|Object} key - The secret (or private key) used to sign tokens, in any format accepted by the [jsonwebtoken](https://github.com/auth0/node-jsonwebtoken#readme) library.
+		 * @param {JwtPayload} payload - The identity of the user. The payload's expiration is ignored; each token expires after the ```lifetime```.
+		 * @param {Object=} options
+		 * @param {String=} options.algorithm - The signing algorithm (default is HS256). Use the algorithm agreed upon when your account was configured.
+		 * @param {String=} options.issuer - The value of the ```iss``` claim, if any.
+		 * @param {String=} options.audience - The value of the ```aud``` claim, if any.
+		 * @param {Number=} options.lifetime - The number of milliseconds each token is valid (default is one hour).
+		 * @param {Number=} options.refreshMargin - The number of milliseconds before a token expires that a new token is generated (default is 30,000).
+		 * @returns {JwtProvider}
+		 */
+		static fromPrivateKey(key, payload, options) {
+			assert.argumentIsValid(key, 'key', (k) => is.string(k) || is.object(k), 'is a String, Buffer, or key Object');
+			assert.argumentIsRequired(payload, 'payload', JwtPayload, 'JwtPayload');
+			assert.argumentIsOptional(options, 'options', Object);
+
+			const o = options || { };
+
+			assert.argumentIsOptional(o.algorithm, 'options.algorithm', String);
+			assert.argumentIsOptional(o.issuer, 'options.issuer', String);
+			assert.argumentIsOptional(o.audience, 'options.audience', String);
+			assert.argumentIsOptional(o.lifetime, 'options.lifetime', Number);
+			assert.argumentIsOptional(o.refreshMargin, 'options.refreshMargin', Number);
+
+			const lifetime = is.number(o.lifetime) ? o.lifetime : DEFAULT_TOKEN_LIFETIME_MILLISECONDS;
+			const refreshMargin = is.number(o.refreshMargin) ? o.refreshMargin : DEFAULT_REFRESH_MARGIN_MILLISECONDS;
+
+			if (lifetime <= refreshMargin) {
+				throw new Error('The token lifetime must exceed the refresh margin.');
+			}
+
+			const sign = require('jsonwebtoken/sign');
+
+			const signOptions = { };
+
+			signOptions.algorithm = o.algorithm || DEFAULT_SIGNING_ALGORITHM;
+			signOptions.expiresIn = Math.floor(lifetime / 1000);
+
+			if (o.issuer) {
+				signOptions.issuer = o.issuer;
+			}
+
+			if (o.audience) {
+				signOptions.audience = o.audience;
+			}
+
+			return new JwtProvider(() => {
+				const claims = payload.forSigning();
+
+				delete claims.exp;
+
+				return sign(claims, key, signOptions);
+			}, null, refreshMargin);
+		}
+
 		/**
 		 * Builds a {@link JwtProvider} which will generate tokens impersonating the specified
 		 * user. These tokens will only work in the "test" environment.
@@ -160,6 +404,12 @@ module.exports = (() => {
 		}
 		
 		_onDispose() {
+			clearTimers.call(this);
+
+			this._tokenRefreshedEvent.clear();
+			this._tokenRefreshFailedEvent.clear();
+			this._tokenExpiredEvent.clear();
+
 			this._scheduler.dispose();
 			this._scheduler = null;
 		}
@@ -193,18 +443,139 @@ module.exports = (() => {
 			.withResponseInterceptor(ResponseInterceptor.DATA)
 			.endpoint;
 
-		const payload = { };
+		const payload = new JwtPayload(userId, alertSystem, contextId, permissions).forSigning();
 
-		payload.userId = userId;
-		payload.user_id = userId;
-		payload.contextId = contextId;
-		payload.alert_system = alertSystem;
+		return new JwtProvider(() => Gateway.invoke(tokenEndpoint, payload), refreshInterval || DEFAULT_REFRESH_INTERVAL_MILLISECONDS);
+	}
 
-		if (permissions) {
-			payload.permissions = permissions;
+	function getRefreshRequired() {
+		if (this._tokenPromise === null) {
+			return true;
 		}
 
-		return new JwtProvider(() => Gateway.invoke(tokenEndpoint, payload), refreshInterval || DEFAULT_REFRESH_INTERVAL_MILLISECONDS);
+		if (this._expiration !== null) {
+			if (getTime() >= this._expiration - (this._refreshMargin || 0)) {
+				return true;
+			}
+
+			if (this._refreshMargin !== null) {
+				return false;
+			}
+		} else if (this._refreshMargin !== null && this._refreshInterval === null) {
+			return false;
+		}
+
+		return this._refreshInterval === null || (this._refreshInterval > 0 && getTime() > (this._refreshTimestamp + this._refreshInterval + this._refreshJitter));
+	}
+
+	function scheduleExpiration(token) {
+		clearTimers.call(this);
+
+		this._expiration = getExpiration(token);
+
+		if (this._expiration === null || this.getIsDisposed()) {
+			return;
+		}
+
+		if (this._refreshMargin !== null) {
+			startTimer.call(this, 'refresh', this._expiration - this._refreshMargin, () => {
+				this.getToken().catch(() => null);
+			});
+		}
+
+		startTimer.call(this, 'expiration', this._expiration, () => {
+			this._tokenExpiredEvent.fire(token);
+		});
+	}
+
+	function startTimer(name, timestamp, action) {
+		const delay = timestamp - getTime();
+
+		if (delay <= 0) {
+			return;
+		}
+
+		const timer = setTimeout(() => {
+			this._timers[name] = null;
+
+			if (this.getIsDisposed()) {
+				return;
+			}
+
+			if (getTime() < timestamp) {
+				startTimer.call(this, name, timestamp, action);
+			} else {
+				action();
+			}
+		}, Math.min(delay, MAXIMUM_TIMER_DELAY_MILLISECONDS));
+
+		if (is.fn(timer.unref)) {
+			timer.unref();
+		}
+
+		this._timers[name] = timer;
+	}
+
+	function clearTimers() {
+		Object.keys(this._timers).forEach((name) => {
+			if (this._timers[name] !== null) {
+				clearTimeout(this._timers[name]);
+				this._timers[name] = null;
+			}
+		});
+	}
+
+	function getExpiration(token) {
+		const payload = decodeJwt(token);
+
+		if (payload !== null && is.number(payload.exp)) {
+			return payload.exp * 1000;
+		} else {
+			return null;
+		}
+	}
+
+	function readCachedToken() {
+		if (this._cacheStore === null || this._cacheRead) {
+			return Promise.resolve(null);
+		}
+
+		this._cacheRead = true;
+
+		const store = this._cacheStore;
+
+		return Promise.resolve()
+			.then(() => {
+				return store.get(this._cacheKey);
+			}).then((entry) => {
+				if (is.object(entry) && is.string(entry.token) && getExpiration(entry.token) === entry.expiration && getTime() < entry.expiration - (this._refreshMargin || 0)) {
+					return entry.token;
+				}
+
+				return null;
+			}).catch(() => {
+				return null;
+			});
+	}
+
+	function writeCachedToken(token) {
+		if (this._cacheStore === null) {
+			return;
+		}
+
+		const store = this._cacheStore;
+		const expiration = this._expiration;
+
+		Promise.resolve()
+			.then(() => {
+				if (expiration === null) {
+					return store.remove(this._cacheKey);
+				} else {
+					return store.put(this._cacheKey, { token: token, expiration: expiration });
+				}
+			}).catch(() => {
+				return null;
+			});
 	}
 
 	function getTime() {
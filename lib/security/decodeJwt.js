@@ -0,0 +1,72 @@
+const is = require('@barchart/common-js/lang/is');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Decodes the payload of a JWT token, without verifying its signature. Unlike
+	 * the [jsonwebtoken](https://github.com/auth0/node-jsonwebtoken#readme) library,
+	 * this function does not depend on Node.js modules (or on globals like ```atob```
+	 * and ```Buffer```), so it can be used in any environment.
+	 *
+	 * @function
+	 * @ignore
+	 * @param {String} token
+	 * @returns {Object|null}
+	 */
+	function decodeJwt(token) {
+		if (!is.string(token)) {
+			return null;
+		}
+
+		const segments = token.split('.');
+
+		if (segments.length !== 3) {
+			return null;
+		}
+
+		let payload;
+
+		try {
+			payload = JSON.parse(decodeSegment(segments[1]));
+		} catch (e) {
+			payload = null;
+		}
+
+		if (is.object(payload)) {
+			return payload;
+		} else {
+			return null;
+		}
+	}
+
+	const BASE64_URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+	function decodeSegment(segment) {
+		const characters = segment.replace(/=+$/, '').split('');
+
+		let buffer = 0;
+		let bits = 0;
+		let encoded = '';
+
+		characters.forEach((character) => {
+			const value = BASE64_URL_ALPHABET.indexOf(character);
+
+			if (value < 0) {
+				throw new Error(`The character [ ${character} ] is not valid in a base64url string.`);
+			}
+
+			buffer = (buffer << 6) | value;
+			bits = bits + 6;
+
+			if (bits >= 8) {
+				bits = bits - 8;
+				encoded = encoded + `%${((buffer >> bits) & 0xff).toString(16).padStart(2, '0')}`;
+			}
+		});
+
+		return decodeURIComponent(encoded);
+	}
+
+	return decodeJwt;
+})();
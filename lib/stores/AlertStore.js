@@ -0,0 +1,280 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	Disposable = require('@barchart/common-js/lang/Disposable'),
+	Event = require('@barchart/common-js/messaging/Event'),
+	is = require('@barchart/common-js/lang/is');
+
+const alertQuery = require('./../data/queries/alert'),
+	validate = require('./../data/validators/validate');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * An always-current collection of the alerts which satisfy a query. After
+	 * {@link AlertStore#start} is invoked, the store loads the alerts, applies the
+	 * events from a subscription (see {@link AlertManager#subscribeAlerts}), and
+	 * reloads the alerts each time the {@link AlertManager} reconnects.
+	 *
+	 * An alert which is changed so that it no longer satisfies the query is removed
+	 * (as a ```deleted``` event), and an alert which is changed so that it begins to
+	 * satisfy the query is added (as a ```created``` event).
+	 *
+	 * @public
+	 * @exported
+	 * @extends {Disposable}
+	 * @param {AlertManager} alertManager - A connected {@link AlertManager}.
+	 * @param {Object} query - The same query accepted by {@link AlertManager#subscribeAlerts}.
+	 * @param {String} query.user_id
+	 * @param {String} query.alert_system
+	 */
+	class AlertStore extends Disposable {
+		constructor(alertManager, query) {
+			super();
+
+			assert.argumentIsRequired(alertManager, 'alertManager', Object);
+
+			validate.alert.forSubscription(query, 'query');
+
+			this._alertManager = alertManager;
+			this._query = Object.assign({ }, query);
+
+			this._alerts = { };
+
+			this._loaded = false;
+			this._loadPromise = null;
+			this._pending = null;
+
+			this._startPromise = null;
+
+			this._subscription = null;
+			this._connectionRegistration = null;
+
+			this._changeEvent = new Event(this);
+		}
+
+		/**
+		 * Loads the alerts and begins applying changes. Subsequent invocations
+		 * return the same promise.
+		 *
+		 * @public
+		 * @returns {Promise<AlertStore>}
+		 */
+		start() {
+			if (this._startPromise === null) {
+				this._startPromise = Promise.resolve()
+					.then(() => {
+						if (this.getIsDisposed()) {
+							throw new Error('Unable to start the alert store, the store has been disposed.');
+						}
+
+						this._subscription = this._alertManager.subscribeAlerts({ user_id: this._query.user_id, alert_system: this._query.alert_system },
+							(alert, changes) => apply.call(this, 'mutated', alert, changes),
+							(alert) => apply.call(this, 'deleted', alert),
+							(alert) => apply.call(this, 'created', alert),
+							(alert) => apply.call(this, 'triggered', alert));
+
+						let connected = this._alertManager.getConnectionState().getCanTransmit();
+
+						this._connectionRegistration = this._alertManager.registerConnectionStateChangedHandler((connectionState) => {
+							const reconnected = !connected && connectionState.getCanTransmit();
+
+							connected = connectionState.getCanTransmit();
+
+							if (reconnected && this._loaded) {
+								this.synchronize().catch(() => null);
+							}
+						});
+
+						return this.synchronize();
+					}).then(() => {
+						return this;
+					});
+			}
+
+			return this._startPromise;
+		}
+
+		/**
+		 * Indicates if the alerts have been loaded.
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		get loaded() {
+			return this._loaded;
+		}
+
+		/**
+		 * Reloads the alerts from the backend, replacing the contents of the store.
+		 * Invoked automatically after the {@link AlertManager} reconnects.
+		 *
+		 * @public
+		 * @returns {Promise<Schema.Alert[]>}
+		 */
+		synchronize() {
+			if (this._loadPromise === null) {
+				const query = { user_id: this._query.user_id, alert_system: this._query.alert_system };
+
+				if (is.string(this._query.alert_system_key)) {
+					query.alert_system_key = this._query.alert_system_key;
+				}
+
+				this._pending = [ ];
+
+				this._loadPromise = this._alertManager.retrieveAlerts(query)
+					.then((alerts) => {
+						if (this.getIsDisposed()) {
+							this._loadPromise = null;
+
+							return [ ];
+						}
+
+						const pending = this._pending;
+
+						this._alerts = { };
+						this._pending = null;
+
+						alerts.filter((alert) => alertQuery.matches(alert, this._query)).forEach((alert) => {
+							this._alerts[alert.alert_id] = alert;
+						});
+
+						pending.forEach((item) => apply.call(this, item.type, item.alert, item.changes, true));
+
+						this._loaded = true;
+
+						this._loadPromise = null;
+
+						this._changeEvent.fire({ type: 'synchronized', alert: null });
+
+						return this.getAll();
+					}).catch((e) => {
+						this._pending = null;
+						this._loadPromise = null;
+
+						throw e;
+					});
+			}
+
+			return this._loadPromise;
+		}
+
+		/**
+		 * Returns all of the alerts in the store.
+		 *
+		 * @public
+		 * @returns {Schema.Alert[]}
+		 */
+		getAll() {
+			return Object.keys(this._alerts).map((alertId) => this._alerts[alertId]);
+		}
+
+		/**
+		 * Returns an alert, or null if the store does not contain the alert.
+		 *
+		 * @public
+		 * @param {String} alertId
+		 * @returns {Schema.Alert|null}
+		 */
+		getById(alertId) {
+			assert.argumentIsRequired(alertId, 'alertId', String);
+
+			return this._alerts[alertId] || null;
+		}
+
+		/**
+		 * Returns the alerts with a condition which references a symbol.
+		 *
+		 * @public
+		 * @param {String} symbol
+		 * @returns {Schema.Alert[]}
+		 */
+		getBySymbol(symbol) {
+			assert.argumentIsRequired(symbol, 'symbol', String);
+
+			return this.getAll().filter((alert) => alertQuery.matches(alert, { symbol: symbol }));
+		}
+
+		/**
+		 * Registers a handler which is invoked each time the contents of the store
+		 * change. The handler receives an object with a ```type``` (i.e. ```created```,
+		 * ```mutated```, ```deleted```, ```triggered```, or ```synchronized```), the
+		 * ```alert``` (null for ```synchronized```) and, for ```mutated``` events, the
+		 * paths of the fields which changed (i.e. ```changes```).
+		 *
+		 * @public
+		 * @param {Function} handler
+		 * @returns {Disposable}
+		 */
+		registerChangeHandler(handler) {
+			assert.argumentIsRequired(handler, 'handler', Function);
+
+			return this._changeEvent.register(handler);
+		}
+
+		_onDispose() {
+			if (this._subscription !== null) {
+				this._subscription.dispose();
+				this._subscription = null;
+			}
+
+			if (this._connectionRegistration !== null) {
+				this._connectionRegistration.dispose();
+				this._connectionRegistration = null;
+			}
+
+			this._changeEvent.clear();
+			this._alerts = { };
+		}
+
+		toString() {
+			return '[AlertStore]';
+		}
+	}
+
+	function apply(type, alert, changes, replaying) {
+		if (this.getIsDisposed()) {
+			return;
+		}
+
+		if (this._pending !== null && !replaying) {
+			this._pending.push({ type, alert, changes });
+
+			return;
+		}
+
+		const alertId = alert.alert_id;
+		const exists = this._alerts.hasOwnProperty(alertId);
+
+		let effective;
+
+		if (type === 'deleted' || !alertQuery.matches(alert, this._query)) {
+			if (!exists) {
+				return;
+			}
+
+			delete this._alerts[alertId];
+
+			effective = 'deleted';
+		} else {
+			this._alerts[alertId] = alert;
+
+			if (type === 'mutated' && !exists) {
+				effective = 'created';
+			} else {
+				effective = type;
+			}
+		}
+
+		const data = { type: effective, alert: alert };
+
+		if (effective === 'mutated') {
+			data.changes = changes || null;
+		}
+
+		if (!replaying) {
+			this._changeEvent.fire(data);
+		}
+	}
+
+	return AlertStore;
+})();
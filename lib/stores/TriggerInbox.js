@@ -0,0 +1,423 @@
+const array = require('@barchart/common-js/lang/array'),
+	assert = require('@barchart/common-js/lang/assert'),
+	Day = require('@barchart/common-js/lang/Day'),
+	Disposable = require('@barchart/common-js/lang/Disposable'),
+	Event = require('@barchart/common-js/messaging/Event');
+
+const validate = require('./../data/validators/validate');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * An always-current collection of a user's alert triggers, with unread counts
+	 * and grouping. After {@link TriggerInbox#start} is invoked, the inbox loads the
+	 * triggers, applies the events from a subscription (see {@link AlertManager#subscribeTriggers}),
+	 * and reloads the triggers each time the {@link AlertManager} reconnects.
+	 *
+	 * Changes to trigger status (e.g. {@link TriggerInbox#markRead}) are applied to
+	 * the inbox immediately and reverted if the request fails.
+	 *
+	 * @public
+	 * @exported
+	 * @extends {Disposable}
+	 * @param {AlertManager} alertManager - A connected {@link AlertManager}.
+	 * @param {Object} query - The same query accepted by {@link AlertManager#retrieveTriggers}.
+	 * @param {String} query.user_id
+	 * @param {String} query.alert_system
+	 * @param {Number=} query.trigger_date - If specified, only triggers created after this time (milliseconds since epoch) are loaded.
+	 */
+	class TriggerInbox extends Disposable {
+		constructor(alertManager, query) {
+			super();
+
+			assert.argumentIsRequired(alertManager, 'alertManager', Object);
+
+			validate.trigger.forQuery(query, 'query');
+
+			this._alertManager = alertManager;
+			this._query = { user_id: query.user_id, alert_system: query.alert_system };
+
+			if (query.trigger_date) {
+				this._query.trigger_date = query.trigger_date;
+			}
+
+			this._triggers = { };
+
+			this._loaded = false;
+			this._loadPromise = null;
+			this._pending = null;
+
+			this._startPromise = null;
+
+			this._subscription = null;
+			this._connectionRegistration = null;
+
+			this._changeEvent = new Event(this);
+		}
+
+		/**
+		 * Loads the triggers and begins applying changes. Subsequent invocations
+		 * return the same promise.
+		 *
+		 * @public
+		 * @returns {Promise<TriggerInbox>}
+		 */
+		start() {
+			if (this._startPromise === null) {
+				this._startPromise = Promise.resolve()
+					.then(() => {
+						if (this.getIsDisposed()) {
+							throw new Error('Unable to start the trigger inbox, the inbox has been disposed.');
+						}
+
+						this._subscription = this._alertManager.subscribeTriggers(this._query,
+							(triggers) => apply.call(this, 'mutated', triggers),
+							(triggers) => apply.call(this, 'deleted', triggers),
+							(triggers) => apply.call(this, 'created', triggers));
+
+						let connected = this._alertManager.getConnectionState().getCanTransmit();
+
+						this._connectionRegistration = this._alertManager.registerConnectionStateChangedHandler((connectionState) => {
+							const reconnected = !connected && connectionState.getCanTransmit();
+
+							connected = connectionState.getCanTransmit();
+
+							if (reconnected && this._loaded) {
+								this.synchronize().catch(() => null);
+							}
+						});
+
+						return this.synchronize();
+					}).then(() => {
+						return this;
+					});
+			}
+
+			return this._startPromise;
+		}
+
+		/**
+		 * Indicates if the triggers have been loaded.
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		get loaded() {
+			return this._loaded;
+		}
+
+		/**
+		 * Reloads the triggers from the backend, replacing the contents of the inbox.
+		 * Invoked automatically after the {@link AlertManager} reconnects.
+		 *
+		 * @public
+		 * @returns {Promise<Schema.Trigger[]>}
+		 */
+		synchronize() {
+			if (this._loadPromise === null) {
+				this._pending = [ ];
+
+				this._loadPromise = this._alertManager.retrieveTriggers(Object.assign({ }, this._query))
+					.then((triggers) => {
+						this._loadPromise = null;
+
+						if (this.getIsDisposed()) {
+							return [ ];
+						}
+
+						const pending = this._pending;
+
+						this._triggers = { };
+						this._pending = null;
+
+						triggers.forEach((trigger) => {
+							this._triggers[getKey(trigger)] = trigger;
+						});
+
+						pending.forEach((item) => apply.call(this, item.type, item.triggers, true));
+
+						this._loaded = true;
+
+						this._changeEvent.fire({ type: 'synchronized', triggers: this.getAll() });
+
+						return this.getAll();
+					}).catch((e) => {
+						this._pending = null;
+						this._loadPromise = null;
+
+						throw e;
+					});
+			}
+
+			return this._loadPromise;
+		}
+
+		/**
+		 * Returns all of the triggers in the inbox, the most recent first.
+		 *
+		 * @public
+		 * @returns {Schema.Trigger[]}
+		 */
+		getAll() {
+			return Object.keys(this._triggers)
+				.map((key) => this._triggers[key])
+				.sort((a, b) => parseInt(b.trigger_date) - parseInt(a.trigger_date));
+		}
+
+		/**
+		 * Returns the number of unread triggers, optionally limited to a single alert.
+		 *
+		 * @public
+		 * @param {String=} alertId
+		 * @returns {Number}
+		 */
+		getUnreadCount(alertId) {
+			assert.argumentIsOptional(alertId, 'alertId', String);
+
+			return getUnread.call(this, alertId).length;
+		}
+
+		/**
+		 * Returns the number of unread triggers for each alert, keyed by ```alert_id```.
+		 * Alerts without unread triggers are omitted.
+		 *
+		 * @public
+		 * @returns {Object<String, Number>}
+		 */
+		getUnreadCounts() {
+			return getUnread.call(this).reduce((counts, trigger) => {
+				counts[trigger.alert_id] = (counts[trigger.alert_id] || 0) + 1;
+
+				return counts;
+			}, { });
+		}
+
+		/**
+		 * Returns the triggers (most recent first) grouped by ```alert_id```.
+		 *
+		 * @public
+		 * @returns {Object<String, Schema.Trigger[]>}
+		 */
+		groupByAlert() {
+			return array.groupBy(this.getAll(), (trigger) => trigger.alert_id);
+		}
+
+		/**
+		 * Returns the triggers (most recent first) grouped by the day (in local time)
+		 * each was created, keyed by the day (formatted as ```YYYY-MM-DD```).
+		 *
+		 * @public
+		 * @returns {Object<String, Schema.Trigger[]>}
+		 */
+		groupByDay() {
+			return array.groupBy(this.getAll(), (trigger) => Day.fromDate(new Date(parseInt(trigger.trigger_date))).format());
+		}
+
+		/**
+		 * Marks a trigger as read.
+		 *
+		 * @public
+		 * @param {Schema.Trigger} trigger
+		 * @returns {Promise<Schema.Trigger>}
+		 */
+		markRead(trigger) {
+			return changeStatus.call(this, trigger, 'Read');
+		}
+
+		/**
+		 * Marks a trigger as unread.
+		 *
+		 * @public
+		 * @param {Schema.Trigger} trigger
+		 * @returns {Promise<Schema.Trigger>}
+		 */
+		markUnread(trigger) {
+			return changeStatus.call(this, trigger, 'Unread');
+		}
+
+		/**
+		 * Marks the unread triggers in the inbox as read, optionally limited to a single
+		 * alert. Triggers which were not loaded (e.g. triggers created before the inbox's
+		 * ```trigger_date```) are not affected. Each trigger is updated separately; if some
+		 * updates fail, only those triggers are reverted and the first error is rethrown.
+		 *
+		 * @public
+		 * @param {String=} alertId
+		 * @returns {Promise<Schema.Trigger[]>}
+		 */
+		markAllRead(alertId) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsOptional(alertId, 'alertId', String);
+
+					const originals = getUnread.call(this, alertId);
+
+					if (originals.length === 0) {
+						return [ ];
+					}
+
+					const replacements = originals.map((trigger) => replace.call(this, trigger, 'Read'));
+
+					this._changeEvent.fire({ type: 'mutated', triggers: replacements });
+
+					const updates = originals.map((trigger) => {
+						return this._alertManager.updateTrigger({ alert_id: trigger.alert_id, trigger_date: trigger.trigger_date, trigger_status: 'Read' })
+							.then((updated) => ({ updated: updated, error: null }), (error) => ({ updated: null, error: error }));
+					});
+
+					return Promise.all(updates)
+						.then((results) => {
+							const failures = results.filter((result) => result.error !== null);
+
+							if (failures.length !== 0) {
+								rollback.call(this, originals.filter((original, i) => results[i].error !== null), replacements.filter((replacement, i) => results[i].error !== null));
+
+								throw failures[0].error;
+							}
+
+							return results.map((result) => result.updated);
+						});
+				});
+		}
+
+		/**
+		 * Registers a handler which is invoked each time the contents of the inbox
+		 * change. The handler receives an object with a ```type``` (i.e. ```created```,
+		 * ```mutated```, ```deleted```, or ```synchronized```) and the affected
+		 * ```triggers```.
+		 *
+		 * @public
+		 * @param {Function} handler
+		 * @returns {Disposable}
+		 */
+		registerChangeHandler(handler) {
+			assert.argumentIsRequired(handler, 'handler', Function);
+
+			return this._changeEvent.register(handler);
+		}
+
+		_onDispose() {
+			if (this._subscription !== null) {
+				this._subscription.dispose();
+				this._subscription = null;
+			}
+
+			if (this._connectionRegistration !== null) {
+				this._connectionRegistration.dispose();
+				this._connectionRegistration = null;
+			}
+
+			this._changeEvent.clear();
+			this._triggers = { };
+		}
+
+		toString() {
+			return '[TriggerInbox]';
+		}
+	}
+
+	function getKey(trigger) {
+		return `${trigger.alert_id}-${trigger.trigger_date}`;
+	}
+
+	function getUnread(alertId) {
+		return this.getAll().filter((trigger) => trigger.trigger_status !== 'Read' && (!alertId || trigger.alert_id === alertId));
+	}
+
+	function replace(trigger, triggerStatus) {
+		const replacement = Object.assign({ }, trigger, { trigger_status: triggerStatus });
+
+		this._triggers[getKey(trigger)] = replacement;
+
+		return replacement;
+	}
+
+	function rollback(originals, replacements) {
+		if (this.getIsDisposed()) {
+			return;
+		}
+
+		const restored = originals.filter((original, i) => {
+			const key = getKey(original);
+
+			if (this._triggers[key] === replacements[i]) {
+				this._triggers[key] = original;
+
+				return true;
+			} else {
+				return false;
+			}
+		});
+
+		if (restored.length !== 0) {
+			this._changeEvent.fire({ type: 'mutated', triggers: restored });
+		}
+	}
+
+	function changeStatus(trigger, triggerStatus) {
+		return Promise.resolve()
+			.then(() => {
+				validate.trigger.forUpdate(trigger);
+
+				const original = this._triggers[getKey(trigger)] || null;
+
+				let replacement = null;
+
+				if (original !== null) {
+					replacement = replace.call(this, original, triggerStatus);
+
+					this._changeEvent.fire({ type: 'mutated', triggers: [ replacement ] });
+				}
+
+				return this._alertManager.updateTrigger({ alert_id: trigger.alert_id, trigger_date: trigger.trigger_date, trigger_status: triggerStatus })
+					.catch((e) => {
+						if (original !== null) {
+							rollback.call(this, [ original ], [ replacement ]);
+						}
+
+						throw e;
+					});
+			});
+	}
+
+	function apply(type, triggers, replaying) {
+		if (this.getIsDisposed()) {
+			return;
+		}
+
+		if (this._pending !== null && !replaying) {
+			this._pending.push({ type, triggers });
+
+			return;
+		}
+
+		let affected;
+
+		if (type === 'deleted') {
+			affected = triggers.filter((trigger) => {
+				const key = getKey(trigger);
+
+				if (this._triggers.hasOwnProperty(key)) {
+					delete this._triggers[key];
+
+					return true;
+				} else {
+					return false;
+				}
+			});
+		} else {
+			affected = triggers;
+
+			affected.forEach((trigger) => {
+				this._triggers[getKey(trigger)] = trigger;
+			});
+		}
+
+		if (!replaying && affected.length !== 0) {
+			this._changeEvent.fire({ type: type, triggers: affected });
+		}
+	}
+
+	return TriggerInbox;
+})();
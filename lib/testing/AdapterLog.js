@@ -0,0 +1,127 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is'),
+	object = require('@barchart/common-js/lang/object');
+
+module.exports = (() => {
+	'use strict';
+
+	const VERSION = 1;
+
+	/**
+	 * A timestamped log of the traffic between an {@link AlertManager} and its adapter.
+	 * Written by {@link AdapterForRecording} and read by {@link AdapterForReplay}. Each
+	 * entry has a ```type``` — one of ```request```, ```response```, ```failure```,
+	 * ```subscription```, or ```event``` — a ```name``` (the adapter function or the
+	 * event channel, e.g. ```createAlert``` or ```alert/mutated```), a ```timestamp```
+	 * (milliseconds since epoch), and the associated ```data```. Requests, responses,
+	 * and failures also carry a ```sequence``` number, used to pair them.
+	 *
+	 * @public
+	 * @exported
+	 * @param {Array<Object>=} entries
+	 */
+	class AdapterLog {
+		constructor(entries) {
+			assert.argumentIsOptional(entries, 'entries', Array);
+
+			this._entries = entries ? object.clone(entries) : [ ];
+			this._sequence = this._entries.reduce((max, entry) => Math.max(max, entry.sequence || 0), 0);
+		}
+
+		/**
+		 * The entries, in the order they were recorded.
+		 *
+		 * @public
+		 * @returns {Array<Object>}
+		 */
+		get entries() {
+			return this._entries;
+		}
+
+		/**
+		 * Adds an entry to the log.
+		 *
+		 * @public
+		 * @param {String} type
+		 * @param {String} name
+		 * @param {*=} data
+		 * @param {Number=} sequence
+		 * @returns {Object}
+		 */
+		record(type, name, data, sequence) {
+			assert.argumentIsRequired(type, 'type', String);
+			assert.argumentIsRequired(name, 'name', String);
+			assert.argumentIsOptional(sequence, 'sequence', Number);
+
+			const entry = { };
+
+			entry.timestamp = Date.now();
+			entry.type = type;
+			entry.name = name;
+
+			if (is.number(sequence)) {
+				entry.sequence = sequence;
+			}
+
+			if (!is.undefined(data)) {
+				entry.data = object.clone(data);
+			}
+
+			this._entries.push(entry);
+
+			return entry;
+		}
+
+		/**
+		 * Returns a new sequence number, used to pair a request with its response.
+		 *
+		 * @public
+		 * @returns {Number}
+		 */
+		next() {
+			this._sequence = this._sequence + 1;
+
+			return this._sequence;
+		}
+
+		/**
+		 * Returns a JSON-serializable representation of the log.
+		 *
+		 * @public
+		 * @returns {Object}
+		 */
+		toJSON() {
+			return { version: VERSION, entries: this._entries };
+		}
+
+		/**
+		 * Creates a log from the output of {@link AdapterLog#toJSON} (or the
+		 * equivalent string).
+		 *
+		 * @public
+		 * @static
+		 * @param {Object|String} data
+		 * @returns {AdapterLog}
+		 */
+		static fromJSON(data) {
+			let parsed;
+
+			if (is.string(data)) {
+				parsed = JSON.parse(data);
+			} else {
+				parsed = data;
+			}
+
+			assert.argumentIsRequired(parsed, 'data', Object);
+			assert.argumentIsArray(parsed.entries, 'data.entries');
+
+			return new AdapterLog(parsed.entries);
+		}
+
+		toString() {
+			return '[AdapterLog]';
+		}
+	}
+
+	return AdapterLog;
+})();
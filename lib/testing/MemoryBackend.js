@@ -0,0 +1,442 @@
+const uuid = require('uuid');
+
+const assert = require('@barchart/common-js/lang/assert'),
+	Event = require('@barchart/common-js/messaging/Event'),
+	is = require('@barchart/common-js/lang/is'),
+	object = require('@barchart/common-js/lang/object');
+
+const AlertsNotFoundError = require('../errors/AlertsNotFoundError');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * An in-process imitation of the Barchart Alerting Service, used by the
+	 * {@link AdapterForMemory} for offline development and testing. State is
+	 * seeded from fixtures and every change is announced using the same channels
+	 * (e.g. ```alert/created``` and ```triggers/mutated```) the backend pushes to
+	 * WebSocket clients.
+	 *
+	 * Functions which would be performed by the backend on its own (e.g. an alert
+	 * triggering) can be simulated with {@link MemoryBackend#triggerAlert} and
+	 * {@link MemoryBackend#setAlertState}.
+	 *
+	 * @public
+	 * @exported
+	 * @param {Object=} fixtures
+	 * @param {Array<Schema.Alert>=} fixtures.alerts
+	 * @param {Array<Schema.Trigger>=} fixtures.triggers
+	 * @param {Array<Schema.Template>=} fixtures.templates
+	 * @param {Array<Schema.PublisherTypeDefault>=} fixtures.publisherTypeDefaults
+	 * @param {Array<Object>=} fixtures.marketDataConfigurations
+	 * @param {Array<Schema.Target>=} fixtures.targets
+	 * @param {Array<Schema.Property>=} fixtures.properties
+	 * @param {Array<Schema.Operator>=} fixtures.operators
+	 * @param {Array=} fixtures.modifiers
+	 * @param {Array<Schema.PublisherType>=} fixtures.publisherTypes
+	 * @param {Schema.UserIdentifier=} fixtures.user - The user returned by {@link MemoryBackend#getUser}.
+	 * @param {String=} fixtures.version - The version returned by {@link MemoryBackend#getServerVersion} (default is "0.0.0").
+	 */
+	class MemoryBackend {
+		constructor(fixtures) {
+			assert.argumentIsOptional(fixtures, 'fixtures', Object);
+
+			const f = fixtures || { };
+
+			this._alerts = getFixture(f.alerts);
+			this._triggers = getFixture(f.triggers);
+			this._templates = getFixture(f.templates);
+			this._publisherTypeDefaults = getFixture(f.publisherTypeDefaults);
+			this._marketDataConfigurations = getFixture(f.marketDataConfigurations);
+
+			this._targets = getFixture(f.targets);
+			this._properties = getFixture(f.properties);
+			this._operators = getFixture(f.operators);
+			this._modifiers = getFixture(f.modifiers);
+			this._publisherTypes = getFixture(f.publisherTypes);
+
+			this._user = f.user ? object.clone(f.user) : null;
+			this._version = f.version || '0.0.0';
+
+			this._messageEvent = new Event(this);
+		}
+
+		/**
+		 * Registers a handler which is invoked each time the backend would push an
+		 * event to its clients. The handler receives an object with a ```channel```
+		 * (e.g. ```alert/mutated```) and a ```payload``` property. The payload must
+		 * not be modified (clone it first).
+		 *
+		 * @public
+		 * @param {Function} handler
+		 * @returns {Disposable}
+		 */
+		registerMessageHandler(handler) {
+			assert.argumentIsRequired(handler, 'handler', Function);
+
+			return this._messageEvent.register(handler);
+		}
+
+		createAlert(alert) {
+			const created = object.clone(alert);
+			const now = getNow();
+
+			created.alert_id = uuid.v4();
+			created.alert_state = 'Inactive';
+			created.create_date = now;
+
+			if (!is.string(created.alert_behavior)) {
+				created.alert_behavior = 'terminate';
+			}
+
+			if (is.array(created.conditions)) {
+				created.conditions.forEach((condition) => {
+					if (!is.string(condition.condition_id)) {
+						condition.condition_id = uuid.v4();
+					}
+				});
+			}
+
+			this._alerts.push(created);
+
+			send.call(this, 'alert/created', created);
+
+			return object.clone(created);
+		}
+
+		retrieveAlert(alert) {
+			const existing = findAlert.call(this, alert.alert_id);
+
+			if (existing === null) {
+				return null;
+			}
+
+			return object.clone(existing);
+		}
+
+		updateAlert(alert) {
+			const existing = getAlert.call(this, alert.alert_id);
+
+			Object.assign(existing, object.clone(alert));
+
+			changeAlertState(existing, alert.alert_state);
+
+			send.call(this, 'alert/mutated', existing);
+
+			return object.clone(existing);
+		}
+
+		updateAlertsForUser(query) {
+			return this._alerts.filter((alert) => matchesUser(alert, query)).map((alert) => {
+				changeAlertState(alert, query.alert_state);
+
+				send.call(this, 'alert/mutated', alert);
+
+				return object.clone(alert);
+			});
+		}
+
+		deleteAlert(alert) {
+			const existing = getAlert.call(this, alert.alert_id);
+
+			this._alerts.splice(this._alerts.indexOf(existing), 1);
+
+			send.call(this, 'alert/deleted', existing);
+
+			return object.clone(existing);
+		}
+
+		retrieveAlerts(query) {
+			return this._alerts.filter((alert) => matchesUser(alert, query) && (!query.alert_system_key || alert.alert_system_key === query.alert_system_key)).map((alert) => object.clone(alert));
+		}
+
+		getTargets() {
+			return object.clone(this._targets);
+		}
+
+		getProperties() {
+			return object.clone(this._properties);
+		}
+
+		getOperators() {
+			return object.clone(this._operators);
+		}
+
+		getModifiers() {
+			return object.clone(this._modifiers);
+		}
+
+		getPublisherTypes() {
+			return object.clone(this._publisherTypes);
+		}
+
+		getPublisherTypeDefaults(query) {
+			return this._publisherTypeDefaults.filter((d) => matchesUser(d, query)).map((d) => object.clone(d));
+		}
+
+		assignPublisherTypeDefault(publisherTypeDefault) {
+			const assigned = object.clone(publisherTypeDefault);
+			const index = this._publisherTypeDefaults.findIndex((d) => matchesUser(d, assigned) && d.publisher_type_id === assigned.publisher_type_id);
+
+			if (index < 0) {
+				this._publisherTypeDefaults.push(assigned);
+			} else {
+				this._publisherTypeDefaults[index] = assigned;
+			}
+
+			return object.clone(assigned);
+		}
+
+		getTemplates(query) {
+			return this._templates.filter((template) => matchesUser(template, query)).map((template) => object.clone(template));
+		}
+
+		retrieveTemplate(template) {
+			const existing = this._templates.find((t) => t.template_id === template.template_id);
+
+			if (!existing) {
+				return null;
+			}
+
+			return object.clone(existing);
+		}
+
+		createTemplate(template) {
+			const created = object.clone(template);
+
+			created.template_id = uuid.v4();
+			created.create_date = getNow();
+
+			if (is.array(created.conditions)) {
+				created.conditions.forEach((condition) => {
+					if (!is.string(condition.template_condition_id)) {
+						condition.template_condition_id = uuid.v4();
+					}
+				});
+			}
+
+			this._templates.push(created);
+
+			return object.clone(created);
+		}
+
+		deleteTemplate(template) {
+			const existing = this._templates.find((t) => t.template_id === template.template_id);
+
+			if (!existing) {
+				throw new AlertsNotFoundError(`Unable to delete template [ ${template.template_id} ], the template does not exist.`);
+			}
+
+			this._templates.splice(this._templates.indexOf(existing), 1);
+
+			return object.clone(existing);
+		}
+
+		getMarketDataConfiguration(query) {
+			const existing = this._marketDataConfigurations.find((c) => matchesUser(c, query));
+
+			if (!existing) {
+				return { user_id: query.user_id, alert_system: query.alert_system };
+			}
+
+			return object.clone(existing);
+		}
+
+		assignMarketDataConfiguration(marketDataConfiguration) {
+			const assigned = object.clone(marketDataConfiguration);
+			const index = this._marketDataConfigurations.findIndex((c) => matchesUser(c, assigned));
+
+			if (!is.string(assigned.configuration_id)) {
+				assigned.configuration_id = index < 0 ? uuid.v4() : this._marketDataConfigurations[index].configuration_id;
+			}
+
+			if (index < 0) {
+				this._marketDataConfigurations.push(assigned);
+			} else {
+				this._marketDataConfigurations[index] = assigned;
+			}
+
+			return object.clone(assigned);
+		}
+
+		getUser() {
+			return object.clone(this._user);
+		}
+
+		getServerVersion() {
+			return { semver: this._version };
+		}
+
+		retrieveTriggers(query) {
+			return this._triggers
+				.filter((trigger) => {
+					return matchesUser(trigger, query) &&
+						(!query.trigger_status || trigger.trigger_status === query.trigger_status) &&
+						(!query.trigger_date || parseInt(trigger.trigger_date) > parseInt(query.trigger_date));
+				})
+				.sort((a, b) => parseInt(b.trigger_date) - parseInt(a.trigger_date))
+				.map((trigger) => object.clone(trigger));
+		}
+
+		updateTrigger(query) {
+			const existing = this._triggers.find((t) => t.alert_id === query.alert_id && t.trigger_date === query.trigger_date);
+
+			if (!existing) {
+				throw new AlertsNotFoundError(`Unable to update trigger for alert [ ${query.alert_id} ], the trigger does not exist.`);
+			}
+
+			changeTriggerStatus(existing, query.trigger_status);
+
+			send.call(this, 'triggers/mutated', [ existing ]);
+
+			return object.clone(existing);
+		}
+
+		updateTriggers(query) {
+			const triggers = this._triggers.filter((trigger) => matchesUser(trigger, query));
+
+			triggers.forEach((trigger) => {
+				changeTriggerStatus(trigger, query.trigger_status);
+			});
+
+			if (triggers.length !== 0) {
+				send.call(this, 'triggers/mutated', triggers);
+			}
+
+			return triggers.map((trigger) => object.clone(trigger));
+		}
+
+		/**
+		 * Simulates the backend changing the state of an alert (e.g. an alert
+		 * expiring or being suspended for maintenance).
+		 *
+		 * @public
+		 * @param {String} alertId
+		 * @param {Enums.AlertState} alertState
+		 * @returns {Schema.Alert}
+		 */
+		setAlertState(alertId, alertState) {
+			assert.argumentIsRequired(alertId, 'alertId', String);
+			assert.argumentIsRequired(alertState, 'alertState', String);
+
+			const existing = getAlert.call(this, alertId);
+
+			existing.alert_state = alertState;
+
+			send.call(this, 'alert/mutated', existing);
+
+			return object.clone(existing);
+		}
+
+		/**
+		 * Simulates the conditions of an alert being met. The alert is updated (according
+		 * to its ```alert_behavior```), a trigger is created, and the same events the
+		 * backend would push are announced (i.e. ```alert/mutated```, ```alert/triggered```,
+		 * and ```triggers/created```).
+		 *
+		 * @public
+		 * @param {String} alertId
+		 * @param {Object=} data
+		 * @param {String=} data.trigger_title
+		 * @param {String=} data.trigger_description
+		 * @param {Object=} data.trigger_additional_data
+		 * @returns {Schema.Trigger}
+		 */
+		triggerAlert(alertId, data) {
+			assert.argumentIsRequired(alertId, 'alertId', String);
+			assert.argumentIsOptional(data, 'data', Object);
+
+			const existing = getAlert.call(this, alertId);
+			const d = data || { };
+
+			let now = getNow();
+
+			if (this._triggers.some((t) => t.alert_id === alertId && t.trigger_date === now)) {
+				now = (parseInt(now) + 1).toString();
+			}
+
+			existing.last_trigger_date = now;
+
+			if (!existing.alert_behavior || existing.alert_behavior === 'terminate') {
+				existing.alert_state = 'Triggered';
+			}
+
+			const trigger = {
+				alert_id: existing.alert_id,
+				alert_name: existing.name || '',
+				user_id: existing.user_id,
+				alert_system: existing.alert_system,
+				trigger_date: now,
+				trigger_status: 'Unread',
+				trigger_status_date: now,
+				trigger_title: d.trigger_title || existing.name || '',
+				trigger_description: d.trigger_description || '',
+				trigger_additional_data: d.trigger_additional_data || { }
+			};
+
+			this._triggers.push(trigger);
+
+			send.call(this, 'alert/mutated', existing);
+			send.call(this, 'alert/triggered', existing);
+			send.call(this, 'triggers/created', [ trigger ]);
+
+			return object.clone(trigger);
+		}
+
+		toString() {
+			return '[MemoryBackend]';
+		}
+	}
+
+	function getFixture(items) {
+		if (is.array(items)) {
+			return object.clone(items);
+		} else {
+			return [ ];
+		}
+	}
+
+	function getNow() {
+		return Date.now().toString();
+	}
+
+	function matchesUser(item, query) {
+		return item.user_id === query.user_id && item.alert_system === query.alert_system;
+	}
+
+	function findAlert(alertId) {
+		return this._alerts.find((alert) => alert.alert_id === alertId) || null;
+	}
+
+	function getAlert(alertId) {
+		const existing = findAlert.call(this, alertId);
+
+		if (existing === null) {
+			throw new AlertsNotFoundError(`Unable to find alert [ ${alertId} ], the alert does not exist.`);
+		}
+
+		return existing;
+	}
+
+	function changeAlertState(alert, alertState) {
+		if (alertState === 'Starting') {
+			alert.alert_state = 'Active';
+			alert.last_start_date = getNow();
+		} else if (alertState === 'Stopping') {
+			alert.alert_state = 'Inactive';
+		}
+	}
+
+	function changeTriggerStatus(trigger, triggerStatus) {
+		if (triggerStatus) {
+			trigger.trigger_status = triggerStatus;
+			trigger.trigger_status_date = getNow();
+		}
+	}
+
+	function send(channel, payload) {
+		this._messageEvent.fire({ channel: channel, payload: payload });
+	}
+
+	return MemoryBackend;
+})();
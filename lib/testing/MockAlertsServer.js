@@ -0,0 +1,560 @@
+const http = require('http'),
+	url = require('url');
+
+const jwt = require('jsonwebtoken'),
+	uuid = require('uuid');
+
+const assert = require('@barchart/common-js/lang/assert'),
+	Disposable = require('@barchart/common-js/lang/Disposable'),
+	is = require('@barchart/common-js/lang/is'),
+	object = require('@barchart/common-js/lang/object');
+
+const AlertsNotFoundError = require('../errors/AlertsNotFoundError');
+
+const MemoryBackend = require('./MemoryBackend');
+
+module.exports = (() => {
+	'use strict';
+
+	const PING_INTERVAL_MILLISECONDS = 25000;
+	const PING_TIMEOUT_MILLISECONDS = 60000;
+
+	/**
+	 * A local (Node.js only) imitation of the Barchart Alerting Service, backed by a
+	 * {@link MemoryBackend}. The server implements the REST-ful routes described in
+	 * ```openapi.yaml``` and the Socket.IO event protocol (i.e. ```request/*```,
+	 * ```subscribe/*```, ```alert/*```, and ```triggers/*``` channels). So, the
+	 * {@link AdapterForHttp} and {@link AdapterForSocketIo} classes can be tested
+	 * end to end without a network connection.
+	 *
+	 * When a ```key``` is provided, each secure request must carry a JWT token which
+	 * can be verified with the key. Otherwise, tokens are decoded without verification.
+	 *
+	 * Each secure request must also belong to the user identified by the token (i.e.
+	 * the token's ```user_id``` and ```alert_system``` claims must match the user
+	 * in the route, in the payload, and of the alert or template which is affected).
+	 * Otherwise, the request is rejected (with a 403 status).
+	 *
+	 * Requires the [ws](https://github.com/websockets/ws) library (an optional peer
+	 * dependency, which is loaded when the server is started).
+	 *
+	 * @public
+	 * @exported
+	 * @extends {Disposable}
+	 * @param {MemoryBackend=} backend - The backend which serves requests (an empty backend is used if omitted).
+	 * @param {Object=} options
+	 * @param {Number=} options.port - The TCP port to listen on (if omitted, an unused port is chosen).
+	 * @param {String|Buffer=} options.key - The secret (or public key) used to verify JWT tokens.
+	 * @param {Array<String>=} options.algorithms - The JWT algorithms to accept (default is HS256 and RS256).
+	 */
+	class MockAlertsServer extends Disposable {
+		constructor(backend, options) {
+			super();
+
+			assert.argumentIsOptional(backend, 'backend', MemoryBackend, 'MemoryBackend');
+			assert.argumentIsOptional(options, 'options', Object);
+
+			const o = options || { };
+
+			assert.argumentIsOptional(o.port, 'options.port', Number);
+			assert.argumentIsOptional(o.algorithms, 'options.algorithms', Array);
+
+			this._backend = backend || new MemoryBackend();
+
+			this._port = o.port || 0;
+			this._key = o.key || null;
+			this._algorithms = o.algorithms || [ 'HS256', 'RS256' ];
+
+			this._server = null;
+			this._webSocketServer = null;
+
+			this._connections = [ ];
+			this._clients = [ ];
+
+			this._backendRegistration = null;
+			this._startPromise = null;
+		}
+
+		/**
+		 * The backend which serves requests.
+		 *
+		 * @public
+		 * @returns {MemoryBackend}
+		 */
+		get backend() {
+			return this._backend;
+		}
+
+		/**
+		 * The TCP port the server is listening on (or null, if the server
+		 * has not been started).
+		 *
+		 * @public
+		 * @returns {Number|null}
+		 */
+		get port() {
+			if (this._server === null || !this._server.listening) {
+				return null;
+			}
+
+			return this._server.address().port;
+		}
+
+		/**
+		 * Starts listening for HTTP requests and WebSocket connections.
+		 *
+		 * @public
+		 * @returns {Promise<MockAlertsServer>}
+		 */
+		start() {
+			if (this.getIsDisposed()) {
+				return Promise.reject(new Error('Unable to start, the server has been disposed.'));
+			}
+
+			if (this._startPromise === null) {
+				this._startPromise = new Promise((resolveCallback, rejectCallback) => {
+					const WebSocket = require('ws');
+
+					const server = http.createServer((request, response) => {
+						processHttpRequest.call(this, request, response);
+					});
+
+					server.on('connection', (connection) => {
+						this._connections.push(connection);
+
+						connection.on('close', () => {
+							this._connections = this._connections.filter((c) => c !== connection);
+						});
+					});
+
+					server.on('error', (e) => {
+						rejectCallback(e);
+					});
+
+					this._server = server;
+
+					this._webSocketServer = new WebSocket.Server({ server: server, path: '/socket.io/' });
+					this._webSocketServer.on('connection', (socket) => {
+						processWebSocket.call(this, socket);
+					});
+
+					this._backendRegistration = this._backend.registerMessageHandler((message) => {
+						broadcast.call(this, message.channel, message.payload);
+					});
+
+					server.listen(this._port, () => {
+						resolveCallback(this);
+					});
+				});
+			}
+
+			return this._startPromise;
+		}
+
+		_onDispose() {
+			if (this._backendRegistration !== null) {
+				this._backendRegistration.dispose();
+				this._backendRegistration = null;
+			}
+
+			this._clients.forEach((client) => {
+				client.socket.terminate();
+			});
+
+			this._clients = [ ];
+
+			if (this._webSocketServer !== null) {
+				this._webSocketServer.close();
+				this._webSocketServer = null;
+			}
+
+			if (this._server !== null) {
+				this._server.close();
+				this._server = null;
+			}
+
+			this._connections.forEach((connection) => {
+				connection.destroy();
+			});
+
+			this._connections = [ ];
+		}
+
+		toString() {
+			return '[MockAlertsServer]';
+		}
+	}
+
+	function operation(secure, invoke, owner) {
+		return { secure: secure, invoke: invoke, owner: owner || null };
+	}
+
+	function getAlertOwner(backend, payload) {
+		return is.string(payload.alert_id) ? backend.retrieveAlert({ alert_id: payload.alert_id }) : null;
+	}
+
+	function getTemplateOwner(backend, payload) {
+		return is.string(payload.template_id) ? backend.retrieveTemplate({ template_id: payload.template_id }) : null;
+	}
+
+	const operations = {
+		'server/version': operation(false, (backend) => backend.getServerVersion()),
+		'user/retrieve': operation(true, (backend, payload, claims) => getIdentity(claims)),
+
+		'alerts/create': operation(true, (backend, payload) => backend.createAlert(payload)),
+		'alerts/retrieve': operation(true, (backend, payload) => backend.retrieveAlert(payload), getAlertOwner),
+		'alerts/update': operation(true, (backend, payload) => backend.updateAlert(payload), getAlertOwner),
+		'alerts/update/user': operation(true, (backend, payload) => backend.updateAlertsForUser(payload)),
+		'alerts/delete': operation(true, (backend, payload) => backend.deleteAlert(payload), getAlertOwner),
+		'alerts/retrieve/user': operation(true, (backend, payload) => backend.retrieveAlerts(payload)),
+		'alerts/retrieve/user/key': operation(true, (backend, payload) => backend.retrieveAlerts(payload)),
+
+		'alert/targets/retrieve': operation(false, (backend) => backend.getTargets()),
+		'alert/targets/properties/retrieve': operation(false, (backend) => backend.getProperties()),
+		'alert/operators/retrieve': operation(false, (backend) => backend.getOperators()),
+		'alert/modifiers/retrieve': operation(false, (backend) => backend.getModifiers()),
+		'alert/publishers/retrieve': operation(false, (backend) => backend.getPublisherTypes()),
+
+		'alert/publishers/default/retrieve': operation(true, (backend, payload) => backend.getPublisherTypeDefaults(payload)),
+		'alert/publishers/default/update': operation(true, (backend, payload) => backend.assignPublisherTypeDefault(payload)),
+
+		'templates/retrieve/user': operation(true, (backend, payload) => backend.getTemplates(payload)),
+		'templates/create': operation(true, (backend, payload) => backend.createTemplate(payload)),
+		'templates/delete': operation(true, (backend, payload) => backend.deleteTemplate(payload), getTemplateOwner),
+
+		'alert/market/configuration/retrieve': operation(true, (backend, payload) => backend.getMarketDataConfiguration(payload)),
+		'alert/market/configuration/update': operation(true, (backend, payload) => backend.assignMarketDataConfiguration(payload)),
+
+		'alert/triggers/retrieve/user': operation(true, (backend, payload) => backend.retrieveTriggers(payload)),
+		'alert/triggers/update': operation(true, (backend, payload) => backend.updateTrigger(payload), getAlertOwner),
+		'alert/triggers/update/user': operation(true, (backend, payload) => backend.updateTriggers(payload))
+	};
+
+	function route(verb, path, name) {
+		return { verb: verb, segments: path.split('/'), name: name };
+	}
+
+	const routes = [
+		route('GET', 'server/version', 'server/version'),
+		route('GET', 'user', 'user/retrieve'),
+
+		route('POST', 'alerts', 'alerts/create'),
+		route('GET', 'alerts/:alert_id', 'alerts/retrieve'),
+		route('PUT', 'alerts/:alert_id', 'alerts/update'),
+		route('DELETE', 'alerts/:alert_id', 'alerts/delete'),
+		route('GET', 'alerts/users/:alert_system/:user_id', 'alerts/retrieve/user'),
+		route('PUT', 'alerts/users/:alert_system/:user_id', 'alerts/update/user'),
+		route('GET', 'alerts/users/:alert_system/:user_id/:alert_system_key', 'alerts/retrieve/user/key'),
+
+		route('GET', 'alert/targets', 'alert/targets/retrieve'),
+		route('GET', 'alert/targets/properties', 'alert/targets/properties/retrieve'),
+		route('GET', 'alert/operators', 'alert/operators/retrieve'),
+		route('GET', 'alert/modifiers', 'alert/modifiers/retrieve'),
+		route('GET', 'alert/publishers', 'alert/publishers/retrieve'),
+
+		route('GET', 'alert/publishers/default/:alert_system/:user_id', 'alert/publishers/default/retrieve'),
+		route('PUT', 'alert/publishers/default/:alert_system/:user_id/:publisher_type_id', 'alert/publishers/default/update'),
+
+		route('GET', 'templates/users/:alert_system/:user_id', 'templates/retrieve/user'),
+		route('POST', 'templates', 'templates/create'),
+		route('DELETE', 'templates/:template_id', 'templates/delete'),
+
+		route('GET', 'alert/market/configuration/:alert_system/:user_id', 'alert/market/configuration/retrieve'),
+		route('PUT', 'alert/market/configuration/:alert_system/:user_id', 'alert/market/configuration/update'),
+
+		route('GET', 'alert/triggers/users/:alert_system/:user_id', 'alert/triggers/retrieve/user'),
+		route('PUT', 'alert/triggers/users/:alert_system/:user_id', 'alert/triggers/update/user'),
+		route('PUT', 'alert/triggers/:alert_id/:trigger_date', 'alert/triggers/update')
+	];
+
+	function matchRoute(verb, pathname) {
+		const segments = pathname.split('/').filter((segment) => segment.length !== 0).map((segment) => decodeURIComponent(segment));
+
+		return routes.reduce((match, candidate) => {
+			if (match !== null || candidate.verb !== verb || candidate.segments.length !== segments.length) {
+				return match;
+			}
+
+			const parameters = { };
+
+			const matches = candidate.segments.every((segment, i) => {
+				if (segment.startsWith(':')) {
+					parameters[segment.substring(1)] = segments[i];
+
+					return true;
+				}
+
+				return segment === segments[i];
+			});
+
+			if (matches) {
+				return { name: candidate.name, parameters: parameters };
+			}
+
+			return null;
+		}, null);
+	}
+
+	function getIdentity(claims) {
+		const userId = claims.user_id || claims.userId;
+		const alertSystem = claims.alert_system || claims.contextId;
+
+		if (is.string(userId) && is.string(alertSystem)) {
+			return { user_id: userId, alert_system: alertSystem };
+		}
+
+		return null;
+	}
+
+	function getIsOwner(identity, item) {
+		return (!is.string(item.user_id) || item.user_id === identity.user_id) && (!is.string(item.alert_system) || item.alert_system === identity.alert_system);
+	}
+
+	function getIsAuthorized(o, payload, claims) {
+		const identity = getIdentity(claims);
+
+		if (identity === null) {
+			return false;
+		}
+
+		const items = [ payload ];
+
+		if (o.owner !== null) {
+			const owner = o.owner(this._backend, payload);
+
+			if (owner !== null) {
+				items.push(owner);
+			}
+		}
+
+		return items.every((item) => getIsOwner(identity, item));
+	}
+
+	function getClaims(token) {
+		if (!is.string(token)) {
+			return null;
+		}
+
+		try {
+			if (this._key === null) {
+				return jwt.decode(token);
+			} else {
+				return jwt.verify(token, this._key, { algorithms: this._algorithms });
+			}
+		} catch (e) {
+			return null;
+		}
+	}
+
+	function invokeOperation(name, payload, token) {
+		const o = operations[name];
+
+		if (!o) {
+			return { status: 404, result: { message: `The operation [ ${name} ] does not exist.` } };
+		}
+
+		let claims = null;
+
+		if (o.secure) {
+			claims = getClaims.call(this, token);
+
+			if (claims === null) {
+				return { status: 401, result: { message: 'unauthorized' } };
+			}
+
+			if (!getIsAuthorized.call(this, o, payload, claims)) {
+				return { status: 403, result: { message: 'forbidden' } };
+			}
+		}
+
+		try {
+			const result = o.invoke(this._backend, payload, claims);
+
+			if (result === null) {
+				return { status: 404, result: { message: 'The object does not exist.' } };
+			}
+
+			return { status: 200, result: result };
+		} catch (e) {
+			if (e instanceof AlertsNotFoundError) {
+				return { status: 404, result: { message: e.message } };
+			}
+
+			return { status: 500, result: { message: e.message } };
+		}
+	}
+
+	function processHttpRequest(request, response) {
+		const parsed = url.parse(request.url, true);
+
+		const send = (status, result) => {
+			response.writeHead(status, {
+				'Access-Control-Allow-Origin': '*',
+				'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+				'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE',
+				'Content-Type': 'application/json'
+			});
+
+			if (is.undefined(result)) {
+				response.end();
+			} else {
+				response.end(JSON.stringify(result));
+			}
+		};
+
+		if (request.method === 'OPTIONS') {
+			send(204);
+
+			return;
+		}
+
+		const match = matchRoute(request.method, parsed.pathname);
+
+		if (match === null) {
+			send(404, { message: `The route [ ${request.method} ${parsed.pathname} ] does not exist.` });
+
+			return;
+		}
+
+		const chunks = [ ];
+
+		request.on('data', (chunk) => {
+			chunks.push(chunk);
+		});
+
+		request.on('end', () => {
+			let body;
+
+			try {
+				const text = Buffer.concat(chunks).toString();
+
+				body = text.length === 0 ? { } : JSON.parse(text);
+			} catch (e) {
+				send(400, { message: 'The request body is not valid JSON.' });
+
+				return;
+			}
+
+			const authorization = request.headers.authorization;
+
+			let token;
+
+			if (is.string(authorization) && authorization.startsWith('Bearer ')) {
+				token = authorization.substring(7);
+			} else {
+				token = null;
+			}
+
+			const payload = Object.assign({ }, match.parameters, parsed.query, body);
+			const outcome = invokeOperation.call(this, match.name, payload, token);
+
+			send(outcome.status, outcome.result);
+		});
+	}
+
+	function processWebSocket(socket) {
+		const client = { socket: socket, alerts: [ ], triggers: [ ] };
+
+		this._clients.push(client);
+
+		socket.on('close', () => {
+			this._clients = this._clients.filter((c) => c !== client);
+		});
+
+		socket.on('message', (data) => {
+			const text = data.toString();
+
+			if (text === '2') {
+				socket.send('3');
+			} else if (text.startsWith('42')) {
+				const match = text.match(/^42[0-9]*(\[[\s\S]*])$/);
+
+				let event;
+
+				try {
+					event = match ? JSON.parse(match[1]) : null;
+				} catch (e) {
+					event = null;
+				}
+
+				if (is.array(event) && is.string(event[0])) {
+					processSocketEvent.call(this, client, event[0], event[1] || { });
+				}
+			}
+		});
+
+		socket.send('0' + JSON.stringify({ sid: uuid.v4(), upgrades: [ ], pingInterval: PING_INTERVAL_MILLISECONDS, pingTimeout: PING_TIMEOUT_MILLISECONDS }));
+		socket.send('40');
+	}
+
+	function processSocketEvent(client, channel, payload) {
+		const context = payload.context || { };
+
+		if (channel.startsWith('request/')) {
+			const request = object.clone(payload.request || { });
+
+			delete request.context;
+
+			const outcome = invokeOperation.call(this, channel.substring(8), request, context.token);
+			const data = { requestId: payload.requestId };
+
+			if (outcome.status === 200) {
+				data.response = outcome.result;
+			} else {
+				data.response = null;
+				data.status = outcome.status;
+				data.error = outcome.result;
+			}
+
+			emit(client, 'response', data);
+		} else if (channel.startsWith('subscribe/')) {
+			const claims = getClaims.call(this, context.token);
+
+			if (claims === null || !getIsAuthorized.call(this, operation(true), payload, claims)) {
+				return;
+			}
+
+			const subscription = { user_id: payload.user_id, alert_system: payload.alert_system };
+
+			if (channel === 'subscribe/alerts/events') {
+				client.alerts.push(subscription);
+			} else if (channel === 'subscribe/triggers/events') {
+				client.triggers.push(subscription);
+			}
+		}
+	}
+
+	function broadcast(channel, payload) {
+		this._clients.forEach((client) => {
+			const matches = (item) => {
+				let subscriptions;
+
+				if (channel.startsWith('alert/')) {
+					subscriptions = client.alerts;
+				} else {
+					subscriptions = client.triggers;
+				}
+
+				return subscriptions.some((s) => s.user_id === item.user_id && s.alert_system === item.alert_system);
+			};
+
+			if (is.array(payload)) {
+				const items = payload.filter(matches);
+
+				if (items.length !== 0) {
+					emit(client, channel, items);
+				}
+			} else if (matches(payload)) {
+				emit(client, channel, payload);
+			}
+		});
+	}
+
+	function emit(client, channel, payload) {
+		if (client.socket.readyState === client.socket.OPEN) {
+			client.socket.send('42' + JSON.stringify([ channel, payload ]));
+		}
+	}
+
+	return MockAlertsServer;
+})();
@@ -0,0 +1,334 @@
+const AdapterBase = require('./../../lib/adapters/AdapterBase'),
+	AlertManager = require('./../../lib/AlertManager'),
+	AlertsCancellationError = require('./../../lib/errors/AlertsCancellationError'),
+	AlertsConnectionError = require('./../../lib/errors/AlertsConnectionError'),
+	AlertsNotFoundError = require('./../../lib/errors/AlertsNotFoundError'),
+	AlertsValidationError = require('./../../lib/errors/AlertsValidationError'),
+	AlertsTimeoutError = require('./../../lib/errors/AlertsTimeoutError'),
+	JwtProvider = require('./../../lib/security/JwtProvider'),
+	MemoryCacheStore = require('./../../lib/cache/MemoryCacheStore');
+
+describe('When using an AlertManager', () => {
+	'use strict';
+
+	let tokens;
+	let calls;
+
+	class FakeSignal {
+		constructor() {
+			this.aborted = false;
+			this.handlers = [ ];
+		}
+
+		addEventListener(type, handler) {
+			this.handlers.push(handler);
+		}
+
+		removeEventListener(type, handler) {
+			this.handlers = this.handlers.filter((h) => h !== handler);
+		}
+
+		abort() {
+			this.aborted = true;
+			this.handlers.forEach((handler) => handler());
+		}
+	}
+
+	class PendingAdapter extends AdapterBase {
+		constructor(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged) {
+			super(host, port, secure, onAlertCreated, onAlertMutated, onAlertDeleted, onAlertTriggered, onTriggersCreated, onTriggersMutated, onTriggersDeleted, onConnectionStateChanged);
+		}
+
+		connect(jwtProvider) {
+			return Promise.resolve(this);
+		}
+
+		getServerVersion(cancellationToken) {
+			tokens.push(cancellationToken);
+
+			return new Promise(() => { });
+		}
+
+		updateAlert(alert, cancellationToken) {
+			calls.push('updateAlert');
+
+			return Promise.resolve(alert);
+		}
+
+		deleteAlert(alert, cancellationToken) {
+			calls.push('deleteAlert');
+
+			return Promise.resolve(alert);
+		}
+
+		createAlert(alert, cancellationToken) {
+			calls.push('createAlert');
+
+			return Promise.resolve(alert);
+		}
+
+		getProperties(cancellationToken) {
+			calls.push('getProperties');
+
+			return Promise.resolve([ ]);
+		}
+
+		getOperators(cancellationToken) {
+			calls.push('getOperators');
+
+			return Promise.resolve([ ]);
+		}
+
+		getTargets(cancellationToken) {
+			return Promise.resolve([ ]);
+		}
+
+		getModifiers(cancellationToken) {
+			return Promise.resolve([ ]);
+		}
+
+		getPublisherTypes(cancellationToken) {
+			return Promise.resolve([ ]);
+		}
+
+		retrieveAlert(alert, cancellationToken) {
+			return Promise.resolve(null);
+		}
+
+		getUser(cancellationToken) {
+			return Promise.resolve({ user_id: 'me', alert_system: 'test' });
+		}
+	}
+
+	let manager;
+
+	beforeEach((done) => {
+		tokens = [ ];
+		calls = [ ];
+
+		manager = new AlertManager('localhost', 80, false, PendingAdapter, 20);
+
+		manager.connect(new JwtProvider(() => Promise.resolve('token'))).then(() => done());
+	});
+
+	afterEach(() => {
+		manager.dispose();
+	});
+
+	it('a request which completes should resolve normally', (done) => {
+		manager.getUser().then((user) => {
+			expect(user.user_id).toEqual('me');
+
+			done();
+		});
+	});
+
+	it('a request which does not complete should be rejected with an AlertsTimeoutError', (done) => {
+		manager.getServerVersion().catch((e) => {
+			expect(e instanceof AlertsTimeoutError).toEqual(true);
+			expect(e.milliseconds).toEqual(20);
+
+			done();
+		});
+	});
+
+	it('the adapter should receive a cancelled token when the request times out', (done) => {
+		manager.getServerVersion().catch(() => {
+			expect(tokens.length).toEqual(1);
+			expect(tokens[0].cancelled).toEqual(true);
+
+			done();
+		});
+	});
+
+	it('the timeout can be overridden for a single request', (done) => {
+		manager.getServerVersion({ timeout: 5 }).catch((e) => {
+			expect(e instanceof AlertsTimeoutError).toEqual(true);
+			expect(e.milliseconds).toEqual(5);
+
+			done();
+		});
+	});
+
+	it('a request should be rejected with an AlertsCancellationError when its signal is aborted', (done) => {
+		const signal = new FakeSignal();
+
+		manager.getServerVersion({ timeout: 0, signal: signal }).catch((e) => {
+			expect(e instanceof AlertsCancellationError).toEqual(true);
+			expect(tokens[0].cancelled).toEqual(true);
+
+			done();
+		});
+
+		setTimeout(() => signal.abort(), 0);
+	});
+
+	it('a request should be rejected immediately when its signal has already been aborted', (done) => {
+		const signal = new FakeSignal();
+
+		signal.abort();
+
+		manager.getServerVersion({ signal: signal }).catch((e) => {
+			expect(e instanceof AlertsCancellationError).toEqual(true);
+			expect(tokens.length).toEqual(0);
+
+			done();
+		});
+	});
+
+	it('retrieving an alert which does not exist should be rejected with an AlertsNotFoundError', (done) => {
+		manager.retrieveAlert({ alert_id: 'missing' }).catch((e) => {
+			expect(e instanceof AlertsNotFoundError).toEqual(true);
+
+			done();
+		});
+	});
+
+	it('a request made after disposal should be rejected with an AlertsConnectionError', (done) => {
+		manager.dispose();
+
+		manager.getUser().catch((e) => {
+			expect(e instanceof AlertsConnectionError).toEqual(true);
+
+			done();
+		});
+	});
+
+	it('editing an alert should update the alert in place', (done) => {
+		manager.editAlert({ alert_id: 'a', user_id: 'me', alert_system: 'test', conditions: [ ] }).then((alert) => {
+			expect(alert.alert_id).toEqual('a');
+			expect(calls.filter((c) => c !== 'getProperties' && c !== 'getOperators')).toEqual([ 'updateAlert' ]);
+
+			done();
+		});
+	});
+
+	describe('and retrieving metadata', () => {
+		const countPropertyRequests = () => calls.filter((c) => c === 'getProperties').length;
+
+		it('a second request should be served from the cache', (done) => {
+			manager.getProperties()
+				.then(() => manager.getProperties())
+				.then(() => {
+					expect(countPropertyRequests()).toEqual(1);
+
+					done();
+				});
+		});
+
+		it('a request should bypass the cache when the TTL is zero', (done) => {
+			manager.setMetadataCacheTtl(0);
+
+			manager.getProperties()
+				.then(() => manager.getProperties())
+				.then(() => {
+					expect(countPropertyRequests()).toEqual(2);
+
+					done();
+				});
+		});
+
+		it('a request should bypass the cache after the metadata is refreshed', (done) => {
+			manager.getProperties()
+				.then(() => manager.refreshMetadata())
+				.then(() => manager.getProperties())
+				.then(() => {
+					expect(countPropertyRequests()).toEqual(2);
+
+					done();
+				});
+		});
+
+		it('a request should be served from a store which already contains a fresh entry', (done) => {
+			const store = new MemoryCacheStore();
+
+			store.put('localhost:properties', { timestamp: Date.now(), value: [ { property_id: 1 } ] });
+
+			manager.setMetadataCacheStore(store);
+
+			manager.getProperties().then((properties) => {
+				expect(properties).toEqual([ { property_id: 1 } ]);
+				expect(countPropertyRequests()).toEqual(0);
+
+				done();
+			});
+		});
+
+		it('a request should not use a store entry which has expired', (done) => {
+			const store = new MemoryCacheStore();
+
+			store.put('localhost:properties', { timestamp: Date.now() - manager.getMetadataCacheTtl() - 1, value: [ { property_id: 1 } ] });
+
+			manager.setMetadataCacheStore(store);
+
+			manager.getProperties().then((properties) => {
+				expect(properties).toEqual([ ]);
+				expect(countPropertyRequests()).toEqual(1);
+
+				done();
+			});
+		});
+	});
+
+	describe('and creating several alerts at once', () => {
+		let results;
+
+		beforeEach((done) => {
+			const alerts = [
+				{ user_id: 'me', alert_system: 'test', conditions: [ ] },
+				{ user_id: 'me', alert_system: 'test' },
+				{ user_id: 'me', alert_system: 'test', conditions: [ ] }
+			];
+
+			manager.createAlerts(alerts).then((r) => {
+				results = r;
+
+				done();
+			});
+		});
+
+		it('a result should be reported for each alert, in order', () => {
+			expect(results.map((r) => r.success)).toEqual([ true, false, true ]);
+		});
+
+		it('the failure should be reported with its error', () => {
+			expect(results[1].error instanceof AlertsValidationError).toEqual(true);
+		});
+
+		it('the metadata should be retrieved only once', () => {
+			expect(calls.filter((c) => c === 'getProperties').length).toEqual(1);
+			expect(calls.filter((c) => c === 'createAlert').length).toEqual(2);
+		});
+	});
+
+	describe('and creating several alerts which are all invalid', () => {
+		let results;
+
+		beforeEach((done) => {
+			manager.createAlerts([ { user_id: 'me', alert_system: 'test' } ]).then((r) => {
+				results = r;
+
+				done();
+			});
+		});
+
+		it('the failure should be reported', () => {
+			expect(results.map((r) => r.success)).toEqual([ false ]);
+		});
+
+		it('the metadata should not be retrieved', () => {
+			expect(calls.filter((c) => c === 'getProperties').length).toEqual(0);
+		});
+	});
+
+	describe('and creating an empty array of alerts', () => {
+		it('no requests should be sent', (done) => {
+			manager.createAlerts([ ]).then((r) => {
+				expect(r).toEqual([ ]);
+				expect(calls).toEqual([ ]);
+
+				done();
+			});
+		});
+	});
+});
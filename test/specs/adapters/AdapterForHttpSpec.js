@@ -0,0 +1,346 @@
+const jwt = require('jsonwebtoken');
+
+const AdapterForHttp = require('./../../../lib/adapters/AdapterForHttp'),
+	AlertManager = require('./../../../lib/AlertManager'),
+	AlertsAuthenticationError = require('./../../../lib/errors/AlertsAuthenticationError'),
+	AlertsNotFoundError = require('./../../../lib/errors/AlertsNotFoundError'),
+	AlertsTimeoutError = require('./../../../lib/errors/AlertsTimeoutError'),
+	CancellationToken = require('./../../../lib/common/CancellationToken'),
+	JwtProvider = require('./../../../lib/security/JwtProvider'),
+	MemoryBackend = require('./../../../lib/testing/MemoryBackend'),
+	MockAlertsServer = require('./../../../lib/testing/MockAlertsServer'),
+	PollingPolicy = require('./../../../lib/adapters/PollingPolicy');
+
+describe('When using an AdapterForHttp with a MockAlertsServer', () => {
+	'use strict';
+
+	const key = 'local-secret';
+	const user = { user_id: 'me', alert_system: 'test' };
+
+	let server;
+	let manager;
+
+	const connect = (secret) => {
+		const token = jwt.sign(user, secret);
+
+		manager = new AlertManager('localhost', server.port, false, AdapterForHttp);
+
+		return manager.connect(new JwtProvider(() => Promise.resolve(token)));
+	};
+
+	beforeEach((done) => {
+		const backend = new MemoryBackend({
+			alerts: [ { alert_id: 'a', name: 'Existing', user_id: 'me', alert_system: 'test', alert_state: 'Inactive', conditions: [ ] } ]
+		});
+
+		server = new MockAlertsServer(backend, { key: key });
+		server.start().then(() => done());
+	});
+
+	afterEach(() => {
+		if (manager) {
+			manager.dispose();
+			manager = null;
+		}
+
+		server.dispose();
+	});
+
+	describe('and the token cannot be decoded', () => {
+		beforeEach((done) => {
+			manager = new AlertManager('localhost', server.port, false, AdapterForHttp);
+			manager.connect(new JwtProvider(() => Promise.resolve('not-a-token'))).then(() => done());
+		});
+
+		it('the JWT payload should be rejected', (done) => {
+			manager.getJwtPayload()
+				.then(() => {
+					fail('The JWT payload should not have been decoded.');
+				}).catch((e) => {
+					expect(e.message).toEqual('Unable to decode the JWT token.');
+				}).then(() => {
+					done();
+				});
+		});
+
+		it('the user should be rejected with an AlertsAuthenticationError', (done) => {
+			manager.getUser()
+				.then(() => {
+					fail('The user should not have been returned.');
+				}).catch((e) => {
+					expect(e instanceof AlertsAuthenticationError).toEqual(true);
+				}).then(() => {
+					done();
+				});
+		});
+	});
+
+	describe('and the token is signed with the local key', () => {
+		beforeEach((done) => {
+			connect(key).then(() => done());
+		});
+
+		it('the user should be read from the token', (done) => {
+			manager.getUser().then((u) => {
+				expect(u).toEqual(user);
+
+				done();
+			});
+		});
+
+		it('the JWT payload should be decoded locally', (done) => {
+			manager.getJwtPayload()
+				.then((payload) => {
+					expect(payload.userId).toEqual('me');
+					expect(payload.alertSystem).toEqual('test');
+				}).catch((e) => {
+					fail(e);
+				}).then(() => {
+					done();
+				});
+		});
+
+		it('alerts should be retrieved from the backend', (done) => {
+			manager.retrieveAlerts(user).then((alerts) => {
+				expect(alerts.map((a) => a.alert_id)).toEqual([ 'a' ]);
+
+				done();
+			});
+		});
+
+		it('a created alert should be saved by the backend', (done) => {
+			manager.createAlert({ name: 'New', user_id: 'me', alert_system: 'test', conditions: [ ] }).then((alert) => {
+				expect(server.backend.retrieveAlert(alert).name).toEqual('New');
+
+				done();
+			});
+		});
+
+		it('deleting an alert which does not exist should be rejected with an AlertsNotFoundError', (done) => {
+			manager.deleteAlert({ alert_id: 'missing' }).catch((e) => {
+				expect(e instanceof AlertsNotFoundError).toEqual(true);
+
+				done();
+			});
+		});
+	});
+
+	describe('and the adapter uses its own polling policy', () => {
+		let failures;
+
+		beforeEach((done) => {
+			failures = [ ];
+
+			const policy = new PollingPolicy(60000, 60000, false, null, (e) => failures.push(e));
+
+			manager = new AlertManager('localhost', server.port, false, AdapterForHttp.withPollingPolicy(policy));
+
+			manager.connect(new JwtProvider(() => Promise.resolve(jwt.sign(user, key))))
+				.then(() => {
+					manager.subscribeAlerts(user, () => { }, () => { }, () => { }, () => { });
+
+					return manager.refreshSubscriptions();
+				}).then(() => {
+					done();
+				});
+		});
+
+		it('a failed poll should invoke the error callback of the policy', (done) => {
+			server.dispose();
+
+			manager.refreshSubscriptions().then(() => {
+				expect(failures.length).toEqual(1);
+
+				done();
+			});
+		});
+	});
+
+	describe('and the adapter is used directly', () => {
+		let adapter;
+
+		beforeEach((done) => {
+			const noop = () => { };
+
+			adapter = new AdapterForHttp('localhost', server.port, false, noop, noop, noop, noop, noop, noop, noop, noop);
+			adapter.connect(new JwtProvider(() => Promise.resolve(jwt.sign(user, key)))).then(() => done());
+		});
+
+		afterEach(() => {
+			adapter.dispose();
+		});
+
+		it('an update which completes after the adapter is disposed should resolve', (done) => {
+			adapter.subscribeAlerts(user);
+
+			const promise = adapter.updateAlert({ alert_id: 'a', name: 'Renamed', user_id: 'me', alert_system: 'test', alert_state: 'Inactive', conditions: [ ] });
+
+			adapter.dispose();
+
+			promise
+				.then((alert) => {
+					expect(alert.name).toEqual('Renamed');
+				}).catch((e) => {
+					fail(e);
+				}).then(() => {
+					done();
+				});
+		});
+
+		it('a request which was cancelled before it was sent should be rejected with the cancellation reason and should not reach the backend', (done) => {
+			const cancellationToken = new CancellationToken();
+
+			cancellationToken.cancel(new AlertsTimeoutError('create alert', 10));
+
+			adapter.createAlert({ name: 'New', user_id: 'me', alert_system: 'test', conditions: [ ] }, cancellationToken)
+				.then(() => {
+					fail('The request should have been rejected.');
+				}).catch((e) => {
+					expect(e instanceof AlertsTimeoutError).toEqual(true);
+					expect(server.backend.retrieveAlerts(user).length).toEqual(1);
+				}).then(() => {
+					done();
+				});
+		});
+	});
+
+	describe('and alerts are polled infrequently', () => {
+		let created;
+		let changed;
+
+		beforeEach((done) => {
+			created = [ ];
+			changed = [ ];
+
+			AdapterForHttp.setPollingPolicy(new PollingPolicy(60000));
+
+			connect(key).then(() => {
+				manager.subscribeAlerts(user, (a, changes) => changed.push(changes), () => { }, (a) => created.push(a), () => { });
+
+				return manager.refreshSubscriptions();
+			}).then(() => {
+				done();
+			});
+		});
+
+		afterEach(() => {
+			AdapterForHttp.setPollingPolicy(PollingPolicy.DEFAULT);
+		});
+
+		it('refreshing should find an alert added since the last poll', (done) => {
+			server.backend.createAlert({ name: 'Other', user_id: 'me', alert_system: 'test', conditions: [ ] });
+
+			manager.refreshSubscriptions().then(() => {
+				expect(created.map((a) => a.name)).toEqual([ 'Existing', 'Other' ]);
+
+				done();
+			});
+		});
+
+		it('refreshing should report the fields of an alert which were edited since the last poll', (done) => {
+			changed = [ ];
+
+			server.backend.updateAlert({ alert_id: 'a', name: 'Renamed' });
+
+			manager.refreshSubscriptions().then(() => {
+				expect(changed).toEqual([ [ 'name' ] ]);
+
+				done();
+			});
+		});
+
+		it('modifying retrieved alerts should not affect the changes reported by the next poll', (done) => {
+			server.backend.updateAlert({ alert_id: 'a', name: 'Renamed' });
+
+			manager.retrieveAlerts(user)
+				.then((alerts) => {
+					changed = [ ];
+
+					alerts[0].name = 'Renamed again';
+
+					server.backend.updateAlert({ alert_id: 'a', name: 'Renamed again' });
+
+					return manager.refreshSubscriptions();
+				}).then(() => {
+					expect(changed).toEqual([ [ 'name' ] ]);
+
+					done();
+				});
+		});
+
+		it('refreshing should not report alerts which have not changed', (done) => {
+			changed = [ ];
+
+			manager.refreshSubscriptions().then(() => {
+				expect(changed).toEqual([ ]);
+
+				done();
+			});
+		});
+	});
+
+	describe('and the token belongs to another user', () => {
+		beforeEach((done) => {
+			manager = new AlertManager('localhost', server.port, false, AdapterForHttp);
+
+			manager.connect(new JwtProvider(() => Promise.resolve(jwt.sign({ user_id: 'someone-else', alert_system: 'test' }, key)))).then(() => done());
+		});
+
+		it('retrieving the alerts of the user should be rejected with an AlertsAuthenticationError', (done) => {
+			manager.retrieveAlerts(user).catch((e) => {
+				expect(e instanceof AlertsAuthenticationError).toEqual(true);
+
+				done();
+			});
+		});
+
+		it('deleting an alert of the user should be rejected with an AlertsAuthenticationError', (done) => {
+			manager.deleteAlert({ alert_id: 'a' }).catch((e) => {
+				expect(e instanceof AlertsAuthenticationError).toEqual(true);
+				expect(server.backend.retrieveAlert({ alert_id: 'a' })).not.toEqual(null);
+
+				done();
+			});
+		});
+	});
+
+	describe('and the token is signed with another key', () => {
+		beforeEach((done) => {
+			connect('another-secret').then(() => done());
+		});
+
+		it('a secure request should be rejected with an AlertsAuthenticationError', (done) => {
+			manager.getUser().catch((e) => {
+				expect(e instanceof AlertsAuthenticationError).toEqual(true);
+
+				done();
+			});
+		});
+	});
+
+	describe('and the cached token is rejected', () => {
+		let generated;
+
+		beforeEach((done) => {
+			generated = 0;
+
+			manager = new AlertManager('localhost', server.port, false, AdapterForHttp);
+
+			manager.connect(new JwtProvider(() => {
+				generated = generated + 1;
+
+				return Promise.resolve(jwt.sign(user, generated === 1 ? 'another-secret' : key));
+			}, 0)).then(() => done());
+		});
+
+		it('the request should be retried with a new token', (done) => {
+			manager.getUser().then((u) => {
+				expect(u).toEqual(user);
+				expect(generated).toEqual(2);
+
+				done();
+			});
+		});
+	});
+});
+
@@ -0,0 +1,302 @@
+const AdapterForMemory = require('./../../../lib/adapters/AdapterForMemory'),
+	AlertManager = require('./../../../lib/AlertManager'),
+	AlertsNotFoundError = require('./../../../lib/errors/AlertsNotFoundError'),
+	JwtProvider = require('./../../../lib/security/JwtProvider'),
+	MemoryBackend = require('./../../../lib/testing/MemoryBackend');
+
+describe('When using an AdapterForMemory', () => {
+	'use strict';
+
+	const user = { user_id: 'me', alert_system: 'test' };
+
+	let backend;
+	let manager;
+
+	beforeEach((done) => {
+		backend = new MemoryBackend({
+			user: user,
+			alerts: [
+				{ alert_id: 'a', name: 'Existing', user_id: 'me', alert_system: 'test', alert_state: 'Inactive', conditions: [ ] },
+				{ alert_id: 'b', name: 'Other', user_id: 'someone', alert_system: 'test', alert_state: 'Inactive', conditions: [ ] }
+			],
+			properties: [ { property_id: 1 } ]
+		});
+
+		AdapterForMemory.setBackend(backend);
+
+		manager = new AlertManager('localhost', 80, false, AdapterForMemory);
+		manager.connect(new JwtProvider(() => Promise.resolve('token'))).then(() => done());
+	});
+
+	afterEach(() => {
+		manager.dispose();
+	});
+
+	it('the user should be read from the fixtures', (done) => {
+		manager.getUser().then((u) => {
+			expect(u).toEqual(user);
+
+			done();
+		});
+	});
+
+	it('metadata should be read from the fixtures', (done) => {
+		manager.getProperties().then((properties) => {
+			expect(properties).toEqual([ { property_id: 1 } ]);
+
+			done();
+		});
+	});
+
+	it('retrieving alerts should only return alerts owned by the user', (done) => {
+		manager.retrieveAlerts(user).then((alerts) => {
+			expect(alerts.map((a) => a.alert_id)).toEqual([ 'a' ]);
+
+			done();
+		});
+	});
+
+	it('enabling an alert should make the alert active', (done) => {
+		manager.enableAlert({ alert_id: 'a' })
+			.then(() => manager.retrieveAlert({ alert_id: 'a' }))
+			.then((alert) => {
+				expect(alert.alert_state).toEqual('Active');
+
+				done();
+			});
+	});
+
+	it('deleting an alert which does not exist should be rejected with an AlertsNotFoundError', (done) => {
+		manager.deleteAlert({ alert_id: 'missing' }).catch((e) => {
+			expect(e instanceof AlertsNotFoundError).toEqual(true);
+
+			done();
+		});
+	});
+
+	describe('and subscribed to alerts and triggers', () => {
+		let created;
+		let mutated;
+		let triggered;
+		let triggersCreated;
+
+		beforeEach(() => {
+			created = [ ];
+			mutated = [ ];
+			triggered = [ ];
+			triggersCreated = [ ];
+
+			manager.subscribeAlerts(user, (a) => mutated.push(a), () => { }, (a) => created.push(a), (a) => triggered.push(a));
+			manager.subscribeTriggers(user, () => { }, () => { }, (t) => triggersCreated.push(t));
+		});
+
+		it('creating an alert should invoke the "created" callback', (done) => {
+			manager.createAlert({ name: 'New', user_id: 'me', alert_system: 'test', conditions: [ ] }).then((alert) => {
+				expect(created.length).toEqual(1);
+				expect(created[0].alert_id).toEqual(alert.alert_id);
+
+				done();
+			});
+		});
+
+		it('an alert owned by another user should not invoke the callbacks', (done) => {
+			backend.triggerAlert('b');
+
+			setTimeout(() => {
+				expect(triggered.length).toEqual(0);
+
+				done();
+			}, 0);
+		});
+
+		it('a simulated trigger should invoke the "triggered" callback and create an unread trigger', (done) => {
+			const trigger = backend.triggerAlert('a', { trigger_title: 'Boom' });
+
+			setTimeout(() => {
+				expect(triggered.length).toEqual(1);
+				expect(triggered[0].alert_state).toEqual('Triggered');
+
+				expect(triggersCreated.length).toEqual(1);
+				expect(triggersCreated[0][0].trigger_title).toEqual('Boom');
+				expect(triggersCreated[0][0].trigger_date).toEqual(trigger.trigger_date);
+
+				manager.retrieveTriggers(Object.assign({ trigger_status: 'Unread' }, user)).then((triggers) => {
+					expect(triggers.length).toEqual(1);
+
+					done();
+				});
+			}, 0);
+		});
+	});
+
+	describe('and the alert has been triggered three times', () => {
+		beforeEach(() => {
+			backend.triggerAlert('a');
+			backend.triggerAlert('a');
+			backend.triggerAlert('a');
+		});
+
+		it('the trigger history should be paged with a continuation token', (done) => {
+			const query = Object.assign({ from: 0, limit: 2 }, user);
+
+			manager.retrieveTriggerHistory(query)
+				.then((first) => {
+					expect(first.triggers.length).toEqual(2);
+					expect(first.continuation).not.toEqual(null);
+
+					return manager.retrieveTriggerHistory(Object.assign({ continuation: first.continuation }, query));
+				}).then((second) => {
+					expect(second.triggers.length).toEqual(1);
+					expect(second.continuation).toEqual(null);
+
+					done();
+				});
+		});
+
+		it('the next page of the trigger history should not be retrieved from the backend again', (done) => {
+			const query = Object.assign({ from: 0, limit: 2 }, user);
+
+			manager.retrieveTriggerHistory(query)
+				.then((first) => {
+					spyOn(backend, 'retrieveTriggers').and.callThrough();
+
+					return manager.retrieveTriggerHistory(Object.assign({ continuation: first.continuation }, query));
+				}).then((second) => {
+					expect(second.triggers.length).toEqual(1);
+					expect(backend.retrieveTriggers).not.toHaveBeenCalled();
+
+					return manager.retrieveTriggerHistory(query);
+				}).then(() => {
+					expect(backend.retrieveTriggers).toHaveBeenCalledTimes(1);
+
+					done();
+				});
+		});
+
+		it('the next page of the trigger history should reflect triggers updated since the first page', (done) => {
+			const query = Object.assign({ from: 0, limit: 2, trigger_status: 'Unread' }, user);
+
+			let first;
+
+			manager.retrieveTriggerHistory(query)
+				.then((page) => {
+					first = page;
+
+					return manager.retrieveTriggers(user);
+				}).then((triggers) => {
+					const oldest = triggers.reduce((o, t) => parseInt(t.trigger_date) < parseInt(o.trigger_date) ? t : o);
+
+					return manager.updateTrigger({ alert_id: 'a', trigger_date: oldest.trigger_date, trigger_status: 'Read' });
+				}).then(() => {
+					return manager.retrieveTriggerHistory(Object.assign({ continuation: first.continuation }, query));
+				}).then((second) => {
+					expect(second.triggers).toEqual([ ]);
+
+					done();
+				});
+		});
+
+		it('a trigger should be updated using a numeric trigger date', (done) => {
+			manager.retrieveTriggers(user)
+				.then((triggers) => {
+					return manager.updateTrigger({ alert_id: 'a', trigger_date: parseInt(triggers[0].trigger_date), trigger_status: 'Read' });
+				}).then((trigger) => {
+					expect(trigger.trigger_status).toEqual('Read');
+
+					done();
+				});
+		});
+	});
+
+	describe('and streaming alerts', () => {
+		it('a "for await" loop should receive typed events', (done) => {
+			const stream = manager.streamAlerts(Object.assign({ alert_id: 'a' }, user));
+
+			const consume = async () => {
+				const events = [ ];
+
+				for await (const event of stream) {
+					events.push(event);
+
+					if (event.type === 'triggered') {
+						break;
+					}
+				}
+
+				return events;
+			};
+
+			consume().then((events) => {
+				expect(events.map((e) => e.type)).toContain('triggered');
+				expect(events.every((e) => e.alert.alert_id === 'a')).toEqual(true);
+
+				done();
+			});
+
+			setTimeout(() => backend.triggerAlert('a'), 0);
+		});
+
+		it('an observer should receive trigger events', (done) => {
+			const subscription = manager.streamTriggers(user).subscribe((event) => {
+				expect(event.type).toEqual('created');
+				expect(event.triggers[0].alert_id).toEqual('a');
+
+				subscription.unsubscribe();
+
+				done();
+			});
+
+			backend.triggerAlert('a');
+		});
+	});
+
+	describe('and subscribed to a single alert and to alerts for a symbol', () => {
+		let symbolAlert;
+
+		let forAlert;
+		let forSymbol;
+
+		beforeEach((done) => {
+			symbolAlert = backend.createAlert({ name: 'Apple', user_id: 'me', alert_system: 'test', alert_type: 'price', conditions: [ { property: { type: 'number', target: { type: 'symbol', identifier: 'AAPL' } }, operator: { operand: '100' } } ] });
+
+			forAlert = [ ];
+			forSymbol = [ ];
+
+			manager.subscribeAlerts(Object.assign({ alert_id: 'a' }, user), (a) => forAlert.push(a.alert_id), () => { }, () => { }, () => { });
+			manager.subscribeAlerts(Object.assign({ symbol: 'AAPL' }, user), (a) => forSymbol.push(a.alert_id), () => { }, () => { }, () => { });
+
+			setTimeout(() => {
+				forAlert = [ ];
+				forSymbol = [ ];
+
+				done();
+			}, 0);
+		});
+
+		it('each subscription should only receive events for matching alerts', (done) => {
+			backend.setAlertState('a', 'Active');
+			backend.setAlertState(symbolAlert.alert_id, 'Active');
+
+			setTimeout(() => {
+				expect(forAlert).toEqual([ 'a' ]);
+				expect(forSymbol).toEqual([ symbolAlert.alert_id ]);
+
+				done();
+			}, 0);
+		});
+
+		it('a subscription for an alert type should not receive events for other types', (done) => {
+			const forType = [ ];
+
+			manager.subscribeAlerts(Object.assign({ alert_type: 'news' }, user), (a) => forType.push(a.alert_id), () => { }, () => { }, () => { });
+
+			backend.setAlertState(symbolAlert.alert_id, 'Active');
+
+			setTimeout(() => {
+				expect(forType).toEqual([ ]);
+
+				done();
+			}, 0);
+		});
+	});
+});
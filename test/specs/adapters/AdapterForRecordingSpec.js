@@ -0,0 +1,106 @@
+const AdapterForMemory = require('./../../../lib/adapters/AdapterForMemory'),
+	AdapterForRecording = require('./../../../lib/adapters/AdapterForRecording'),
+	AdapterForReplay = require('./../../../lib/adapters/AdapterForReplay'),
+	AdapterLog = require('./../../../lib/testing/AdapterLog'),
+	AlertManager = require('./../../../lib/AlertManager'),
+	AlertsNotFoundError = require('./../../../lib/errors/AlertsNotFoundError'),
+	JwtProvider = require('./../../../lib/security/JwtProvider'),
+	MemoryBackend = require('./../../../lib/testing/MemoryBackend');
+
+describe('When recording an AdapterForMemory', () => {
+	'use strict';
+
+	const user = { user_id: 'me', alert_system: 'test' };
+
+	let backend;
+	let log;
+
+	beforeEach((done) => {
+		backend = new MemoryBackend({
+			alerts: [ { alert_id: 'a', name: 'Existing', user_id: 'me', alert_system: 'test', alert_state: 'Active', conditions: [ ] } ]
+		});
+
+		AdapterForMemory.setBackend(backend);
+
+		log = new AdapterLog();
+
+		const manager = new AlertManager('localhost', 80, false, AdapterForRecording.forAdapter(AdapterForMemory, log));
+
+		manager.connect(new JwtProvider(() => Promise.resolve('token')))
+			.then(() => {
+				manager.subscribeAlerts(user, () => { }, () => { }, () => { }, () => { });
+
+				return manager.retrieveAlerts(user);
+			}).then(() => {
+				backend.triggerAlert('a');
+
+				return manager.deleteAlert({ alert_id: 'missing' }).catch(() => null);
+			}).then(() => {
+				manager.dispose();
+
+				done();
+			});
+	});
+
+	it('each request should be paired with its response', () => {
+		const request = log.entries.find((e) => e.type === 'request' && e.name === 'retrieveAlerts');
+		const response = log.entries.find((e) => e.type === 'response' && e.sequence === request.sequence);
+
+		expect(response.name).toEqual('retrieveAlerts');
+		expect(response.data.map((a) => a.alert_id)).toEqual([ 'a' ]);
+	});
+
+	it('pushed events should be recorded with timestamps', () => {
+		const event = log.entries.find((e) => e.type === 'event' && e.name === 'alert/triggered');
+
+		expect(event.data.alert_id).toEqual('a');
+		expect(typeof event.timestamp).toEqual('number');
+	});
+
+	describe('and the log is replayed', () => {
+		let manager;
+		let triggered;
+
+		beforeEach((done) => {
+			triggered = [ ];
+
+			const replayed = AdapterLog.fromJSON(JSON.stringify(log));
+
+			manager = new AlertManager('localhost', 80, false, AdapterForReplay.forLog(replayed, 100));
+			manager.connect(new JwtProvider(() => Promise.resolve('token'))).then(() => {
+				manager.subscribeAlerts(user, () => { }, () => { }, () => { }, (a) => triggered.push(a));
+
+				done();
+			});
+		});
+
+		afterEach(() => {
+			manager.dispose();
+		});
+
+		it('requests should be answered with the recorded responses', (done) => {
+			manager.retrieveAlerts(user).then((alerts) => {
+				expect(alerts.map((a) => a.alert_id)).toEqual([ 'a' ]);
+
+				done();
+			});
+		});
+
+		it('recorded failures should be replayed as errors of the same type', (done) => {
+			manager.deleteAlert({ alert_id: 'missing' }).catch((e) => {
+				expect(e instanceof AlertsNotFoundError).toEqual(true);
+
+				done();
+			});
+		});
+
+		it('recorded events should be pushed again', (done) => {
+			setTimeout(() => {
+				expect(triggered.length).toEqual(1);
+				expect(triggered[0].alert_state).toEqual('Triggered');
+
+				done();
+			}, 50);
+		});
+	});
+});
@@ -0,0 +1,236 @@
+const jwt = require('jsonwebtoken');
+
+const AdapterForSocketIo = require('./../../../lib/adapters/AdapterForSocketIo'),
+	AlertManager = require('./../../../lib/AlertManager'),
+	AlertsConnectionError = require('./../../../lib/errors/AlertsConnectionError'),
+	AlertsNotFoundError = require('./../../../lib/errors/AlertsNotFoundError'),
+	JwtProvider = require('./../../../lib/security/JwtProvider'),
+	MemoryBackend = require('./../../../lib/testing/MemoryBackend'),
+	MockAlertsServer = require('./../../../lib/testing/MockAlertsServer'),
+	ReconnectionPolicy = require('./../../../lib/adapters/ReconnectionPolicy');
+
+describe('When using an AdapterForSocketIo with a MockAlertsServer', () => {
+	'use strict';
+
+	const key = 'local-secret';
+	const user = { user_id: 'me', alert_system: 'test' };
+
+	let server;
+	let manager;
+
+	beforeEach((done) => {
+		const backend = new MemoryBackend({
+			alerts: [
+				{ alert_id: 'a', name: 'Existing', user_id: 'me', alert_system: 'test', alert_state: 'Inactive', conditions: [ ] },
+				{ alert_id: 'b', name: 'Keyed', user_id: 'me', alert_system: 'test', alert_system_key: 'row-1', alert_state: 'Inactive', conditions: [ ] }
+			]
+		});
+
+		server = new MockAlertsServer(backend, { key: key });
+
+		server.start()
+			.then(() => {
+				const token = jwt.sign(user, key);
+
+				manager = new AlertManager('localhost', server.port, false, AdapterForSocketIo);
+
+				return manager.connect(new JwtProvider(() => Promise.resolve(token)));
+			}).then(() => {
+				done();
+			});
+	});
+
+	afterEach(() => {
+		manager.dispose();
+		server.dispose();
+	});
+
+	it('the server version should be returned', (done) => {
+		manager.getServerVersion().then((version) => {
+			expect(version.semver).toEqual('0.0.0');
+
+			done();
+		});
+	});
+
+	it('the user should be read from the token', (done) => {
+		manager.getUser().then((u) => {
+			expect(u).toEqual(user);
+
+			done();
+		});
+	});
+
+	it('alerts queried by "alert_system_key" should be limited to the alerts with the key', (done) => {
+		manager.retrieveAlerts({ user_id: 'me', alert_system: 'test', alert_system_key: 'row-1' }).then((alerts) => {
+			expect(alerts.map((a) => a.alert_id)).toEqual([ 'b' ]);
+
+			done();
+		});
+	});
+
+	it('deleting an alert which does not exist should be rejected with an AlertsNotFoundError', (done) => {
+		manager.deleteAlert({ alert_id: 'missing' })
+			.then(() => {
+				fail('The request should have been rejected.');
+			}).catch((e) => {
+				expect(e instanceof AlertsNotFoundError).toEqual(true);
+			}).then(() => {
+				done();
+			});
+	});
+
+	describe('and subscribed to alerts', () => {
+		let created;
+		let triggered;
+
+		beforeEach((done) => {
+			created = [ ];
+			triggered = [ ];
+
+			manager.subscribeAlerts(user, (a) => {
+				if (a.alert_id === 'a') {
+					done();
+				}
+			}, () => { }, (a) => created.push(a), (a) => triggered.push(a));
+		});
+
+		it('creating an alert should invoke the "created" callback', (done) => {
+			manager.createAlert({ name: 'New', user_id: 'me', alert_system: 'test', conditions: [ ] }).then((alert) => {
+				setTimeout(() => {
+					expect(created.map((a) => a.alert_id)).toEqual([ alert.alert_id ]);
+
+					done();
+				}, 50);
+			});
+		});
+
+		it('a simulated trigger should invoke the "triggered" callback', (done) => {
+			server.backend.triggerAlert('a');
+
+			setTimeout(() => {
+				expect(triggered.length).toEqual(1);
+				expect(triggered[0].alert_state).toEqual('Triggered');
+
+				done();
+			}, 50);
+		});
+	});
+
+	describe('and the cached token is rejected', () => {
+		let generated;
+
+		beforeEach((done) => {
+			generated = 0;
+
+			manager.dispose();
+			manager = new AlertManager('localhost', server.port, false, AdapterForSocketIo);
+
+			manager.connect(new JwtProvider(() => {
+				generated = generated + 1;
+
+				return Promise.resolve(jwt.sign(user, generated === 1 ? 'another-secret' : key));
+			}, 0)).then(() => done());
+		});
+
+		it('the request should be retried with a new token', (done) => {
+			manager.getUser().then((u) => {
+				expect(u).toEqual(user);
+				expect(generated).toEqual(2);
+
+				done();
+			});
+		});
+	});
+});
+
+describe('When an AdapterForSocketIo loses its connection to a MockAlertsServer', () => {
+	'use strict';
+
+	const key = 'local-secret';
+	const user = { user_id: 'me', alert_system: 'test' };
+
+	let server;
+	let manager;
+
+	const connect = (policy) => {
+		AdapterForSocketIo.setReconnectionPolicy(policy);
+
+		server = new MockAlertsServer(new MemoryBackend(), { key: key });
+
+		return server.start()
+			.then(() => {
+				const token = jwt.sign(user, key);
+
+				manager = new AlertManager('localhost', server.port, false, AdapterForSocketIo);
+
+				return manager.connect(new JwtProvider(() => Promise.resolve(token)));
+			});
+	};
+
+	const disconnect = () => {
+		return new Promise((resolve) => {
+			const registration = manager.registerConnectionStateChangedHandler((state) => {
+				if (!state.getCanTransmit()) {
+					registration.dispose();
+
+					resolve();
+				}
+			});
+
+			server.dispose();
+		});
+	};
+
+	afterEach(() => {
+		AdapterForSocketIo.setReconnectionPolicy(ReconnectionPolicy.DEFAULT);
+
+		manager.dispose();
+		server.dispose();
+	});
+
+	describe('and the policy replays requests', () => {
+		beforeEach((done) => {
+			connect(new ReconnectionPolicy(null, 50, 100, 0, true)).then(() => done());
+		});
+
+		it('a pending request should be sent after reconnecting', (done) => {
+			const port = server.port;
+
+			disconnect()
+				.then(() => {
+					const userPromise = manager.getUser();
+
+					server = new MockAlertsServer(new MemoryBackend(), { key: key, port: port });
+
+					return server.start().then(() => userPromise);
+				}).then((u) => {
+					expect(u).toEqual(user);
+
+					done();
+				});
+		});
+	});
+
+	describe('and the policy gives up after one attempt', () => {
+		let gaveUp;
+
+		beforeEach((done) => {
+			gaveUp = false;
+
+			connect(new ReconnectionPolicy(1, 50, 100, 0, true, () => gaveUp = true)).then(() => done());
+		});
+
+		it('a pending request should be rejected when reconnection fails', (done) => {
+			disconnect()
+				.then(() => {
+					return manager.getUser();
+				}).catch((e) => {
+					expect(e instanceof AlertsConnectionError).toEqual(true);
+					expect(gaveUp).toEqual(true);
+
+					done();
+				});
+		});
+	});
+});
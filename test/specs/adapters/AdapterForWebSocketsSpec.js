@@ -0,0 +1,304 @@
+const AdapterForWebSockets = require('./../../../lib/adapters/AdapterForWebSockets'),
+	ConnectionState = require('./../../../lib/adapters/ConnectionState'),
+	ReconnectionPolicy = require('./../../../lib/adapters/ReconnectionPolicy');
+
+const CancellationToken = require('./../../../lib/common/CancellationToken');
+
+const AlertsNotFoundError = require('./../../../lib/errors/AlertsNotFoundError');
+
+describe('When using an AdapterForWebSockets', () => {
+	'use strict';
+
+	let sockets;
+
+	class FakeWebSocket {
+		constructor(url) {
+			this.url = url;
+			this.sent = [ ];
+
+			this.onopen = null;
+			this.onmessage = null;
+			this.onclose = null;
+			this.onerror = null;
+
+			sockets.push(this);
+		}
+
+		send(data) {
+			this.sent.push(JSON.parse(data));
+		}
+
+		close() {
+			return;
+		}
+
+		receive(channel, payload) {
+			this.onmessage({ data: JSON.stringify({ channel: channel, payload: payload }) });
+		}
+	}
+
+	let adapter;
+	let created;
+	let mutated;
+	let states;
+
+	beforeEach(() => {
+		sockets = [ ];
+
+		created = [ ];
+		mutated = [ ];
+		states = [ ];
+
+		AdapterForWebSockets.setWebSocketClazz(FakeWebSocket);
+
+		adapter = new AdapterForWebSockets('localhost', 8080, false, (a) => created.push(a), (a) => mutated.push(a), () => { }, () => { }, null, null, null, (s) => states.push(s));
+	});
+
+	afterEach(() => {
+		adapter.dispose();
+	});
+
+	describe('and the socket opens', () => {
+		let connectPromise;
+
+		beforeEach(() => {
+			connectPromise = adapter.connect();
+
+			sockets[0].onopen();
+		});
+
+		it('the socket should use the "ws" protocol', () => {
+			expect(sockets[0].url).toEqual('ws://localhost:8080');
+		});
+
+		it('the connect promise should resolve to the adapter', (done) => {
+			connectPromise.then((result) => {
+				expect(result).toBe(adapter);
+
+				done();
+			});
+		});
+
+		it('a request should be resolved by the matching response', (done) => {
+			connectPromise.then(() => {
+				const versionPromise = adapter.getServerVersion();
+
+				setTimeout(() => {
+					const message = sockets[0].sent[0];
+
+					expect(message.channel).toEqual('request/server/version');
+
+					sockets[0].receive('response', { requestId: message.payload.requestId, response: { semver: '1.0.0' } });
+
+					versionPromise.then((version) => {
+						expect(version.semver).toEqual('1.0.0');
+
+						done();
+					});
+				}, 0);
+			});
+		});
+
+		it('a failed request should be rejected with an error matching its status', (done) => {
+			connectPromise.then(() => {
+				const alertPromise = adapter.retrieveAlert({ alert_id: 'missing' });
+
+				setTimeout(() => {
+					const message = sockets[0].sent[0];
+
+					sockets[0].receive('response', { requestId: message.payload.requestId, response: null, status: 404, error: 'Not found' });
+
+					alertPromise.catch((e) => {
+						expect(e instanceof AlertsNotFoundError).toEqual(true);
+
+						done();
+					});
+				}, 0);
+			});
+		});
+
+		it('a query for alerts with an "alert_system_key" should use the "user" channel and only resolve alerts with the key', (done) => {
+			connectPromise.then(() => {
+				const alertsPromise = adapter.retrieveAlerts({ user_id: 'me', alert_system: 'test', alert_system_key: 'row-1' });
+
+				setTimeout(() => {
+					const message = sockets[0].sent[0];
+
+					expect(message.channel).toEqual('request/alerts/retrieve/user');
+
+					sockets[0].receive('response', { requestId: message.payload.requestId, response: [ { alert_id: 'a', alert_system_key: 'row-1' }, { alert_id: 'b', alert_system_key: 'row-2' }, { alert_id: 'c' } ] });
+
+					alertsPromise.then((alerts) => {
+						expect(alerts.length).toEqual(1);
+						expect(alerts[0].alert_id).toEqual('a');
+
+						done();
+					});
+				}, 0);
+			});
+		});
+
+		it('the connection state should have changed to "connecting" and then to "connected"', () => {
+			expect(states).toEqual([ ConnectionState.Connecting, ConnectionState.Connected ]);
+			expect(adapter.connectionState).toBe(ConnectionState.Connected);
+		});
+
+		it('the connection state should change to "connecting" when the socket closes unexpectedly', () => {
+			sockets[0].onclose();
+
+			expect(adapter.connectionState).toBe(ConnectionState.Connecting);
+		});
+
+		it('a pushed "alert/created" event should invoke the callback', (done) => {
+			connectPromise.then(() => {
+				sockets[0].receive('alert/created', { alert_id: 'a' });
+
+				expect(created.length).toEqual(1);
+				expect(created[0].alert_id).toEqual('a');
+
+				done();
+			});
+		});
+
+		it('a pending request should be rejected (and discarded) when its token is cancelled', (done) => {
+			connectPromise.then(() => {
+				const cancellationToken = new CancellationToken();
+				const versionPromise = adapter.getServerVersion(cancellationToken);
+
+				setTimeout(() => {
+					cancellationToken.cancel('cancelled');
+
+					versionPromise.catch((e) => {
+						expect(e).toEqual('cancelled');
+						expect(Object.keys(adapter._requestMap).length).toEqual(0);
+
+						done();
+					});
+				}, 0);
+			});
+		});
+
+		it('a pending request should be rejected when the socket closes', (done) => {
+			connectPromise.then(() => {
+				const versionPromise = adapter.getServerVersion();
+
+				setTimeout(() => {
+					sockets[0].onclose();
+
+					versionPromise.catch(() => {
+						done();
+					});
+				}, 0);
+			});
+		});
+	});
+
+	describe('and a reconnection policy is assigned', () => {
+		let gaveUp;
+
+		function connect(policy) {
+			adapter.dispose();
+
+			AdapterForWebSockets.setReconnectionPolicy(policy);
+
+			adapter = new AdapterForWebSockets('localhost', 8080, false, () => { }, () => { }, () => { }, () => { }, null, null, null, (s) => states.push(s));
+
+			const connectPromise = adapter.connect();
+
+			sockets[sockets.length - 1].onopen();
+
+			return connectPromise;
+		}
+
+		beforeEach(() => {
+			gaveUp = false;
+		});
+
+		afterEach(() => {
+			AdapterForWebSockets.setReconnectionPolicy(ReconnectionPolicy.DEFAULT);
+		});
+
+		it('the adapter should reconnect after the "minimumDelay" and send pending requests again', (done) => {
+			connect(new ReconnectionPolicy(null, 20, 40, 0, true)).then(() => {
+				const versionPromise = adapter.getServerVersion();
+
+				setTimeout(() => {
+					const first = sockets[sockets.length - 1];
+
+					first.onclose();
+
+					expect(adapter.connectionState).toBe(ConnectionState.Connecting);
+
+					setTimeout(() => {
+						const second = sockets[sockets.length - 1];
+
+						expect(second).not.toBe(first);
+
+						second.onopen();
+
+						setTimeout(() => {
+							const message = second.sent[0];
+
+							expect(message.channel).toEqual('request/server/version');
+
+							second.receive('response', { requestId: message.payload.requestId, response: { semver: '1.0.0' } });
+
+							versionPromise.then((version) => {
+								expect(version.semver).toEqual('1.0.0');
+								expect(adapter.connectionState).toBe(ConnectionState.Connected);
+
+								done();
+							});
+						}, 0);
+					}, 50);
+				}, 0);
+			});
+		});
+
+		it('the adapter should give up after the "maximumAttempts" have failed', (done) => {
+			connect(new ReconnectionPolicy(1, 20, 40, 0, false, () => gaveUp = true)).then(() => {
+				const first = sockets[sockets.length - 1];
+
+				first.onclose();
+
+				setTimeout(() => {
+					const second = sockets[sockets.length - 1];
+
+					expect(second).not.toBe(first);
+
+					second.onclose();
+
+					expect(gaveUp).toEqual(true);
+					expect(adapter.connectionState).toBe(ConnectionState.Disconnected);
+
+					done();
+				}, 50);
+			});
+		});
+
+		it('the adapter should not reconnect when the "maximumAttempts" is zero', (done) => {
+			connect(new ReconnectionPolicy(0, 20, 40, 0, false, () => gaveUp = true)).then(() => {
+				sockets[sockets.length - 1].onclose();
+
+				expect(gaveUp).toEqual(true);
+				expect(adapter.connectionState).toBe(ConnectionState.Disconnected);
+
+				done();
+			});
+		});
+	});
+
+	describe('and the socket closes before opening', () => {
+		it('the connect promise should be rejected', (done) => {
+			const connectPromise = adapter.connect();
+
+			sockets[0].onclose();
+
+			connectPromise.catch(() => {
+				expect(adapter.connectionState).toBe(ConnectionState.Disconnected);
+
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,76 @@
+const PollingPolicy = require('./../../../lib/adapters/PollingPolicy');
+
+describe('When constructing a PollingPolicy', () => {
+	'use strict';
+
+	describe('without arguments', () => {
+		let policy;
+
+		beforeEach(() => {
+			policy = new PollingPolicy();
+		});
+
+		it('the "interval" property should be 5000', () => {
+			expect(policy.interval).toEqual(5000);
+		});
+
+		it('the "maximumInterval" property should be 60000', () => {
+			expect(policy.maximumInterval).toEqual(60000);
+		});
+
+		it('the "pauseWhenHidden" property should be false', () => {
+			expect(policy.pauseWhenHidden).toEqual(false);
+		});
+
+		it('the "idleTimeout" property should be null', () => {
+			expect(policy.idleTimeout).toEqual(null);
+		});
+
+		it('invoking "fail" should not throw', () => {
+			expect(() => policy.fail(new Error())).not.toThrow();
+		});
+	});
+
+	describe('with an interval of 1000 and a maximum interval of 6000', () => {
+		let policy;
+
+		beforeEach(() => {
+			policy = new PollingPolicy(1000, 6000);
+		});
+
+		it('the delay without failures should be 1000', () => {
+			expect(policy.getDelay(0)).toEqual(1000);
+		});
+
+		it('the delay after one failure should be 2000', () => {
+			expect(policy.getDelay(1)).toEqual(2000);
+		});
+
+		it('the delay after two failures should be 4000', () => {
+			expect(policy.getDelay(2)).toEqual(4000);
+		});
+
+		it('the delay after three failures should be limited to 6000', () => {
+			expect(policy.getDelay(3)).toEqual(6000);
+		});
+	});
+
+	describe('with an error callback', () => {
+		it('invoking "fail" should invoke the callback', () => {
+			const spy = jasmine.createSpy('errorCallback');
+			const e = new Error();
+
+			new PollingPolicy(null, null, null, null, spy).fail(e);
+
+			expect(spy).toHaveBeenCalledWith(e);
+		});
+
+		it('invoking "fail" should not throw when the callback throws', () => {
+			const policy = new PollingPolicy(null, null, null, null, () => {
+				throw new Error('Callback failed');
+			});
+
+			expect(() => policy.fail(new Error())).not.toThrow();
+		});
+	});
+});
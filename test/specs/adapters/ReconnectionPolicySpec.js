@@ -0,0 +1,96 @@
+const ReconnectionPolicy = require('./../../../lib/adapters/ReconnectionPolicy');
+
+describe('When constructing a ReconnectionPolicy', () => {
+	'use strict';
+
+	describe('without arguments', () => {
+		let policy;
+
+		beforeEach(() => {
+			policy = new ReconnectionPolicy();
+		});
+
+		it('the "maximumAttempts" property should be null', () => {
+			expect(policy.maximumAttempts).toEqual(null);
+		});
+
+		it('the "minimumDelay" property should be 1000', () => {
+			expect(policy.minimumDelay).toEqual(1000);
+		});
+
+		it('the "maximumDelay" property should be 30000', () => {
+			expect(policy.maximumDelay).toEqual(30000);
+		});
+
+		it('the "replayRequests" property should be false', () => {
+			expect(policy.replayRequests).toEqual(false);
+		});
+
+		it('invoking "giveUp" should not throw', () => {
+			expect(() => policy.giveUp()).not.toThrow();
+		});
+	});
+
+	describe('with out-of-range values', () => {
+		let policy;
+
+		beforeEach(() => {
+			policy = new ReconnectionPolicy(-1, 5000, 1000, 2);
+		});
+
+		it('the "maximumAttempts" property should be zero', () => {
+			expect(policy.maximumAttempts).toEqual(0);
+		});
+
+		it('the "maximumDelay" property should not be less than the "minimumDelay" property', () => {
+			expect(policy.maximumDelay).toEqual(5000);
+		});
+
+		it('the "jitter" property should be one', () => {
+			expect(policy.jitter).toEqual(1);
+		});
+	});
+
+	describe('without jitter', () => {
+		let policy;
+
+		beforeEach(() => {
+			policy = new ReconnectionPolicy(null, 100, 1000, 0);
+		});
+
+		it('the delay for the first attempt should be the "minimumDelay"', () => {
+			expect(policy.getDelay(0)).toEqual(100);
+		});
+
+		it('the delay should double after each failed attempt', () => {
+			expect(policy.getDelay(1)).toEqual(200);
+			expect(policy.getDelay(2)).toEqual(400);
+		});
+
+		it('the delay should not exceed the "maximumDelay"', () => {
+			expect(policy.getDelay(10)).toEqual(1000);
+		});
+	});
+
+	describe('with jitter', () => {
+		it('the delay should not exceed the "maximumDelay"', () => {
+			const policy = new ReconnectionPolicy(null, 100, 1000, 1);
+
+			for (let i = 0; i < 20; i++) {
+				const delay = policy.getDelay(i);
+
+				expect(delay >= 0 && delay <= 1000).toEqual(true);
+			}
+		});
+	});
+
+	describe('with a "giveUp" callback', () => {
+		it('invoking "giveUp" should invoke the callback', () => {
+			const spy = jasmine.createSpy('giveUpCallback');
+
+			new ReconnectionPolicy(3, null, null, null, true, spy).giveUp();
+
+			expect(spy).toHaveBeenCalled();
+		});
+	});
+});
@@ -0,0 +1,109 @@
+const Disposable = require('@barchart/common-js/lang/Disposable');
+
+const EventStream = require('./../../../lib/common/EventStream');
+
+describe('When using an EventStream', () => {
+	'use strict';
+
+	let emitters;
+	let disposals;
+	let stream;
+
+	beforeEach(() => {
+		emitters = [ ];
+		disposals = 0;
+
+		stream = new EventStream((emit) => {
+			emitters.push(emit);
+
+			return Disposable.fromAction(() => {
+				disposals = disposals + 1;
+			});
+		});
+	});
+
+	describe('and observing', () => {
+		it('the observer should receive each event', () => {
+			const received = [ ];
+
+			stream.subscribe((data) => received.push(data));
+
+			emitters[0]('a');
+			emitters[0]('b');
+
+			expect(received).toEqual([ 'a', 'b' ]);
+		});
+
+		it('unsubscribing should dispose the registration', () => {
+			const subscription = stream.subscribe({ next: () => { } });
+
+			subscription.unsubscribe();
+
+			expect(disposals).toEqual(1);
+			expect(subscription.closed).toEqual(true);
+		});
+
+		it('disposing the stream should complete the observer', () => {
+			const complete = jasmine.createSpy('complete');
+
+			stream.subscribe({ complete: complete });
+			stream.dispose();
+
+			expect(complete).toHaveBeenCalled();
+			expect(disposals).toEqual(1);
+		});
+
+		it('the stream should be interoperable with Observable libraries', () => {
+			const key = (typeof Symbol === 'function' && Symbol.observable) || '@@observable';
+
+			expect(stream[key]()).toBe(stream);
+		});
+	});
+
+	describe('and iterating', () => {
+		let iterator;
+
+		beforeEach(() => {
+			iterator = stream[Symbol.asyncIterator]();
+		});
+
+		it('events emitted before "next" is invoked should be queued', (done) => {
+			emitters[0]('a');
+
+			iterator.next().then((result) => {
+				expect(result).toEqual({ value: 'a', done: false });
+
+				done();
+			});
+		});
+
+		it('a pending "next" should resolve when an event is emitted', (done) => {
+			iterator.next().then((result) => {
+				expect(result).toEqual({ value: 'b', done: false });
+
+				done();
+			});
+
+			emitters[0]('b');
+		});
+
+		it('returning (i.e. breaking out of a loop) should dispose the registration', (done) => {
+			iterator.return().then((result) => {
+				expect(result.done).toEqual(true);
+				expect(disposals).toEqual(1);
+
+				done();
+			});
+		});
+
+		it('disposing the stream should end the iteration', (done) => {
+			iterator.next().then((result) => {
+				expect(result.done).toEqual(true);
+
+				done();
+			});
+
+			stream.dispose();
+		});
+	});
+});
@@ -0,0 +1,24 @@
+const AlertsError = require('./../../../lib/errors/AlertsError'),
+	AlertsNotFoundError = require('./../../../lib/errors/AlertsNotFoundError');
+
+describe('When an AlertsNotFoundError is constructed', () => {
+	'use strict';
+
+	let e;
+
+	beforeEach(() => {
+		e = new AlertsNotFoundError('Unable to retrieve alert, the object does not exist.');
+	});
+
+	it('the error should be an instance of AlertsError', () => {
+		expect(e instanceof AlertsError).toEqual(true);
+	});
+
+	it('the "name" property should be "AlertsNotFoundError"', () => {
+		expect(e.name).toEqual('AlertsNotFoundError');
+	});
+
+	it('converting the error to a string should include the message', () => {
+		expect(String(e)).toEqual('AlertsNotFoundError: Unable to retrieve alert, the object does not exist.');
+	});
+});
@@ -0,0 +1,93 @@
+const query = require('./../../../lib/data/queries/alert');
+
+describe('When querying a set of alerts', () => {
+	'use strict';
+
+	let alerts;
+
+	beforeEach(() => {
+		alerts = [
+			{ alert_id: 'a', name: 'Apple breakout', alert_state: 'Active', alert_behavior: 'terminate', create_date: '1000', last_trigger_date: null, publishers: [ { type: { publisher_type_id: 1 } } ], conditions: [ ] },
+			{ alert_id: 'b', name: 'Microsoft news', alert_state: 'Inactive', alert_behavior: 'continue', create_date: '3000', last_trigger_date: '5000', publishers: [ ], conditions: [ ] },
+			{ alert_id: 'c', name: 'apple support', alert_state: 'Triggered', create_date: '2000', last_trigger_date: '4000', publishers: [ { type: { publisher_type_id: 2 } } ], conditions: [ ] }
+		];
+	});
+
+	describe('and filtering', () => {
+		it('alerts should match any of several states', () => {
+			expect(query.filter(alerts, { alert_state: [ 'Active', 'Triggered' ] }).map((a) => a.alert_id)).toEqual([ 'a', 'c' ]);
+		});
+
+		it('an alert without a behavior should be treated as "terminate"', () => {
+			expect(query.filter(alerts, { alert_behavior: 'terminate' }).map((a) => a.alert_id)).toEqual([ 'a', 'c' ]);
+		});
+
+		it('alerts should match a creation date range (inclusive)', () => {
+			expect(query.filter(alerts, { create_date: { start: 2000, end: 3000 } }).map((a) => a.alert_id)).toEqual([ 'b', 'c' ]);
+		});
+
+		it('alerts which have never triggered should not match a trigger date range', () => {
+			expect(query.filter(alerts, { last_trigger_date: { start: 0 } }).map((a) => a.alert_id)).toEqual([ 'b', 'c' ]);
+		});
+
+		it('alerts should match a publisher type', () => {
+			expect(query.filter(alerts, { publisher_type_id: 2 }).map((a) => a.alert_id)).toEqual([ 'c' ]);
+		});
+
+		it('alerts should match name text, ignoring case', () => {
+			expect(query.filter(alerts, { name: 'APPLE' }).map((a) => a.alert_id)).toEqual([ 'a', 'c' ]);
+		});
+	});
+
+	describe('and sorting', () => {
+		it('alerts should be sorted by creation date, descending', () => {
+			expect(query.sort(alerts, [ { field: 'create_date', descending: true } ]).map((a) => a.alert_id)).toEqual([ 'b', 'c', 'a' ]);
+		});
+
+		it('alerts without a value should be sorted last', () => {
+			expect(query.sort(alerts, [ { field: 'last_trigger_date' } ]).map((a) => a.alert_id)).toEqual([ 'c', 'b', 'a' ]);
+		});
+
+		it('the original array should not be changed', () => {
+			query.sort(alerts, [ { field: 'name' } ]);
+
+			expect(alerts.map((a) => a.alert_id)).toEqual([ 'a', 'b', 'c' ]);
+		});
+	});
+
+	describe('and paging', () => {
+		it('the offset and limit should select a page', () => {
+			expect(query.page(alerts, 1, 1).map((a) => a.alert_id)).toEqual([ 'b' ]);
+		});
+
+		it('an offset without a limit should return the remaining alerts', () => {
+			expect(query.page(alerts, 1).map((a) => a.alert_id)).toEqual([ 'b', 'c' ]);
+		});
+	});
+});
+
+describe('When comparing two versions of an alert', () => {
+	'use strict';
+
+	const previous = { alert_id: 'a', name: 'Apple', conditions: [ { operator: { operand: '100' } } ], publishers: [ ] };
+
+	it('identical versions should have no changes', () => {
+		expect(query.changes(previous, JSON.parse(JSON.stringify(previous)))).toEqual([ ]);
+	});
+
+	it('a changed top-level field should be reported by name', () => {
+		expect(query.changes(previous, Object.assign({ }, previous, { name: 'Orange' }))).toEqual([ 'name' ]);
+	});
+
+	it('a changed nested field should be reported with its path', () => {
+		const current = Object.assign({ }, previous, { conditions: [ { operator: { operand: '101' } } ] });
+
+		expect(query.changes(previous, current)).toEqual([ 'conditions[0].operator.operand' ]);
+	});
+
+	it('added array items and fields should be reported', () => {
+		const current = Object.assign({ }, previous, { publishers: [ { recipient: 'x' } ], notes: 'Hello' });
+
+		expect(query.changes(previous, current)).toEqual([ 'publishers[0]', 'notes' ]);
+	});
+});
@@ -0,0 +1,59 @@
+const query = require('./../../../lib/data/queries/trigger');
+
+describe('When querying a set of triggers', () => {
+	'use strict';
+
+	let triggers;
+
+	beforeEach(() => {
+		triggers = [
+			{ alert_id: 'a', trigger_date: '1000', trigger_status: 'Read' },
+			{ alert_id: 'b', trigger_date: '3000', trigger_status: 'Unread' },
+			{ alert_id: 'a', trigger_date: '2000', trigger_status: 'Unread' },
+			{ alert_id: 'c', trigger_date: '3000', trigger_status: 'Unread' }
+		];
+	});
+
+	describe('and filtering', () => {
+		it('triggers should match an inclusive date range, expressed as numbers or strings', () => {
+			expect(query.filter(triggers, { from: 2000, to: '3000' }).length).toEqual(3);
+			expect(query.filter(triggers, { to: 1999 }).map((t) => t.trigger_date)).toEqual([ '1000' ]);
+		});
+
+		it('triggers should match an alert', () => {
+			expect(query.filter(triggers, { alert_id: 'a' }).length).toEqual(2);
+		});
+
+		it('triggers should match a set of alerts', () => {
+			expect(query.filter(triggers, { }, [ 'b', 'c' ]).length).toEqual(2);
+		});
+	});
+
+	describe('and sorting', () => {
+		it('the most recent triggers should be first', () => {
+			expect(query.sort(triggers).map((t) => `${t.trigger_date}:${t.alert_id}`)).toEqual([ '3000:c', '3000:b', '2000:a', '1000:a' ]);
+		});
+	});
+
+	describe('and paging', () => {
+		let sorted;
+
+		beforeEach(() => {
+			sorted = query.sort(triggers);
+		});
+
+		it('a page should include a continuation token when more triggers remain', () => {
+			const page = query.page(sorted, 2);
+
+			expect(page.triggers.length).toEqual(2);
+			expect(page.continuation).toEqual('3000:b');
+		});
+
+		it('the continuation token should select the next page', () => {
+			const page = query.page(sorted, 2, '3000:b');
+
+			expect(page.triggers.map((t) => t.trigger_date)).toEqual([ '2000', '1000' ]);
+			expect(page.continuation).toEqual(null);
+		});
+	});
+});
@@ -1,3 +1,5 @@
+const sign = require('jsonwebtoken/sign');
+
 const JwtPayload = require('./../../../lib/security/JwtPayload');
 
 describe('When constructing a JwtPayload', () => {
@@ -47,4 +49,85 @@ describe('When constructing a JwtPayload', () => {
 			expect(serialized.alert_system).toEqual(payload.alertSystem);
 		});
 	});
-});
\ No newline at end of file
+});
+
+describe('When constructing a JwtPayload with every property', () => {
+	'use strict';
+
+	let payload;
+
+	beforeEach(() => {
+		payload = new JwtPayload('me', 'test', 'context', 'admin', new Date(2000000000000), { iss: 'my-server' });
+	});
+
+	it('the user should have administrative permissions', () => {
+		expect(payload.getIsAdmin()).toEqual(true);
+	});
+
+	it('the payload should expire at the expiration time', () => {
+		expect(payload.getIsExpired(new Date(1999999999999))).toEqual(false);
+		expect(payload.getIsExpired(new Date(2000000000000))).toEqual(true);
+	});
+
+	it('the signing representation should include every claim', () => {
+		expect(payload.forSigning()).toEqual({ iss: 'my-server', user_id: 'me', userId: 'me', alert_system: 'test', contextId: 'context', permissions: 'admin', exp: 2000000000 });
+	});
+});
+
+describe('When constructing a JwtPayload without optional properties', () => {
+	'use strict';
+
+	let payload;
+
+	beforeEach(() => {
+		payload = new JwtPayload('me', 'test');
+	});
+
+	it('the context identifier should be the alert system', () => {
+		expect(payload.contextId).toEqual('test');
+	});
+
+	it('the user should not have administrative permissions', () => {
+		expect(payload.getIsAdmin()).toEqual(false);
+	});
+
+	it('the payload should never expire', () => {
+		expect(payload.getIsExpired()).toEqual(false);
+	});
+});
+
+describe('When a JwtPayload is decoded from a token', () => {
+	'use strict';
+
+	let payload;
+
+	beforeEach(() => {
+		payload = JwtPayload.fromToken(sign({ user_id: 'me', alert_system: 'test', permissions: 'user', exp: 2000000000, iss: 'my-server' }, 'secret', { noTimestamp: true }));
+	});
+
+	it('the user should be identified', () => {
+		expect(payload.userId).toEqual('me');
+		expect(payload.alertSystem).toEqual('test');
+	});
+
+	it('the permissions should be read', () => {
+		expect(payload.permissions).toEqual('user');
+		expect(payload.getIsAdmin()).toEqual(false);
+	});
+
+	it('the expiration should be read', () => {
+		expect(payload.expiration.getTime()).toEqual(2000000000000);
+	});
+
+	it('the remaining claims should be preserved', () => {
+		expect(payload.claims).toEqual({ iss: 'my-server' });
+	});
+});
+
+describe('When a token without a user is decoded', () => {
+	'use strict';
+
+	it('an error should be thrown', () => {
+		expect(() => JwtPayload.fromToken(sign({ iss: 'my-server' }, 'secret'))).toThrow();
+	});
+});
@@ -0,0 +1,326 @@
+const verify = require('jsonwebtoken/verify');
+
+const JwtPayload = require('./../../../lib/security/JwtPayload'),
+	JwtProvider = require('./../../../lib/security/JwtProvider'),
+	MemoryCacheStore = require('./../../../lib/cache/MemoryCacheStore');
+
+function getToken(exp) {
+	const encode = (data) => Buffer.from(JSON.stringify(data)).toString('base64').replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+	return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ user_id: 'me', exp: exp })}.signature`;
+}
+
+describe('When using a JwtProvider which refreshes based on expiration', () => {
+	'use strict';
+
+	let provider;
+	let generated;
+
+	afterEach(() => {
+		provider.dispose();
+	});
+
+	describe('and the token does not expire soon', () => {
+		beforeEach(() => {
+			generated = 0;
+
+			provider = JwtProvider.fromTokenGeneratorUsingExpiration(() => {
+				generated = generated + 1;
+
+				return Promise.resolve(getToken(Math.floor(Date.now() / 1000) + 3600));
+			}, 30000);
+		});
+
+		it('the token should be cached', (done) => {
+			provider.getToken()
+				.then(() => provider.getToken())
+				.then(() => {
+					expect(generated).toEqual(1);
+
+					done();
+				});
+		});
+	});
+
+	describe('and the token expires within the margin', () => {
+		beforeEach(() => {
+			generated = 0;
+
+			provider = JwtProvider.fromTokenGeneratorUsingExpiration(() => {
+				generated = generated + 1;
+
+				return Promise.resolve(getToken(Math.floor(Date.now() / 1000) + 10));
+			}, 30000);
+		});
+
+		it('a new token should be generated each time', (done) => {
+			provider.getToken()
+				.then(() => provider.getToken())
+				.then(() => {
+					expect(generated).toEqual(2);
+
+					done();
+				});
+		});
+	});
+
+	describe('and the token will soon be within the margin', () => {
+		beforeEach(() => {
+			generated = 0;
+
+			const exp = Math.floor(Date.now() / 1000) + 2;
+
+			provider = JwtProvider.fromTokenGeneratorUsingExpiration(() => {
+				generated = generated + 1;
+
+				return Promise.resolve(getToken(generated === 1 ? exp : exp + 3600));
+			}, (exp * 1000) - Date.now() - 50);
+		});
+
+		it('a new token should be generated in the background', (done) => {
+			provider.getToken()
+				.then(() => {
+					setTimeout(() => {
+						expect(generated).toEqual(2);
+
+						done();
+					}, 150);
+				});
+		});
+	});
+
+	describe('and the token has no "exp" claim', () => {
+		beforeEach(() => {
+			generated = 0;
+
+			provider = new JwtProvider(() => {
+				generated = generated + 1;
+
+				return Promise.resolve('token');
+			}, null, 30000);
+		});
+
+		it('the token should be cached', (done) => {
+			provider.getToken()
+				.then(() => provider.getToken())
+				.then(() => {
+					expect(generated).toEqual(1);
+
+					done();
+				});
+		});
+	});
+});
+
+describe('When a JwtProvider token is invalidated', () => {
+	'use strict';
+
+	let provider;
+	let generated;
+
+	beforeEach(() => {
+		generated = 0;
+
+		provider = new JwtProvider(() => {
+			generated = generated + 1;
+
+			return Promise.resolve(`token-${generated}`);
+		}, 0);
+	});
+
+	afterEach(() => {
+		provider.dispose();
+	});
+
+	it('a new token should be generated', (done) => {
+		provider.getToken()
+			.then(() => {
+				expect(provider.invalidate()).toEqual(true);
+
+				return provider.getToken();
+			}).then((token) => {
+				expect(token).toEqual('token-2');
+
+				done();
+			});
+	});
+
+	it('invalidating before a token is generated should have no effect', () => {
+		expect(provider.invalidate()).toEqual(false);
+	});
+});
+
+describe('When using a JwtProvider which signs tokens with a private key', () => {
+	'use strict';
+
+	const key = 'local-secret';
+
+	let provider;
+
+	beforeEach(() => {
+		provider = JwtProvider.fromPrivateKey(key, new JwtPayload('me', 'test'), { issuer: 'my-server', audience: 'alerts', lifetime: 10 * 60 * 1000 });
+	});
+
+	afterEach(() => {
+		provider.dispose();
+	});
+
+	it('the token should be verified with the same key', (done) => {
+		provider.getToken()
+			.then((token) => {
+				const claims = verify(token, key, { algorithms: [ 'HS256' ], issuer: 'my-server', audience: 'alerts' });
+
+				expect(claims.user_id).toEqual('me');
+				expect(claims.alert_system).toEqual('test');
+				expect(claims.exp - claims.iat).toEqual(600);
+
+				done();
+			});
+	});
+
+	it('the token should be cached', (done) => {
+		let first;
+
+		provider.getToken()
+			.then((token) => {
+				first = token;
+
+				return provider.getToken();
+			}).then((token) => {
+				expect(token).toBe(first);
+
+				done();
+			});
+	});
+
+	it('a lifetime shorter than the refresh margin should be rejected', () => {
+		expect(() => JwtProvider.fromPrivateKey(key, new JwtPayload('me', 'test'), { lifetime: 1000 })).toThrow();
+	});
+});
+
+describe('When observing the tokens of a JwtProvider', () => {
+	'use strict';
+
+	let provider;
+
+	afterEach(() => {
+		provider.dispose();
+	});
+
+	it('the "refreshed" event should be fired when a token is generated', (done) => {
+		const token = getToken(Math.floor(Date.now() / 1000) + 3600);
+
+		provider = new JwtProvider(() => Promise.resolve(token), 0);
+
+		provider.registerTokenRefreshedHandler((t) => {
+			expect(t).toEqual(token);
+
+			done();
+		});
+
+		provider.getToken();
+	});
+
+	it('the "refresh failed" event should be fired when a token cannot be generated', (done) => {
+		provider = new JwtProvider(() => Promise.reject('unavailable'), 0);
+
+		provider.registerTokenRefreshFailedHandler(() => {
+			done();
+		});
+
+		provider.getToken().catch(() => null);
+	});
+
+	it('the "expired" event should be fired when the token expires', (done) => {
+		const token = getToken(Math.floor(Date.now() / 1000) + 1);
+
+		provider = new JwtProvider(() => Promise.resolve(token), 0);
+
+		provider.registerTokenExpiredHandler((t) => {
+			expect(t).toEqual(token);
+
+			done();
+		});
+
+		provider.getToken();
+	});
+});
+
+describe('When a JwtProvider persists tokens to a cache store', () => {
+	'use strict';
+
+	let store;
+	let generated;
+
+	let first;
+	let second;
+
+	const getProvider = () => {
+		const provider = JwtProvider.fromTokenGeneratorUsingExpiration(() => {
+			generated = generated + 1;
+
+			return Promise.resolve(getToken(Math.floor(Date.now() / 1000) + 3600 + generated));
+		});
+
+		provider.setCacheStore(store, 'me');
+
+		return provider;
+	};
+
+	beforeEach((done) => {
+		store = new MemoryCacheStore();
+		generated = 0;
+
+		first = getProvider();
+		first.getToken().then(() => setTimeout(done, 0));
+	});
+
+	afterEach(() => {
+		first.dispose();
+		second.dispose();
+	});
+
+	it('another provider should reuse the token', (done) => {
+		second = getProvider();
+
+		Promise.all([ first.getToken(), second.getToken() ])
+			.then((tokens) => {
+				expect(tokens[1]).toEqual(tokens[0]);
+				expect(generated).toEqual(1);
+
+				done();
+			});
+	});
+
+	it('another provider should not reuse a token which has expired', (done) => {
+		const exp = Math.floor(Date.now() / 1000) - 60;
+		const expired = getToken(exp);
+
+		Promise.resolve(store.put('me', { token: expired, expiration: exp * 1000 }))
+			.then(() => {
+				second = getProvider();
+
+				return second.getToken();
+			}).then((token) => {
+				expect(token).not.toEqual(expired);
+				expect(generated).toEqual(2);
+
+				done();
+			});
+	});
+
+	it('another provider should not reuse an invalidated token', (done) => {
+		first.invalidate();
+
+		setTimeout(() => {
+			second = getProvider();
+
+			second.getToken()
+				.then(() => {
+					expect(generated).toEqual(2);
+
+					done();
+				});
+		}, 0);
+	});
+});
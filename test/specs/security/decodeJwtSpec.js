@@ -0,0 +1,44 @@
+const sign = require('jsonwebtoken/sign');
+
+const decodeJwt = require('./../../../lib/security/decodeJwt');
+
+describe('When decoding a JWT token', () => {
+	'use strict';
+
+	it('the claims of a signed token should be returned', () => {
+		const token = sign({ user_id: 'mé', alert_system: 'mystery' }, 'secret', { noTimestamp: true });
+
+		expect(decodeJwt(token)).toEqual({ user_id: 'mé', alert_system: 'mystery' });
+	});
+
+	describe('and the "atob" function is not available (e.g. Node.js 12)', () => {
+		let atob;
+
+		beforeEach(() => {
+			atob = global.atob;
+
+			delete global.atob;
+		});
+
+		afterEach(() => {
+			if (atob) {
+				global.atob = atob;
+			}
+		});
+
+		it('the claims of a signed token should be returned', () => {
+			const token = sign({ user_id: 'me', alert_system: 'mystery', exp: 1600000000 }, 'secret', { noTimestamp: true });
+
+			expect(decodeJwt(token)).toEqual({ user_id: 'me', alert_system: 'mystery', exp: 1600000000 });
+		});
+	});
+
+	it('a token with an invalid payload should return null', () => {
+		expect(decodeJwt('a.b.c')).toEqual(null);
+	});
+
+	it('a value which is not a token should return null', () => {
+		expect(decodeJwt('not-a-token')).toEqual(null);
+		expect(decodeJwt(null)).toEqual(null);
+	});
+});
@@ -0,0 +1,157 @@
+const AdapterForMemory = require('./../../../lib/adapters/AdapterForMemory'),
+	AlertManager = require('./../../../lib/AlertManager'),
+	AlertStore = require('./../../../lib/stores/AlertStore'),
+	JwtProvider = require('./../../../lib/security/JwtProvider'),
+	MemoryBackend = require('./../../../lib/testing/MemoryBackend');
+
+describe('When using an AlertStore', () => {
+	'use strict';
+
+	const user = { user_id: 'me', alert_system: 'test' };
+
+	const getCondition = (symbol) => {
+		return { property: { type: 'number', target: { type: 'symbol', identifier: symbol } }, operator: { operand: '100' } };
+	};
+
+	let backend;
+	let manager;
+	let store;
+	let changes;
+
+	beforeEach((done) => {
+		backend = new MemoryBackend({
+			alerts: [
+				{ alert_id: 'a', name: 'Apple', user_id: 'me', alert_system: 'test', alert_state: 'Inactive', conditions: [ getCondition('AAPL') ] },
+				{ alert_id: 'b', name: 'Tesla', user_id: 'me', alert_system: 'test', alert_state: 'Inactive', conditions: [ getCondition('TSLA') ] },
+				{ alert_id: 'c', name: 'Other', user_id: 'someone', alert_system: 'test', alert_state: 'Inactive', conditions: [ getCondition('AAPL') ] }
+			]
+		});
+
+		AdapterForMemory.setBackend(backend);
+
+		changes = [ ];
+
+		manager = new AlertManager('localhost', 80, false, AdapterForMemory);
+		manager.connect(new JwtProvider(() => Promise.resolve('token')))
+			.then(() => {
+				store = new AlertStore(manager, user);
+				store.registerChangeHandler((data) => changes.push(data));
+
+				return store.start();
+			}).then(() => {
+				done();
+			});
+	});
+
+	afterEach(() => {
+		store.dispose();
+		manager.dispose();
+	});
+
+	it('the alerts for the user should be loaded', () => {
+		expect(store.loaded).toEqual(true);
+		expect(store.getAll().map((a) => a.alert_id)).toEqual([ 'a', 'b' ]);
+	});
+
+	it('an alert should be found by its identifier', () => {
+		expect(store.getById('b').name).toEqual('Tesla');
+		expect(store.getById('c')).toEqual(null);
+	});
+
+	it('alerts should be found by symbol', () => {
+		expect(store.getBySymbol('AAPL').map((a) => a.alert_id)).toEqual([ 'a' ]);
+	});
+
+	it('loading should fire a single "synchronized" change', () => {
+		expect(changes.map((c) => c.type)).toEqual([ 'synchronized' ]);
+	});
+
+	it('a created alert should be added', (done) => {
+		const alert = backend.createAlert({ name: 'Netflix', user_id: 'me', alert_system: 'test', conditions: [ getCondition('NFLX') ] });
+
+		setTimeout(() => {
+			expect(store.getById(alert.alert_id).name).toEqual('Netflix');
+			expect(changes[changes.length - 1].type).toEqual('created');
+
+			done();
+		}, 0);
+	});
+
+	it('a mutated alert should be replaced', (done) => {
+		backend.setAlertState('a', 'Active');
+
+		setTimeout(() => {
+			expect(store.getById('a').alert_state).toEqual('Active');
+			expect(changes[changes.length - 1].type).toEqual('mutated');
+
+			done();
+		}, 0);
+	});
+
+	it('a deleted alert should be removed', (done) => {
+		manager.deleteAlert({ alert_id: 'b' }).then(() => {
+			setTimeout(() => {
+				expect(store.getById('b')).toEqual(null);
+				expect(changes[changes.length - 1].type).toEqual('deleted');
+
+				done();
+			}, 0);
+		});
+	});
+
+	describe('and a second store is limited to a symbol', () => {
+		let filtered;
+		let filteredChanges;
+
+		beforeEach((done) => {
+			filteredChanges = [ ];
+
+			filtered = new AlertStore(manager, Object.assign({ symbol: 'AAPL' }, user));
+			filtered.registerChangeHandler((data) => filteredChanges.push(data));
+
+			filtered.start().then(() => done());
+		});
+
+		afterEach(() => {
+			filtered.dispose();
+		});
+
+		it('only the alerts for the symbol should be loaded', () => {
+			expect(filtered.getAll().map((a) => a.alert_id)).toEqual([ 'a' ]);
+		});
+
+		it('an alert which is changed to reference another symbol should be removed', (done) => {
+			backend.updateAlert({ alert_id: 'a', conditions: [ getCondition('MSFT') ] });
+
+			setTimeout(() => {
+				expect(filtered.getById('a')).toEqual(null);
+				expect(filteredChanges[filteredChanges.length - 1].type).toEqual('deleted');
+
+				done();
+			}, 0);
+		});
+
+		it('an alert which is changed to reference the symbol should be added', (done) => {
+			backend.updateAlert({ alert_id: 'b', conditions: [ getCondition('AAPL') ] });
+
+			setTimeout(() => {
+				expect(filtered.getById('b').name).toEqual('Tesla');
+				expect(filteredChanges[filteredChanges.length - 1].type).toEqual('created');
+
+				done();
+			}, 0);
+		});
+	});
+
+	it('after disposal, changes should be ignored', (done) => {
+		store.dispose();
+
+		backend.setAlertState('a', 'Active');
+
+		setTimeout(() => {
+			expect(store.getAll()).toEqual([ ]);
+
+			done();
+		}, 0);
+	});
+});
@@ -0,0 +1,171 @@
+const AdapterForMemory = require('./../../../lib/adapters/AdapterForMemory'),
+	AlertManager = require('./../../../lib/AlertManager'),
+	JwtProvider = require('./../../../lib/security/JwtProvider'),
+	MemoryBackend = require('./../../../lib/testing/MemoryBackend'),
+	TriggerInbox = require('./../../../lib/stores/TriggerInbox');
+
+describe('When using a TriggerInbox', () => {
+	'use strict';
+
+	const user = { user_id: 'me', alert_system: 'test' };
+
+	const getTrigger = (alertId, date, status) => {
+		return { alert_id: alertId, user_id: 'me', alert_system: 'test', trigger_date: date.getTime().toString(), trigger_status: status, trigger_status_date: date.getTime().toString() };
+	};
+
+	let backend;
+	let manager;
+	let inbox;
+
+	beforeEach((done) => {
+		backend = new MemoryBackend({
+			alerts: [
+				{ alert_id: 'a', name: 'Apple', user_id: 'me', alert_system: 'test', alert_state: 'Active', conditions: [ ] },
+				{ alert_id: 'b', name: 'Tesla', user_id: 'me', alert_system: 'test', alert_state: 'Active', conditions: [ ] }
+			],
+			triggers: [
+				getTrigger('a', new Date(2021, 0, 1, 9), 'Unread'),
+				getTrigger('a', new Date(2021, 0, 2, 9), 'Unread'),
+				getTrigger('b', new Date(2021, 0, 2, 10), 'Read')
+			]
+		});
+
+		AdapterForMemory.setBackend(backend);
+
+		manager = new AlertManager('localhost', 80, false, AdapterForMemory);
+		manager.connect(new JwtProvider(() => Promise.resolve('token')))
+			.then(() => {
+				inbox = new TriggerInbox(manager, user);
+
+				return inbox.start();
+			}).then(() => {
+				done();
+			});
+	});
+
+	afterEach(() => {
+		inbox.dispose();
+		manager.dispose();
+	});
+
+	it('the triggers should be loaded, the most recent first', () => {
+		expect(inbox.getAll().map((t) => t.alert_id)).toEqual([ 'b', 'a', 'a' ]);
+	});
+
+	it('the unread counts should be calculated in total and per alert', () => {
+		expect(inbox.getUnreadCount()).toEqual(2);
+		expect(inbox.getUnreadCount('b')).toEqual(0);
+		expect(inbox.getUnreadCounts()).toEqual({ a: 2 });
+	});
+
+	it('the triggers should be grouped by alert and by day', () => {
+		expect(Object.keys(inbox.groupByAlert()).sort()).toEqual([ 'a', 'b' ]);
+		expect(inbox.groupByDay()['2021-01-02'].length).toEqual(2);
+	});
+
+	it('a new trigger should be added as unread', (done) => {
+		backend.triggerAlert('b');
+
+		setTimeout(() => {
+			expect(inbox.getUnreadCount('b')).toEqual(1);
+
+			done();
+		}, 0);
+	});
+
+	it('marking a trigger as read should change the count immediately', (done) => {
+		const promise = inbox.markRead(inbox.groupByAlert().a[0]);
+
+		setTimeout(() => {
+			expect(inbox.getUnreadCount('a')).toEqual(1);
+
+			promise.then(() => {
+				expect(inbox.getUnreadCount('a')).toEqual(1);
+
+				done();
+			});
+		}, 0);
+	});
+
+	it('marking all triggers for an alert as read should clear its count', (done) => {
+		inbox.markAllRead('a').then(() => {
+			expect(inbox.getUnreadCount()).toEqual(0);
+
+			done();
+		});
+	});
+
+	it('marking a trigger as unread should increase the count', (done) => {
+		inbox.markUnread(inbox.groupByAlert().b[0]).then(() => {
+			expect(inbox.getUnreadCount('b')).toEqual(1);
+
+			done();
+		});
+	});
+
+	describe('and a second inbox only loads recent triggers', () => {
+		let recent;
+
+		beforeEach((done) => {
+			recent = new TriggerInbox(manager, Object.assign({ trigger_date: new Date(2021, 0, 2).getTime() }, user));
+			recent.start().then(() => done());
+		});
+
+		afterEach(() => {
+			recent.dispose();
+		});
+
+		it('marking all triggers as read should not change triggers which were not loaded', (done) => {
+			recent.markAllRead()
+				.then(() => {
+					return manager.retrieveTriggers(Object.assign({ trigger_status: 'Unread' }, user));
+				}).then((triggers) => {
+					expect(triggers.map((t) => t.trigger_date)).toEqual([ new Date(2021, 0, 1, 9).getTime().toString() ]);
+
+					done();
+				});
+		});
+	});
+
+	describe('and the server rejects an update', () => {
+		beforeEach(() => {
+			spyOn(manager, 'updateTrigger').and.returnValue(Promise.reject(new Error('Failed')));
+		});
+
+		it('marking all triggers as read should be applied, then reverted', (done) => {
+			const counts = [ ];
+
+			inbox.registerChangeHandler(() => counts.push(inbox.getUnreadCount()));
+
+			inbox.markAllRead().catch(() => {
+				expect(counts).toEqual([ 0, 2 ]);
+
+				done();
+			});
+		});
+	});
+
+	describe('and the server rejects one of several updates for an alert', () => {
+		beforeEach(() => {
+			const updateTrigger = manager.updateTrigger.bind(manager);
+
+			spyOn(manager, 'updateTrigger').and.callFake((query) => {
+				if (query.trigger_date === new Date(2021, 0, 1, 9).getTime().toString()) {
+					return Promise.reject(new Error('Failed'));
+				} else {
+					return updateTrigger(query);
+				}
+			});
+		});
+
+		it('only the trigger which failed should be reverted', (done) => {
+			inbox.markAllRead('a').catch((e) => {
+				expect(e.message).toEqual('Failed');
+				expect(inbox.getUnreadCount('a')).toEqual(1);
+				expect(inbox.groupByAlert().a.filter((t) => t.trigger_status === 'Unread').map((t) => t.trigger_date)).toEqual([ new Date(2021, 0, 1, 9).getTime().toString() ]);
+
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,65 @@
+const validate = require('./../../../lib/data/validators/validate');
+
+const AlertsValidationError = require('./../../../lib/errors/AlertsValidationError');
+
+describe('When validating data for the AlertManager', () => {
+	'use strict';
+
+	describe('and an alert is missing its "alert_id" property', () => {
+		let error;
+
+		beforeEach(() => {
+			try {
+				validate.alert.forQuery({ });
+			} catch (e) {
+				error = e;
+			}
+		});
+
+		it('an AlertsValidationError should be thrown', () => {
+			expect(error instanceof AlertsValidationError).toEqual(true);
+		});
+
+		it('the error should refer to the "alert.alert_id" field', () => {
+			expect(error.field).toEqual('alert.alert_id');
+		});
+	});
+
+	describe('and a condition of an alert is invalid', () => {
+		let error;
+
+		beforeEach(() => {
+			try {
+				validate.alert.forCreate({ user_id: 'me', alert_system: 'test', conditions: [ { property: { property_id: 1, target: { identifier: 'AAPL' } }, operator: { operator_id: 'x' } } ] });
+			} catch (e) {
+				error = e;
+			}
+		});
+
+		it('the error should refer to the nested field', () => {
+			expect(error.field).toEqual('alert.conditions[0].operator.operator_id');
+		});
+	});
+
+	describe('and an alert is valid', () => {
+		it('no error should be thrown', () => {
+			expect(() => validate.alert.forQuery({ alert_id: 'id' })).not.toThrow();
+		});
+	});
+
+	describe('and an alert query uses an unknown sort field', () => {
+		let error;
+
+		beforeEach(() => {
+			try {
+				validate.alert.forRetrieve({ user_id: 'me', alert_system: 'test', sort: [ { field: 'color' } ] });
+			} catch (e) {
+				error = e;
+			}
+		});
+
+		it('the error should refer to the sort field', () => {
+			expect(error.field).toEqual('alert.sort[0].field');
+		});
+	});
+});